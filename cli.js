@@ -0,0 +1,837 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+const { parseArgs } = require("util");
+const { openDatabase, runQuery, getQuery, allQuery, closeDatabase } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { SUPPRESSION_KINDS, addSuppression, removeSuppression } = require("./lib/suppressions");
+const { getTemplatesDir, validateTemplates, listTemplateNames, loadVariantConfig } = require("./lib/templates");
+const { validateSequences } = require("./lib/sequences");
+const { SIGNIFICANCE_LEVEL, fetchVariantStats, compareVariants, promoteVariant } = require("./lib/variants");
+const { loadThrottleConfig, getQuota, isInSendWindow, getNextWindowStart } = require("./lib/throttle");
+const { REPO_ANALYSIS_TTL_DAYS, listAnalyses } = require("./lib/analyses");
+const { MAX_SEND_ATTEMPTS, listAttempts, releaseParked } = require("./lib/attempts");
+const { OUTBOX_STATUSES, listOutbox } = require("./lib/outbox");
+const { getProviderSettings } = require("./lib/providers");
+const { loadSenderConfig, getAccountThrottleConfig, getPausedAccounts, setAccountStatus, getAccountHealth } = require("./lib/senders");
+
+// Options shared by every command
+const GLOBAL_OPTIONS = {
+	db: {
+		type: "string",
+		env: "DB_PATH",
+		description: "SQLite database file (default contributor_emails.db)",
+		// The entry points resolve DB_PATH against their own directory, the flag against the working directory
+		toEnv: value => path.relative(__dirname, path.resolve(value)),
+	},
+	help: { type: "boolean", short: "h", description: "Show help" },
+};
+
+// Commands and their flags, a flag overrides the environment variable in its env field
+const COMMANDS = {
+	scrape: {
+		usage: "scrape [options]",
+		description: "Search GitHub for repositories and save their contributors' emails",
+		options: {
+			keyword: { type: "string", env: "KEYWORD", description: "Keyword to search for (default OPENROUTER)" },
+			since: { type: "string", env: "SEARCH_SINCE", description: "Only search repositories created since this date (default 2024-01-01)" },
+			"max-repos": { type: "string", env: "MAX_RESULTS", description: "Stop after processing this many repositories (default 100)" },
+			mode: { type: "string", env: "SEARCH_MODE", choices: ["repositories", "code"], description: "Search repositories or code (default repositories)" },
+		},
+		run: runScrape,
+	},
+	send: {
+		usage: "send [options]",
+		description: "Send personalized emails to the highest scoring leads",
+		options: {
+			count: { type: "string", env: "EMAIL_COUNT", description: "Number of emails to send (default 20)" },
+			provider: {
+				type: "string",
+				env: "USE_CLOSE_API",
+				choices: ["smtp", "close"],
+				description: "Send through SMTP or the Close API without a senders.json (default smtp)",
+				toEnv: value => String(value === "close"),
+			},
+			"approved-only": { type: "boolean", env: "SEND_APPROVED_ONLY", description: "Only send leads approved in the review dashboard" },
+			"skip-rescore": { type: "boolean", env: "SKIP_RESCORE", description: "Keep the stored lead scores and only score new people" },
+			"dry-run": { type: "boolean", env: "DRY_RUN", description: "Write the emails to .eml files with a manifest.json instead of sending them" },
+			out: {
+				type: "string",
+				env: "DRY_RUN_DIR",
+				description: "Folder for the dry run's files (default dry-run/<time>)",
+				toEnv: value => path.relative(__dirname, path.resolve(value)),
+			},
+		},
+		run: runSend,
+	},
+	review: {
+		usage: "review [options]",
+		description: "Start the local dashboard to review, edit and approve leads",
+		options: {
+			port: { type: "string", env: "REVIEW_PORT", description: "Port to listen on (default 3100)" },
+		},
+		run: runReview,
+	},
+	ingest: {
+		usage: "ingest [options]",
+		description: "Ingest replies and bounces from the IMAP mailbox and update lead statuses",
+		options: {
+			mailbox: { type: "string", env: "IMAP_MAILBOX", description: "Mailbox to read (default INBOX)" },
+			poll: { type: "string", env: "INGEST_POLL_SECONDS", description: "Keep polling every this many seconds (default: ingest once)" },
+		},
+		run: runIngest,
+	},
+	sync: {
+		usage: "sync close [options]",
+		description: "Push contacted leads' details to Close custom fields, pull lead status changes and replies back",
+		options: {
+			since: { type: "string", env: "CLOSE_SYNC_SINCE", description: "Pull Close activities since this date (default: since the last sync)" },
+			config: {
+				type: "string",
+				env: "CLOSE_CONFIG",
+				toEnv: value => path.relative(__dirname, path.resolve(value)),
+				description: "Close field and lead status mapping (default close.json)",
+			},
+		},
+		run: runSync,
+	},
+	unsubscribe: {
+		usage: "unsubscribe [options]",
+		description: "Start the one-click unsubscribe endpoint the links in sent emails point to",
+		options: {
+			port: { type: "string", env: "UNSUBSCRIBE_PORT", description: "Port to listen on (default 3200)" },
+		},
+		run: runUnsubscribe,
+	},
+	track: {
+		usage: "track [options]",
+		description: "Start the server that logs clicks on tracked links and opens, and redirects to the real target",
+		options: {
+			port: { type: "string", env: "TRACKING_PORT", description: "Port to listen on (default 3300)" },
+		},
+		run: runTrack,
+	},
+	suppress: {
+		usage: "suppress list|add|remove [email|domain|login] [value] [options]",
+		description: "Manage the suppression list of addresses, domains and GitHub logins that are never contacted",
+		options: {
+			reason: { type: "string", description: "Why the entry is suppressed (for add)" },
+		},
+		run: runSuppress,
+	},
+	attempts: {
+		usage: "attempts list [retry|parked] | attempts release <email>",
+		description: "Show failed sends waiting for a retry or parked, or put a parked recipient back into the queue",
+		options: {},
+		run: runAttempts,
+	},
+	outbox: {
+		usage: "outbox list [draft|queued|sending|sent|failed]",
+		description: "Show the drafted emails and the state of their sends",
+		options: {},
+		run: runOutbox,
+	},
+	queue: {
+		usage: "queue list|done <id>",
+		description: "List replies that need manual handling (credit requests), or mark one done",
+		options: {},
+		run: runQueue,
+	},
+	templates: {
+		usage: "templates validate [options]",
+		description: "Check the email templates for syntax errors and variables that don't exist",
+		options: {
+			dir: { type: "string", env: "TEMPLATES_DIR", description: "Templates directory, relative to the project" },
+		},
+		run: runTemplates,
+	},
+	variants: {
+		usage: "variants report|promote|reset [template] [variant] [options]",
+		description: "Show reply, bounce, unsubscribe, click and open rates per A/B variant, or promote a variant by hand or undo a promotion",
+		options: {
+			template: { type: "string", description: "Only report this template" },
+		},
+		run: runVariants,
+	},
+	analyses: {
+		usage: "analyses list [repo] | analyses refresh <repo...>",
+		description: "Show the cached repository analyses, or regenerate them for some repositories",
+		options: {},
+		run: runAnalyses,
+	},
+	senders: {
+		usage: "senders list|pause|resume [account]",
+		description: "Show the sender accounts with their quota and health, or take one out of rotation or put it back",
+		options: {
+			reason: { type: "string", description: "Why the account is paused (for pause)" },
+		},
+		run: runSenders,
+	},
+	status: {
+		usage: "status",
+		description: "Show lead counts, search progress and the last runs",
+		options: {},
+		run: runStatus,
+	},
+	lead: {
+		usage: "lead show|ignore|approve|replied|bounced|unsubscribed <email>",
+		description: "Show a lead, ignore or approve it, or mark it replied, bounced or unsubscribed to stop its follow-ups",
+		options: {},
+		run: runLead,
+	},
+	state: {
+		usage: "state reset [options]",
+		description: "Reset the saved search progress so the next scrape starts over",
+		options: {
+			keyword: { type: "string", description: "Only reset the search windows of this keyword" },
+		},
+		run: runState,
+	},
+};
+
+function getDbPath() {
+	return process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+}
+
+function formatOptions(options) {
+	return Object.entries(options).map(([name, option]) => {
+		const flag = `${option.short ? `-${option.short}, ` : ""}--${name}${option.type === "string" ? " <value>" : ""}`;
+		const env = option.env ? ` [${option.env}]` : "";
+		return `  ${flag.padEnd(26)} ${option.description}${env}`;
+	});
+}
+
+function printHelp(commandName) {
+	const commands = commandName ? { [commandName]: COMMANDS[commandName] } : COMMANDS;
+	const lines = ["Usage: bulk <command> [options]", ""];
+
+	for (const command of Object.values(commands)) {
+		lines.push(`bulk ${command.usage}`, `  ${command.description}`);
+		lines.push(...formatOptions(command.options), "");
+	}
+
+	lines.push("Global options:", ...formatOptions(GLOBAL_OPTIONS), "");
+	lines.push("Flags override the environment variable shown in brackets.");
+	console.log(lines.join("\n"));
+}
+
+// Copy flags into the environment variables the entry points read when they are loaded
+function applyOptions(options, values) {
+	for (const [name, option] of Object.entries(options)) {
+		const value = values[name];
+		if (value === undefined) {
+			continue;
+		}
+		if (option.choices && !option.choices.includes(value)) {
+			throw new Error(`--${name} must be one of: ${option.choices.join(", ")}`);
+		}
+		if (option.env) {
+			process.env[option.env] = option.toEnv ? option.toEnv(value) : value;
+		}
+	}
+}
+
+function validateOptions(values) {
+	if (values.since !== undefined && isNaN(Date.parse(values.since))) {
+		throw new Error(`--since must be a date like 2024-01-01, got "${values.since}"`);
+	}
+	for (const name of ["max-repos", "count", "port", "poll"]) {
+		if (values[name] !== undefined && !(parseInt(values[name]) > 0)) {
+			throw new Error(`--${name} must be a positive number, got "${values[name]}"`);
+		}
+	}
+}
+
+async function withDatabase(fn) {
+	const db = await openDatabase(getDbPath());
+	try {
+		await migrate(db);
+		return await fn(db);
+	} finally {
+		await closeDatabase(db);
+	}
+}
+
+// Record a run in the runs table around the entry point's main()
+async function recordRun(command, values, main) {
+	const options = Object.fromEntries(Object.entries(values).filter(([name]) => name !== "help"));
+	const run = await withDatabase(db => runQuery(db, "INSERT INTO runs (command, options) VALUES (?, ?)", [command, JSON.stringify(options)]));
+
+	try {
+		await main();
+	} finally {
+		const status = process.exitCode ? "failed" : "completed";
+		await withDatabase(db => runQuery(db, "UPDATE runs SET status = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?", [status, run.lastID]));
+	}
+}
+
+async function runScrape(values) {
+	await recordRun("scrape", values, () => require("./scrape").main());
+}
+
+async function runSend(values) {
+	await recordRun("send", values, () => require("./email").main());
+}
+
+async function runReview() {
+	await require("./review").main();
+}
+
+async function runUnsubscribe() {
+	await require("./unsubscribe").main();
+}
+
+async function runTrack() {
+	await require("./track").main();
+}
+
+async function runIngest(values) {
+	await recordRun("ingest", values, () => require("./ingest").main());
+}
+
+async function runSync(values, positionals) {
+	if (positionals[0] !== "close") {
+		throw new Error(`Usage: bulk ${COMMANDS.sync.usage}`);
+	}
+	await recordRun("sync", values, () => require("./sync").main());
+}
+
+async function runStatus() {
+	await withDatabase(async db => {
+		console.log(`📁 Database: ${getDbPath()}`);
+
+		const emails = await getQuery(db, `
+			SELECT
+				COUNT(*) as total,
+				COALESCE(SUM(e.ignore = 1), 0) as ignored,
+				COALESCE(SUM(v.status = 'unknown'), 0) as pending,
+				COALESCE(SUM(e.approved = 1), 0) as approved,
+				COALESCE(SUM(e.email_sent = 1), 0) as sent,
+				COALESCE(SUM(e.email_follow_ups), 0) as follow_ups,
+				COALESCE(SUM(e.contact_status = 'replied'), 0) as replied,
+				COALESCE(SUM(e.contact_status = 'bounced'), 0) as bounced,
+				COALESCE(SUM(e.contact_status = 'unsubscribed'), 0) as unsubscribed
+			FROM emails e
+			LEFT JOIN verifications v ON v.email = e.email
+		`);
+		const people = await getQuery(db, "SELECT COUNT(*) as total, (SELECT COUNT(*) FROM lead_scores) as scored FROM people");
+		console.log("\n📧 Emails");
+		console.log(`  Total: ${emails.total}`);
+		console.log(`  Pending verification: ${emails.pending}`);
+		console.log(`  Ignored: ${emails.ignored}`);
+		console.log(`  Approved: ${emails.approved}`);
+		console.log(`  Sent: ${emails.sent} (${emails.follow_ups} follow-ups)`);
+		console.log(`  Replied: ${emails.replied}, bounced: ${emails.bounced}, unsubscribed: ${emails.unsubscribed}`);
+		const tracking = await getQuery(db, `
+			SELECT
+				COUNT(DISTINCT CASE WHEN kind = 'click' THEN email END) as clicked,
+				COUNT(DISTINCT CASE WHEN kind = 'open' THEN email END) as opened
+			FROM tracking_events
+		`);
+		console.log(`  Clicked a link: ${tracking.clicked}, opened: ${tracking.opened}`);
+		const tasks = await getQuery(db, "SELECT COUNT(*) as open FROM manual_tasks WHERE status = 'open'");
+		console.log(`  Waiting for manual handling: ${tasks.open} (bulk queue list)`);
+		const attempts = await getQuery(db, "SELECT COALESCE(SUM(status = 'retry'), 0) as retry, COALESCE(SUM(status = 'parked'), 0) as parked FROM send_attempts");
+		console.log(`  Failed sends: ${attempts.retry} waiting for a retry, ${attempts.parked} parked (bulk attempts list)`);
+		const outbox = await allQuery(db, "SELECT status, COUNT(*) as count FROM outbox WHERE status != 'sent' GROUP BY status ORDER BY status");
+		console.log(`  Outbox: ${outbox.length > 0 ? outbox.map(row => `${row.count} ${row.status}`).join(", ") : "nothing unsent"} (bulk outbox list)`);
+		const suppressions = await getQuery(db, "SELECT COUNT(*) as count FROM suppressions");
+		console.log(`  Suppression list entries: ${suppressions.count}`);
+		console.log(`  People: ${people.total} (${people.scored} scored)`);
+
+		const repos = await allQuery(db, "SELECT fetch_status, COUNT(*) as count FROM repos GROUP BY fetch_status ORDER BY count DESC");
+		console.log("\n📦 Repositories");
+		if (repos.length === 0) {
+			console.log("  None discovered yet");
+		}
+		for (const row of repos) {
+			console.log(`  ${row.fetch_status}: ${row.count}`);
+		}
+
+		const windows = await allQuery(db, `
+			SELECT
+				keyword,
+				SUM(status = 'pending') as pending,
+				SUM(status = 'done') as done,
+				SUM(status = 'truncated') as truncated,
+				MIN(CASE WHEN status = 'pending' THEN range_start END) as next_start
+			FROM search_windows
+			GROUP BY keyword
+		`);
+		const state = await getQuery(db, "SELECT * FROM request_state WHERE id = 1");
+		console.log("\n🔎 Search progress");
+		if (windows.length === 0 && !(state && (state.date_segments || state.code_keyword))) {
+			console.log("  No search in progress");
+		}
+		for (const row of windows) {
+			const next = row.next_start ? `, next window starts ${row.next_start}` : "";
+			console.log(`  ${row.keyword}: ${row.done} windows done, ${row.truncated} truncated, ${row.pending} pending${next}`);
+		}
+		if (state && state.date_segments) {
+			const segments = JSON.parse(state.date_segments);
+			console.log(`  ${state.keyword}: legacy date segment ${(state.current_segment || 0) + 1}/${segments.length}, converted on the next scrape`);
+		}
+		if (state && state.code_keyword && state.code_queries) {
+			const queries = JSON.parse(state.code_queries);
+			console.log(`  ${state.code_keyword} (code): query ${state.code_query_index + 1}/${queries.length}, page ${state.code_page}`);
+		}
+
+		const throttle = loadThrottleConfig();
+		const paused = await getPausedAccounts(db);
+		console.log("\n📮 Sending quota");
+		for (const account of loadSenderConfig().accounts) {
+			const quota = await getQuota(db, account.id, getAccountThrottleConfig(account, throttle));
+			const warmup = quota.warmupWeek ? ` (warmup week ${quota.warmupWeek})` : "";
+			const state = paused.has(account.id) ? ", paused" : "";
+			console.log(`  ${account.id}: ${quota.remainingToday}/${quota.dailyCap} left today${warmup}, ${quota.remainingThisHour}/${quota.hourlyCap} this hour${state}`);
+		}
+		const window = throttle.sendWindow;
+		if (window) {
+			const open = isInSendWindow(window, Date.now()) ? "open now" : `opens ${new Date(getNextWindowStart(window, Date.now())).toISOString()}`;
+			console.log(`  Send window: ${window.days.join(", ")} ${window.start}-${window.end} ${window.timezone}, ${open}`);
+		}
+
+		const runs = await allQuery(db, `
+			SELECT r.*
+			FROM runs r
+			WHERE r.id = (SELECT MAX(r2.id) FROM runs r2 WHERE r2.command = r.command)
+			ORDER BY r.id DESC
+		`);
+		console.log("\n🕒 Last runs");
+		if (runs.length === 0) {
+			console.log("  No runs recorded yet");
+		}
+		for (const run of runs) {
+			const finished = run.finished_at ? `, finished ${run.finished_at}` : "";
+			console.log(`  ${run.command}: ${run.status}, started ${run.started_at}${finished} ${run.options}`);
+		}
+	});
+}
+
+async function showLead(db, email) {
+	const lead = await getQuery(db, "SELECT * FROM emails WHERE email = ?", [email]);
+	const verification = await getQuery(db, "SELECT status, reason, provider, checked_at FROM verifications WHERE email = ?", [email]);
+	const person = await getQuery(db, `
+		SELECT p.*
+		FROM people p
+		JOIN person_emails pe ON pe.person_id = p.id
+		WHERE pe.email = ?
+	`, [email]);
+
+	console.log(`📧 ${email}`);
+	console.log(`  Name: ${lead.full_name || "-"}`);
+	console.log(`  Repository: ${lead.repo_name} [${lead.keyword}]`);
+	console.log(`  Verification: ${verification ? `${verification.status}${verification.reason ? ` (${verification.reason})` : ""}, checked ${verification.checked_at}` : "not verified"}`);
+	console.log(`  Ignored: ${lead.ignore ? "yes" : "no"}, approved: ${lead.approved ? "yes" : "no"}, sent: ${lead.email_sent ? `yes, ${lead.sent_at || "unknown date"}` : "no"}`);
+	if (lead.contact_status) {
+		console.log(`  Contact status: ${lead.contact_status}`);
+	}
+	const steps = await allQuery(db, "SELECT step, subject, sent_at FROM email_steps WHERE email = ? ORDER BY step", [email]);
+	for (const step of steps) {
+		console.log(`  Step ${step.step}: "${step.subject}" sent ${step.sent_at}`);
+	}
+
+	if (!person) {
+		return;
+	}
+
+	const addresses = await allQuery(db, "SELECT email, source FROM person_emails WHERE person_id = ? ORDER BY id", [person.id]);
+	const contributions = await allQuery(db, "SELECT repo_name, commits, last_commit_at FROM contributions WHERE person_id = ? ORDER BY commits DESC", [person.id]);
+	const score = await getQuery(db, "SELECT score, repo_name, breakdown FROM lead_scores WHERE person_id = ?", [person.id]);
+
+	console.log(`\n👤 ${person.github_login ? `@${person.github_login}` : "No GitHub login"}`);
+	console.log(`  Emails: ${addresses.map(address => `${address.email} (${address.source})`).join(", ")}`);
+	console.log("  Contributions:");
+	for (const contribution of contributions) {
+		console.log(`    ${contribution.repo_name}: ${contribution.commits || 0} commits, last ${contribution.last_commit_at || "unknown"}`);
+	}
+	if (score) {
+		const factors = JSON.parse(score.breakdown).factors;
+		console.log(`  Score: ${score.score} (${score.repo_name})`);
+		console.log(`    ${Object.entries(factors).map(([factor, { points }]) => `${factor} ${points}`).join(", ")}`);
+	}
+}
+
+// Contact statuses that end a follow-up sequence
+const CONTACT_STATUSES = ["replied", "bounced", "unsubscribed"];
+
+async function runLead(values, positionals) {
+	const [action, email] = positionals;
+	if (!["show", "ignore", "approve", ...CONTACT_STATUSES].includes(action) || !email) {
+		throw new Error(`Usage: bulk ${COMMANDS.lead.usage}`);
+	}
+
+	await withDatabase(async db => {
+		const lead = await getQuery(db, "SELECT id FROM emails WHERE email = ?", [email]);
+		if (!lead) {
+			throw new Error(`No lead with email ${email}`);
+		}
+
+		if (action === "show") {
+			await showLead(db, email);
+		} else if (CONTACT_STATUSES.includes(action)) {
+			await runQuery(db, "UPDATE emails SET contact_status = ? WHERE email = ?", [action, email]);
+			console.log(`🛑 Marked ${email} as ${action}, no more follow-ups are sent`);
+		} else if (action === "ignore") {
+			await runQuery(db, "UPDATE emails SET ignore = 1, approved = 0 WHERE email = ?", [email]);
+			console.log(`🚫 Ignored ${email}`);
+		} else {
+			await runQuery(db, "UPDATE emails SET approved = 1, ignore = 0 WHERE email = ?", [email]);
+			console.log(`✅ Approved ${email}`);
+		}
+	});
+}
+
+async function runSuppress(values, positionals) {
+	const [action, kind, value] = positionals;
+	if (action !== "list" && !(["add", "remove"].includes(action) && SUPPRESSION_KINDS.includes(kind) && value)) {
+		throw new Error(`Usage: bulk ${COMMANDS.suppress.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "add") {
+			const added = await addSuppression(db, kind, value, values.reason || null, "cli");
+			console.log(added ? `🚫 Suppressed ${kind} ${value}` : `${kind} ${value} is already suppressed`);
+		} else if (action === "remove") {
+			const result = await removeSuppression(db, kind, value);
+			console.log(result.changes > 0 ? `✅ Removed ${kind} ${value} from the suppression list` : `${kind} ${value} is not suppressed`);
+		} else {
+			const rows = await allQuery(db, "SELECT kind, value, reason, source, created_at FROM suppressions ORDER BY kind, value");
+			if (rows.length === 0) {
+				console.log("The suppression list is empty");
+			}
+			for (const row of rows) {
+				console.log(`${row.kind.padEnd(7)} ${row.value} - ${row.reason || "no reason"} (${row.source}, ${row.created_at})`);
+			}
+		}
+	});
+}
+
+async function runQueue(values, positionals) {
+	const [action, id] = positionals;
+	if (action !== "list" && !(action === "done" && id)) {
+		throw new Error(`Usage: bulk ${COMMANDS.queue.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "done") {
+			const result = await runQuery(db, "UPDATE manual_tasks SET status = 'done', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'", [id]);
+			if (result.changes === 0) {
+				throw new Error(`No open task with id ${id}`);
+			}
+			console.log(`✅ Marked task ${id} as done`);
+			return;
+		}
+
+		const tasks = await allQuery(db, `
+			SELECT t.id, t.email, t.kind, t.details, t.created_at, m.subject
+			FROM manual_tasks t
+			LEFT JOIN inbound_messages m ON m.id = t.inbound_message_id
+			WHERE t.status = 'open'
+			ORDER BY t.id
+		`);
+		if (tasks.length === 0) {
+			console.log("Nothing waiting for manual handling");
+		}
+		for (const task of tasks) {
+			console.log(`#${task.id} ${task.kind} - ${task.email} - "${task.subject || ""}" (${task.created_at})`);
+			if (task.details) {
+				console.log(`    ${task.details}`);
+			}
+		}
+	});
+}
+
+async function runAttempts(values, positionals) {
+	const [action, argument] = positionals;
+	if (!((action === "list" && [undefined, "retry", "parked"].includes(argument)) || (action === "release" && argument))) {
+		throw new Error(`Usage: bulk ${COMMANDS.attempts.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "release") {
+			const result = await releaseParked(db, argument);
+			if (result.changes === 0) {
+				throw new Error(`${argument} has no parked sends`);
+			}
+			console.log(`🔁 Released ${argument}, the next send run tries it again`);
+			return;
+		}
+
+		const rows = await listAttempts(db, argument || null);
+		if (rows.length === 0) {
+			console.log("No failed sends");
+		}
+		for (const row of rows) {
+			const when = row.status === "parked" ? "parked" : `retry after ${row.next_attempt_at || "now"}`;
+			console.log(`${row.email} step ${row.step}: ${when}, ${row.attempts} attempts, failed at ${row.stage} (${row.updated_at})`);
+			console.log(`    ${row.error}`);
+		}
+		console.log(`\nSends are parked after ${MAX_SEND_ATTEMPTS} attempts [MAX_SEND_ATTEMPTS] or a failure retrying won't fix`);
+	});
+}
+
+async function runOutbox(values, positionals) {
+	const [action, status] = positionals;
+	if (action !== "list" || (status && !OUTBOX_STATUSES.includes(status))) {
+		throw new Error(`Usage: bulk ${COMMANDS.outbox.usage}`);
+	}
+
+	await withDatabase(async db => {
+		const rows = await listOutbox(db, status || null);
+		if (rows.length === 0) {
+			console.log("Outbox is empty");
+		}
+		for (const row of rows) {
+			console.log(`${row.email} step ${row.step}: ${row.status} (${row.updated_at})${row.sender_account ? ` from ${row.sender_account}` : ""}`);
+			console.log(`    ${row.subject}`);
+			if (row.error) {
+				console.log(`    ${row.error}`);
+			}
+		}
+	});
+}
+
+async function runTemplates(values, positionals) {
+	if (positionals[0] !== "validate") {
+		throw new Error(`Usage: bulk ${COMMANDS.templates.usage}`);
+	}
+
+	console.log(`📝 Checking templates in ${getTemplatesDir()}`);
+	let problems = 0;
+	for (const result of [...validateTemplates(), ...validateSequences()]) {
+		if (result.error) {
+			console.log(`❌ ${result.file}: ${result.error}`);
+		} else if (result.missing.length > 0) {
+			console.log(`❌ ${result.file}: unknown variables ${result.missing.join(", ")}`);
+		} else {
+			console.log(`✅ ${result.file}`);
+			continue;
+		}
+		problems++;
+	}
+	if (problems > 0) {
+		throw new Error(`${problems} template files have problems`);
+	}
+	console.log("Keywords without their own template use the default one");
+}
+
+function formatRate(count, total) {
+	return total > 0 ? `${(100 * count / total).toFixed(1)}% (${count})` : "-";
+}
+
+async function printVariantReport(db, templateName) {
+	const config = loadVariantConfig(templateName);
+	const stats = await fetchVariantStats(db, templateName);
+	// Variants nobody got yet still show up with their weight
+	for (const variant of config ? config.variants : []) {
+		if (!stats.some(row => row.variant === variant.id)) {
+			stats.push({ template_name: templateName, variant: variant.id, sent: 0, replied: 0, bounced: 0, unsubscribed: 0, clicked: 0, opened: 0 });
+		}
+	}
+	if (stats.length === 0) {
+		return;
+	}
+
+	const totalWeight = config ? config.variants.reduce((sum, variant) => sum + variant.weight, 0) : 0;
+	const weightOf = id => {
+		const variant = config && config.variants.find(candidate => candidate.id === id);
+		return variant ? `${Math.round(100 * variant.weight / totalWeight)}%` : "removed";
+	};
+	const promotion = await getQuery(db, "SELECT variant, sends, reason, promoted_at FROM variant_promotions WHERE template_name = ?", [templateName]);
+	const sends = stats.reduce((sum, row) => sum + row.sent, 0);
+
+	console.log(`\n🧪 ${templateName}: ${sends} sends`);
+	if (promotion) {
+		console.log(`  🏆 ${promotion.variant} promoted after ${promotion.sends ?? "?"} sends (${promotion.reason || "no reason"}, ${promotion.promoted_at})`);
+	} else if (config && config.promoteAfter) {
+		console.log(`  A clear winner is promoted after ${config.promoteAfter} sends`);
+	}
+	const columns = ["replied", "bounced", "unsubscribed", "clicked", "opened"];
+	console.log(`  ${"variant".padEnd(16)} ${"weight".padStart(7)} ${"sent".padStart(6)}  ${columns.map(column => column.padEnd(12)).join(" ")} reply rate vs leader`);
+	for (const row of compareVariants(stats)) {
+		const significance = row.leader
+			? "leader"
+			: row.pValue === null
+				? "no sends yet"
+				: `p=${row.pValue.toFixed(3)} ${row.significant ? "significant" : "not significant"}`;
+		const rates = columns.map(column => formatRate(row[column], row.sent).padEnd(12)).join(" ");
+		console.log(`  ${row.variant.padEnd(16)} ${weightOf(row.variant).padStart(7)} ${String(row.sent).padStart(6)}  ${rates} ${significance}`);
+	}
+}
+
+async function runVariants(values, positionals) {
+	const [action, templateName, variantId] = positionals;
+	if (!(action === "report" || (action === "promote" && templateName && variantId) || (action === "reset" && templateName))) {
+		throw new Error(`Usage: bulk ${COMMANDS.variants.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "promote") {
+			const config = loadVariantConfig(templateName);
+			if (!config || !config.variants.some(variant => variant.id === variantId)) {
+				throw new Error(`Template ${templateName} has no variant ${variantId}`);
+			}
+			const sent = await getQuery(db, "SELECT COUNT(*) as count FROM emails WHERE email_sent = 1 AND template_name = ? AND variant IS NOT NULL", [templateName]);
+			await promoteVariant(db, templateName, variantId, sent.count, "promoted by hand");
+			console.log(`🏆 Every new ${templateName} lead now gets variant ${variantId}`);
+		} else if (action === "reset") {
+			const result = await runQuery(db, "DELETE FROM variant_promotions WHERE template_name = ?", [templateName]);
+			console.log(result.changes > 0 ? `✅ ${templateName} is split between its variants again` : `${templateName} has no promoted variant`);
+		} else {
+			const used = await allQuery(db, "SELECT DISTINCT template_name FROM emails WHERE variant IS NOT NULL");
+			const names = new Set([...listTemplateNames().filter(name => loadVariantConfig(name)), ...used.map(row => row.template_name)]);
+			const selected = values.template ? [values.template] : [...names].sort();
+			if (selected.length === 0) {
+				console.log("No template has variants, add a variants.json to a template directory to start a test");
+			}
+			for (const name of selected) {
+				await printVariantReport(db, name);
+			}
+			console.log(`\nSignificance compares each reply rate to the leader's (two-proportion z-test, p < ${SIGNIFICANCE_LEVEL})`);
+		}
+	});
+}
+
+async function runAnalyses(values, positionals) {
+	const [action, ...repos] = positionals;
+	if (!(action === "list" || (action === "refresh" && repos.length > 0))) {
+		throw new Error(`Usage: bulk ${COMMANDS.analyses.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "list") {
+			const rows = await listAnalyses(db, repos[0] || null);
+			if (rows.length === 0) {
+				console.log("No cached analyses");
+			}
+			for (const row of rows) {
+				console.log(`${row.repo_name} (${row.model}, prompt v${row.prompt_version}, ${row.created_at}${row.fresh ? "" : ", expired"})`);
+				console.log(`    ${row.analysis}`);
+			}
+			console.log(`\nAnalyses are reused for ${REPO_ANALYSIS_TTL_DAYS} days unless the README changes [REPO_ANALYSIS_TTL_DAYS]`);
+			return;
+		}
+
+		if (!process.env.LLMGATEWAY_API_KEY) {
+			throw new Error("LLMGATEWAY_API_KEY environment variable is required");
+		}
+		const { fetchRepoInfo, fetchCodeMatch, getRepoAnalysis } = require("./email");
+		for (const repoName of repos) {
+			const repoInfo = await fetchRepoInfo(repoName);
+			if (!repoInfo) {
+				console.log(`⚠️ Could not fetch repo info for ${repoName}, skipping...`);
+				process.exitCode = 1;
+				continue;
+			}
+			repoInfo.codeMatch = await fetchCodeMatch(db, repoName);
+			const { analysis } = await getRepoAnalysis(db, repoName, repoInfo, { force: true });
+			console.log(`🧠 ${repoName}: ${analysis}`);
+		}
+	});
+}
+
+async function runSenders(values, positionals) {
+	const [action, id] = positionals;
+	if (action !== "list" && !(["pause", "resume"].includes(action) && id)) {
+		throw new Error(`Usage: bulk ${COMMANDS.senders.usage}`);
+	}
+
+	const { health, accounts } = loadSenderConfig();
+	if (id && !accounts.some(account => account.id === id)) {
+		throw new Error(`No sender account ${id}, accounts: ${accounts.map(account => account.id).join(", ")}`);
+	}
+
+	await withDatabase(async db => {
+		if (action === "pause") {
+			await setAccountStatus(db, id, "paused", values.reason || "paused by hand");
+			console.log(`⏸️  Took ${id} out of rotation, its recipients' follow-ups wait until it is resumed`);
+			return;
+		}
+		if (action === "resume") {
+			await setAccountStatus(db, id, "active", null);
+			console.log(`▶️  Put ${id} back into rotation`);
+			return;
+		}
+
+		const throttle = loadThrottleConfig();
+		const paused = await getPausedAccounts(db);
+		for (const account of accounts) {
+			const quota = await getQuota(db, account.id, getAccountThrottleConfig(account, throttle));
+			const stats = await getAccountHealth(db, account.id, health);
+			const recipients = await getQuery(db, "SELECT COUNT(*) as count FROM emails WHERE sender_account = ?", [account.id]);
+			const state = paused.has(account.id) ? `paused (${paused.get(account.id).reason}, ${paused.get(account.id).updated_at})` : "active";
+			const warmup = quota.warmupWeek ? ` (warmup week ${quota.warmupWeek})` : "";
+			console.log(`\n📮 ${account.id}: ${account.fromName} <${account.fromEmail}> via ${getProviderSettings(account).type}, ${state}`);
+			console.log(`  Quota: ${quota.remainingToday}/${quota.dailyCap} left today${warmup}, ${quota.remainingThisHour}/${quota.hourlyCap} this hour`);
+			const bounces = stats.sent > 0 ? `${formatRate(stats.bounced, stats.sent)} of the last ${stats.sent} emails bounced` : "no emails to count bounces on yet";
+			console.log(`  Health: ${stats.consecutiveFailures} failed sends in a row, ${bounces}`);
+			console.log(`  ${recipients.count} recipients`);
+		}
+		console.log(`\nAccounts are paused after ${health.maxConsecutiveFailures} failed sends in a row or a bounce rate over ${100 * health.maxBounceRate}% once they sent ${health.minSends} emails`);
+	});
+}
+
+async function runState(values, positionals) {
+	if (positionals[0] !== "reset") {
+		throw new Error(`Usage: bulk ${COMMANDS.state.usage}`);
+	}
+
+	await withDatabase(async db => {
+		if (values.keyword) {
+			const result = await runQuery(db, "DELETE FROM search_windows WHERE keyword = ?", [values.keyword]);
+			console.log(`🗑️  Removed ${result.changes} search windows for ${values.keyword}`);
+		} else {
+			const result = await runQuery(db, "DELETE FROM search_windows");
+			await runQuery(db, "DELETE FROM request_state");
+			console.log(`🗑️  Removed ${result.changes} search windows and the saved code search state`);
+		}
+		console.log("The repos ledger is kept, already processed repositories are still skipped");
+	});
+}
+
+// Parse the command line and run the command
+async function main(argv = process.argv.slice(2)) {
+	const [commandName, ...args] = argv;
+	if (!commandName || commandName === "help" || commandName === "--help" || commandName === "-h") {
+		printHelp();
+		return;
+	}
+
+	const command = COMMANDS[commandName];
+	if (!command) {
+		console.error(`❌ Unknown command "${commandName}"\n`);
+		printHelp();
+		process.exitCode = 1;
+		return;
+	}
+
+	try {
+		const options = { ...command.options, ...GLOBAL_OPTIONS };
+		const { values, positionals } = parseArgs({
+			args,
+			options: Object.fromEntries(Object.entries(options).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])),
+			allowPositionals: true,
+		});
+
+		if (values.help) {
+			printHelp(commandName);
+			return;
+		}
+
+		validateOptions(values);
+		applyOptions(options, values);
+		await command.run(values, positionals);
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
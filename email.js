@@ -2,127 +2,130 @@ require("dotenv").config();
 
 const fs = require("fs");
 const path = require("path");
-const sqlite3 = require("sqlite3").verbose();
-const nodemailer = require("nodemailer");
+const { openDatabase, allQuery, getQuery, runQuery, closeDatabase, withTransaction } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { createGitHubClient } = require("./lib/github");
+const { loadScoringConfig, rescoreLeads } = require("./lib/scoring");
+const { loadSequenceConfig, validateSequences, fetchDueFollowUps, recordEmailStep } = require("./lib/sequences");
+const { renderTemplate, renderEmailPart, renderHtml, buildTemplateVariables, validateTemplates, getTemplateName, loadCampaignConfig } = require("./lib/templates");
+const { suppressedCondition, createUnsubscribeToken } = require("./lib/suppressions");
+const { assignVariant, promoteWinners } = require("./lib/variants");
+const { TRACKING_URL, addTracking, addTextTracking } = require("./lib/tracking");
+const { loadThrottleConfig, getQuota, waitForSendSlot, recordSend } = require("./lib/throttle");
+const {
+	loadSenderConfig,
+	getAccountThrottleConfig,
+	getPausedAccounts,
+	checkAccountHealth,
+	pickAccount,
+} = require("./lib/senders");
+const { findAnalysis, saveAnalysis } = require("./lib/analyses");
+const { MAX_SEND_ATTEMPTS, waitingCondition, recordFailure, clearAttempts } = require("./lib/attempts");
+const {
+	UNSENT_STATUSES,
+	getMessageId,
+	getOutboxMessage,
+	saveOutboxMessage,
+	buildOutboxMessage,
+	setOutboxParts,
+	setOutboxSending,
+	setOutboxSent,
+	setOutboxUnsent,
+	listOutbox,
+} = require("./lib/outbox");
+const { getProviderSettings, createProvider, createFileProvider } = require("./lib/providers");
+const { getCloseIds, saveCloseIds } = require("./lib/close");
 
-const SMTP_USERNAME = process.env.SMTP_USERNAME;
-const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
 const LLMGATEWAY_API_KEY = process.env.LLMGATEWAY_API_KEY;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const ANALYSIS_MODEL = "gpt-5-mini";
+// Bump when the analysis prompt changes so cached analyses (lib/analyses.js) are regenerated
+const ANALYSIS_PROMPT_VERSION = 1;
 const EMAIL_COUNT = parseInt(process.env.EMAIL_COUNT) || 20;
+// Only send leads approved in the review dashboard (review.js)
+const SEND_APPROVED_ONLY = process.env.SEND_APPROVED_ONLY === "true";
+// Dry runs write the emails to .eml files with a manifest.json instead of sending them, and leave the
+// database as it was apart from scores and cached analyses
+const DRY_RUN = process.env.DRY_RUN === "true";
+// Keep the stored scores (node score.js refreshes them) and only score new people, instead of the whole database
+const SKIP_RESCORE = process.env.SKIP_RESCORE === "true";
+const DRY_RUN_DIR = path.resolve(__dirname, process.env.DRY_RUN_DIR || path.join("dry-run", new Date().toISOString().replace(/[:.]/g, "-")));
 const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
 
-// Close API configuration (optional)
-const CLOSE_API_KEY = process.env.CLOSE_API_KEY;
-const CLOSE_API_URL = process.env.CLOSE_API_URL || "https://api.close.com/api/v1";
-// const CLOSE_CONTACT_ID = process.env.CLOSE_CONTACT_ID;
-// const CLOSE_USER_ID = process.env.CLOSE_USER_ID;
-// const CLOSE_LEAD_ID = process.env.CLOSE_LEAD_ID;
-const CLOSE_EMAIL_ACCOUNT_ID = process.env.CLOSE_EMAIL_ACCOUNT_ID;
-const USE_CLOSE_API = process.env.USE_CLOSE_API === "true";
-
-// Email configuration
-const FROM_EMAIL = process.env.FROM_EMAIL || "hello@usellmgateway.com";
-const FROM_NAME = process.env.FROM_NAME || "Luca from LLMGateway";
+// Email configuration, sender identities come from the sender pool (lib/senders.js)
+// Subject for leads scraped before keywords were stored, which were all OpenRouter users
 const EMAIL_SUBJECT = process.env.EMAIL_SUBJECT || "The actual \"Open\" alternative to OpenRouter";
 
-// Utility functions to promisify sqlite3 operations
-function openDatabase(dbPath) {
-	return new Promise((resolve, reject) => {
-		const database = new sqlite3.Database(dbPath, (err) => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(database);
-			}
-		});
-	});
-}
-
-function allQuery(db, query, params = []) {
-	return new Promise((resolve, reject) => {
-		db.all(query, params, (err, rows) => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(rows);
-			}
-		});
-	});
-}
-
-function runQuery(db, query, params = []) {
-	return new Promise((resolve, reject) => {
-		db.run(query, params, function (err) {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(this);
-			}
-		});
-	});
-}
-
-function closeDatabase(db) {
-	return new Promise((resolve, reject) => {
-		db.close((err) => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve();
-			}
-		});
-	});
-}
+// One-click unsubscribe, UNSUBSCRIBE_URL is where unsubscribe.js is reachable from the recipient's side.
+// Real sends require it, the localhost default is only for dry runs and review drafts
+const UNSUBSCRIBE_URL = process.env.UNSUBSCRIBE_URL || "http://localhost:3200/unsubscribe";
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+const UNSUBSCRIBE_MAILTO = process.env.UNSUBSCRIBE_MAILTO;
 
-// Initialize nodemailer with Mailtrap SMTP
-function createMailTransporter() {
-	return nodemailer.createTransport({
-		host: process.env.SMTP_HOST || "sandbox.smtp.mailtrap.io",
-		port: 2525,
-		auth: {
-			user: process.env.SMTP_USERNAME,
-			pass: process.env.SMTP_PASSWORD,
-		},
-	});
-}
+const github = createGitHubClient();
 
-// Fetch unique email addresses with repo info from database
-// Only select top 3 contributors per repository, sorted by commit count descending
-async function fetchEmailsToSend(db, count) {
+// Fetch one address per person for the highest scoring leads above the configured minimum score,
+// limited to config.maxPerRepo people per repository (see scoring.json)
+async function fetchEmailsToSend(db, count, scoringConfig, approvedOnly = false) {
 	try {
 		const query = `
-			WITH RankedEmails AS (
+			WITH Deliverable AS (
 				SELECT
-					email,
-					repo_name,
-					keyword,
-					github_stars,
-					full_name,
-					commits,
+					pe.person_id,
+					e.email,
+					e.full_name,
+					e.email_draft,
 					ROW_NUMBER() OVER (
-						PARTITION BY repo_name
-						ORDER BY commits DESC, created_at DESC
+						PARTITION BY pe.person_id
+						ORDER BY e.commits DESC, e.created_at
+					) as email_rank
+				FROM emails e
+				JOIN person_emails pe ON pe.email = e.email
+				JOIN people p ON p.id = pe.person_id
+				WHERE e.ignore = 0
+					${approvedOnly ? "AND e.approved = 1" : ""}
+					AND e.email NOT LIKE '%noreply%'
+					AND e.email LIKE '%@%'
+					AND NOT ${suppressedCondition("e.email", "p.github_login")}
+					AND NOT ${waitingCondition("e.email", "1")}
+					-- Emails from before the verification cache have no row, anything not valid waits
+					AND NOT EXISTS (
+						SELECT 1 FROM verifications v WHERE v.email = e.email AND v.status != 'valid'
+					)
+					AND pe.person_id NOT IN (
+						SELECT pe2.person_id
+						FROM person_emails pe2
+						JOIN emails e2 ON e2.email = pe2.email
+						WHERE e2.email_sent = 1
+					)
+			),
+			RankedLeads AS (
+				SELECT
+					d.email,
+					s.repo_name,
+					s.keyword,
+					s.stars as github_stars,
+					d.full_name,
+					d.email_draft,
+					s.commits,
+					s.score,
+					ROW_NUMBER() OVER (
+						PARTITION BY s.repo_name
+						ORDER BY s.score DESC
 					) as rank
-				FROM emails
-				WHERE ignore = 0
-					AND approved = 0
-					AND email NOT LIKE '%noreply%'
-					AND email LIKE '%@%'
-					AND repo_name IS NOT NULL
-					AND commits IS NOT NULL
+				FROM lead_scores s
+				JOIN Deliverable d ON d.person_id = s.person_id AND d.email_rank = 1
+				WHERE s.score >= ?
 			)
-			SELECT email, repo_name, keyword, github_stars, full_name, commits
-			FROM RankedEmails
-			WHERE rank <= 3
-				AND email NOT IN (
-					SELECT email FROM emails WHERE email_sent = 1
-				)
-			ORDER BY github_stars DESC, commits DESC, repo_name, rank
+			SELECT email, repo_name, keyword, github_stars, full_name, email_draft, commits, score
+			FROM RankedLeads
+			WHERE rank <= ?
+			ORDER BY score DESC, repo_name
 			LIMIT ?
 		`;
 
-		const emails = await allQuery(db, query, [count]);
+		// Approved leads were picked by a reviewer, so the minimum score and per-repo cap don't apply
+		const limits = approvedOnly ? [0, count] : [scoringConfig.minScore, scoringConfig.maxPerRepo];
+		const emails = await allQuery(db, query, [...limits, count]);
 		return emails;
 	} catch (error) {
 		console.error("Error fetching emails from database:", error.message);
@@ -130,17 +133,22 @@ async function fetchEmailsToSend(db, count) {
 	}
 }
 
+// Fetch the file path and snippet a code search matched for a repository (if it was found that way)
+async function fetchCodeMatch(db, repoName) {
+	try {
+		const rows = await allQuery(db, "SELECT path, html_url, snippet FROM code_matches WHERE repo_name = ? ORDER BY id LIMIT 1", [repoName]);
+		return rows.length > 0 ? rows[0] : null;
+	} catch (error) {
+		// Databases created before the code search lead source have no code_matches table
+		return null;
+	}
+}
+
 // Fetch repository information from GitHub API
 async function fetchRepoInfo(repoName) {
 	try {
-		const headers = {
-			"Accept": "application/vnd.github+json",
-			"Authorization": `Bearer ${GITHUB_TOKEN}`,
-			"User-Agent": "LLMGateway-Outreach",
-		};
-
 		// Get repository info
-		const repoResponse = await fetch(`https://api.github.com/repos/${repoName}`, { headers });
+		const repoResponse = await github.request(`/repos/${repoName}`);
 		if (!repoResponse.ok) {
 			throw new Error(`GitHub API error: ${repoResponse.status}`);
 		}
@@ -149,7 +157,7 @@ async function fetchRepoInfo(repoName) {
 		// Get README content
 		let readmeContent = "";
 		try {
-			const readmeResponse = await fetch(`https://api.github.com/repos/${repoName}/readme`, { headers });
+			const readmeResponse = await github.request(`/repos/${repoName}/readme`);
 			if (readmeResponse.ok) {
 				const readmeData = await readmeResponse.json();
 				readmeContent = Buffer.from(readmeData.content, "base64").toString("utf-8");
@@ -179,13 +187,16 @@ async function fetchRepoInfo(repoName) {
 // Analyze repository using LLMGateway
 async function analyzeRepository(repoInfo) {
 	try {
+		const codeMatchContext = repoInfo.codeMatch
+			? `\nThe repository uses the API in ${repoInfo.codeMatch.path}:\n${repoInfo.codeMatch.snippet || ""}\n`
+			: "";
 		const prompt = `Analyze this GitHub repository and write a natural 2-3 sentence description that flows well in an email. The description should naturally mention if the project likely uses AI/LLM services or APIs, and seamlessly work in a sentence like "I came across your work on [repo] and was impressed by what you've built. [YOUR DESCRIPTION]"
 
 Repository: ${repoInfo.fullName}
 Description: ${repoInfo.description}
 Language: ${repoInfo.language}
 Stars: ${repoInfo.stars}
-
+${codeMatchContext}
 DO NOT include the "I came across your work" in the output. Make sure the description is as accurate as possible.
 
 README content:
@@ -201,7 +212,7 @@ Write a natural, conversational description that would fit perfectly after "I wa
 				"X-LLMGateway-Kind": "bulk-email-summary",
 			},
 			body: JSON.stringify({
-				model: "gpt-5-mini",
+				model: ANALYSIS_MODEL,
 				messages: [
 					{
 						role: "user",
@@ -224,321 +235,488 @@ Write a natural, conversational description that would fit perfectly after "I wa
 	}
 }
 
-// Generate dynamic email subject based on keyword
-function generateEmailSubject(keyword) {
-	if (!keyword) {
-		return EMAIL_SUBJECT || "Discover LLMGateway - The Open Source AI Gateway";
-	}
+// What follow-ups know about a repository without asking GitHub again: the stars saved with the lead
+// and the metadata saved with its latest analysis. Providers that create a CRM lead (Close) fill it from this
+async function getStoredRepoInfo(db, repoName, stars) {
+	const cached = await getQuery(db, "SELECT repo_info FROM repo_analyses WHERE repo_name = ? ORDER BY created_at DESC LIMIT 1", [repoName]);
+	const metadata = cached ? JSON.parse(cached.repo_info) : {};
+	return { ...metadata, fullName: repoName, stars: stars ?? metadata.stars };
+}
 
-	const keywordLower = keyword.toLowerCase();
-
-	if (keywordLower === "openrouter") {
-		return "The actual \"Open\" alternative to OpenRouter";
-	} else if (keywordLower === "openai") {
-		return "Beyond OpenAI - Multi-provider AI Gateway";
-	} else if (keywordLower === "anthropic" || keywordLower === "claude") {
-		return "Multi-model AI Gateway - Beyond Single Providers";
-	} else if (keywordLower === "ollama") {
-		return "Expand ollama and gain insights";
-	} else {
-		// Generic subject for other keywords
-		return `Enhance Your ${keyword} Project with Multi-Model AI`;
+// Analysis of a repository from the repo_analyses cache, or from LLMGateway when there is no fresh one for
+// its current README and code match. force regenerates it anyway
+async function getRepoAnalysis(db, repoName, repoInfo, { force = false } = {}) {
+	if (!force) {
+		const cached = await findAnalysis(db, repoName, repoInfo, ANALYSIS_MODEL, ANALYSIS_PROMPT_VERSION);
+		if (cached) {
+			return { analysis: cached.analysis, cachedAt: cached.created_at };
+		}
 	}
+	const analysis = await analyzeRepository(repoInfo);
+	await saveAnalysis(db, repoName, repoInfo, ANALYSIS_MODEL, ANALYSIS_PROMPT_VERSION, analysis);
+	return { analysis, cachedAt: null };
 }
 
-// Generate personalized email content
-function generatePersonalizedEmail(repoAnalysis, repoInfo, keyword) {
-	const isOpenRouter = keyword && keyword.toLowerCase() === "openrouter";
+// Template variables for a lead sent from a sender account, see lib/templates.js
+function buildEmailVariables(lead, repoInfo, repoAnalysis, account) {
+	return buildTemplateVariables({ lead, repoInfo, analysis: repoAnalysis, fromName: account.fromName, signature: account.signature || null });
+}
 
-	if (isOpenRouter) {
-		return `Hi there!
+// Generate email subject from templates/<keyword>/subject.txt (or the A/B variant's), or EMAIL_SUBJECT
+// for leads without a keyword
+function generateEmailSubject(variables, variant = null) {
+	if (!variables.keyword) {
+		return EMAIL_SUBJECT;
+	}
+	return renderEmailPart("subject", variables.keyword, variables, variant);
+}
 
-I came across your work on ${repoInfo.fullName} and was impressed by what you've built. ${repoAnalysis}
+// Generate personalized email content from templates/<keyword>/body.md (or the A/B variant's)
+function generatePersonalizedEmail(variables, variant = null) {
+	return renderEmailPart("body", variables.keyword, variables, variant);
+}
 
-Given the nature of your project, I thought you might find LLMGateway (https://llmgateway.io) interesting - it's a self-hosted alternative to OpenRouter (read the full email for free credits!) that gives you:
+// Refuse to send with templates that don't parse or use variables that don't exist
+function checkTemplates() {
+	const problems = [...validateTemplates(), ...validateSequences()].filter(result => result.error || result.missing.length > 0);
+	for (const problem of problems) {
+		console.error(`❌ Template ${problem.file}: ${problem.error || `unknown variables ${problem.missing.join(", ")}`}`);
+	}
+	if (problems.length > 0) {
+		throw new Error("Fix the email templates first, \"bulk templates validate\" lists the problems");
+	}
+}
 
-• Fully open source & self-hostable
-• Deep analytics and usage insights
-• Intelligent routing for cost & performance optimization
+function getUnsubscribeUrl(email) {
+	return `${UNSUBSCRIBE_URL}?token=${createUnsubscribeToken(email, UNSUBSCRIBE_SECRET)}`;
+}
 
-Unlike hosted services, LLMGateway can be deployed in your own environment, giving you full visibility into costs, usage patterns, and model performance. This is particularly valuable for production applications where you need predictable costs and complete data control.
+// Append the unsubscribe link every email carries
+function addUnsubscribeFooter(emailContent, email) {
+	return `${emailContent}
 
-We also have a hosted version of LLMGateway to get started quickly. Just reply here with your registered email and I'll give you a few credits for free to try it out.
+--
+Don't want to hear from us again? Unsubscribe here: ${getUnsubscribeUrl(email)}`;
+}
 
-Cheers,
-${FROM_NAME}
-https://llmgateway.io`;
-	} else {
-		return `Hi there!
+// Text and HTML parts of an email from its (Markdown) text, both ending in the unsubscribe footer.
+// Both parts get tracked links and the HTML part the open pixel, as the campaign allows.
+// message is { email, step, templateName, keyword, variant }
+async function buildMessage(db, emailContent, message) {
+	const loaded = loadCampaignConfig(message.templateName);
+	// Dry runs don't create tracking tokens, so their files only differ where the templates do
+	const campaign = DRY_RUN ? { ...loaded, trackLinks: false, trackOpens: false } : loaded;
+	const html = await addTracking(db, renderHtml(emailContent), message, campaign);
+	const unsubscribeUrl = getUnsubscribeUrl(message.email).replace(/&/g, "&amp;");
+	return {
+		text: addUnsubscribeFooter(await addTextTracking(db, emailContent, message, campaign), message.email),
+		html: `${html}\n<p>--<br>Don't want to hear from us again? <a href="${unsubscribeUrl}">Unsubscribe here</a></p>`,
+	};
+}
 
-I came across your work on ${repoInfo.fullName} and was impressed by what you've built. ${repoAnalysis}
+// nodemailer options of a { text, html } message as multipart/alternative, which every provider takes.
+// Follow-ups pass the earlier Message-IDs to stay in the thread
+function buildMailOptions(account, toEmail, emailMessage, subject, { messageId, references = [] }) {
+	const mailOptions = {
+		from: {
+			name: account.fromName,
+			address: account.fromEmail,
+		},
+		messageId,
+		to: toEmail,
+		subject,
+		text: emailMessage.text,
+		html: emailMessage.html,
+		headers: {
+			"List-Unsubscribe": [`<${getUnsubscribeUrl(toEmail)}>`, UNSUBSCRIBE_MAILTO && `<mailto:${UNSUBSCRIBE_MAILTO}?subject=unsubscribe>`].filter(Boolean).join(", "),
+			"List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+		},
+	};
+	if (references.length > 0) {
+		mailOptions.inReplyTo = references[references.length - 1];
+		mailOptions.references = references;
+	}
+	return mailOptions;
+}
 
-Given that you're working with AI, I thought you might find LLMGateway (https://llmgateway.io) interesting - instead of being locked into a single AI provider, an API gateway gives you:
+// Set up every sender account's provider, which checks the credentials before anything else runs
+function createAccountProviders(accounts) {
+	return new Map(accounts.map(account => [account.id, createProvider(getProviderSettings(account), account)]));
+}
 
-• Access to 200+ models from multiple providers in one unified API
-• Intelligent routing to automatically choose the best model for cost & performance
-• Deep analytics to understand usage patterns and optimize spend
-• Fallback handling when providers have outages or rate limits
+// Provider settings of a message: its campaign's when the campaign has a provider, otherwise its account's
+function getMessageProviderSettings(account, templateName) {
+	return loadCampaignConfig(templateName).provider || getProviderSettings(account);
+}
 
-Unlike single-provider solutions, LLMGateway gives you flexibility to switch between providers without changing code, compare model performance side-by-side, and avoid vendor lock-in. This is particularly valuable for production applications where you need reliability and cost control.
+// Sender accounts in rotation for this run with their verified providers. Paused and unhealthy accounts
+// are left out, and so are accounts whose provider fails to verify for now. A dry run (no providers) only
+// leaves out paused accounts
+async function prepareSenderPool(db, senderConfig, throttleConfig, providers = null) {
+	const pool = {
+		health: senderConfig.health,
+		throttleConfig,
+		accounts: new Map(senderConfig.accounts.map(account => [account.id, account])),
+		active: new Map(),
+		// Verified providers by account and settings, campaign providers are added on first use
+		providers: new Map(),
+	};
+	const paused = await getPausedAccounts(db);
+
+	for (const account of senderConfig.accounts) {
+		if (paused.has(account.id)) {
+			console.log(`⏸️  ${account.id} is out of rotation: ${paused.get(account.id).reason}`);
+			continue;
+		}
+		const reason = providers && await checkAccountHealth(db, account, pool.health);
+		if (reason) {
+			console.log(`⏸️  Took ${account.id} out of rotation: ${reason}`);
+			continue;
+		}
+		const settings = getProviderSettings(account);
+		if (providers) {
+			const provider = providers.get(account.id);
+			try {
+				await provider.verify();
+			} catch (error) {
+				console.error(`❌ ${provider.name} connection failed for ${account.id}:`, error.message);
+				continue;
+			}
+			pool.providers.set(`${account.id}:${JSON.stringify(settings)}`, provider);
+		}
 
-We also have a hosted version to get started quickly. Just reply here with your registered email and I'll give you a few credits for free to try it out.
+		pool.active.set(account.id, account);
+		const quota = await getQuota(db, account.id, getAccountThrottleConfig(account, throttleConfig));
+		console.log(`📮 ${account.id} (${settings.type}) can send ${quota.remainingToday} more today${quota.warmupWeek ? ` (warmup week ${quota.warmupWeek})` : ""} and ${quota.remainingThisHour} more this hour`);
+	}
 
-Cheers,
-${FROM_NAME}
-https://llmgateway.io`;
+	if (pool.active.size === 0) {
+		throw new Error("No sender account is in rotation, \"bulk senders list\" shows why");
 	}
+	return pool;
 }
 
-// Send personalized email using nodemailer
-async function sendEmail(transporter, toEmail, emailContent, keyword) {
-	try {
-		const dynamicSubject = generateEmailSubject(keyword);
-		const mailOptions = {
-			from: {
-				name: FROM_NAME,
-				address: FROM_EMAIL,
-			},
-			to: toEmail,
-			subject: dynamicSubject,
-			text: emailContent,
-		};
-
-		const result = await transporter.sendMail(mailOptions);
-		console.log(`✅ Email sent to ${toEmail} - Message ID: ${result.messageId}`);
-		return true;
-	} catch (error) {
-		console.error(`❌ Failed to send email to ${toEmail}:`, error.message);
-		return false;
+// Provider a message goes out through from an account, verified
+async function getMessageProvider(pool, account, templateName) {
+	const key = `${account.id}:${JSON.stringify(getMessageProviderSettings(account, templateName))}`;
+	if (!pool.providers.has(key)) {
+		const provider = createProvider(getMessageProviderSettings(account, templateName), account);
+		await provider.verify();
+		pool.providers.set(key, provider);
 	}
+	return pool.providers.get(key);
 }
 
-// Find or create lead by repository and ensure contact exists for email
-async function findOrCreateLead(email, repoInfo) {
+// Send a message (nodemailer options) through a provider and log the attempt with the provider's id.
+// Failures can take the account out of rotation
+async function sendFromAccount(db, pool, account, provider, mail, { step, repoInfo }) {
+	console.log(`📧 Sending to ${mail.to} from ${account.fromEmail} via ${provider.name}...`);
 	try {
-		if (!repoInfo.fullName) {
-			throw new Error(`No repository name found for ${repoInfo}`);
+		// Close providers reuse the lead and contact saved by earlier sends and sync.js
+		const crm = provider.capabilities.crm ? await getCloseIds(db, mail.to) : null;
+		const result = await provider.send(mail, { step, repoInfo, account, crm });
+		console.log(`✅ Email sent to ${mail.to} - ID: ${result.providerId}`);
+		await recordSend(db, account.id, mail.to, step, "sent", provider.name, result.providerId);
+		if (result.crm && result.crm.contactId) {
+			await saveCloseIds(db, mail.to, result.crm.leadId, result.crm.contactId);
 		}
-		const repoName = repoInfo.fullName;
-
-		// First, search for existing lead for this repository
-		const searchResponse = await fetch(`${CLOSE_API_URL}/lead/?query=custom.Repository:"${repoName}"`, {
-			method: "GET",
-			headers: {
-				"Authorization": `Basic ${Buffer.from(`${CLOSE_API_KEY}:`).toString("base64")}`,
-			},
-		});
-
-		if (!searchResponse.ok) {
-			throw new Error(`Failed to search for lead: ${searchResponse.status}`);
+		return result;
+	} catch (error) {
+		console.error(`❌ Failed to send email to ${mail.to}:`, error.message);
+		await recordSend(db, account.id, mail.to, step, "failed", provider.name);
+		const reason = await checkAccountHealth(db, account, pool.health);
+		if (reason) {
+			pool.active.delete(account.id);
+			console.log(`⏸️  Took ${account.id} out of rotation: ${reason}`);
 		}
+		throw error;
+	}
+}
 
-		const searchData = await searchResponse.json();
-		let lead = null;
-
-		// If lead exists for this repository, use it
-		if (searchData.data && searchData.data.length > 0) {
-			lead = searchData.data[0];
-			console.log(`📋 Found existing lead for repository ${repoName}: ${lead.id}`);
+// Queue the retry of a recipient's failed step, or park it
+async function recordFailedStep(db, email, step, stage, error) {
+	console.error(`❌ ${email} failed at the ${stage} stage:`, error.message);
+	if (DRY_RUN) {
+		return;
+	}
+	try {
+		const attempt = await recordFailure(db, email, step, stage, error);
+		if (attempt.status === "parked") {
+			console.log(`🅿️  Parked ${email}, "bulk attempts release" puts it back`);
 		} else {
-			// Create new lead for this repository
-			console.log(`➕ Creating new lead for repository ${repoName}...`);
-			const leadData = {
-				name: `Contributors - ${repoName}`,
-				custom: {
-					"Repository": repoName,
-					"Language": repoInfo ? repoInfo.language : "",
-					"Stars": repoInfo ? repoInfo.stars : 0,
-				},
-			};
-
-			const createResponse = await fetch(`${CLOSE_API_URL}/lead/`, {
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					"Authorization": `Basic ${Buffer.from(`${CLOSE_API_KEY}:`).toString("base64")}`,
-				},
-				body: JSON.stringify(leadData),
-			});
-
-			if (!createResponse.ok) {
-				const errorData = await createResponse.text();
-				throw new Error(`Failed to create lead: ${createResponse.status} - ${errorData}`);
-			}
-
-			lead = await createResponse.json();
-			console.log(`✅ Created new lead for repository ${repoName}: ${lead.id}`);
+			console.log(`🔁 Retrying ${email} after ${attempt.nextAttemptAt} (attempt ${attempt.attempts} of ${MAX_SEND_ATTEMPTS} failed)`);
 		}
+	} catch (recordError) {
+		console.error(`Error recording the failed attempt for ${email}:`, recordError.message);
+	}
+}
 
-		// Now check if contact with this email exists on this lead
-		const existingContact = lead.contacts && lead.contacts.find(contact =>
-			contact.emails && contact.emails.some(emailObj => emailObj.email === email),
+// Mark email as sent, save the email body and record it as the first step of its sequence
+async function markEmailAsSent(db, email, emailBody, subject, messageId, templateName, variantId, accountId) {
+	try {
+		// Update email as sent and save the email body with the template variant and account it was sent with
+		await runQuery(
+			db,
+			"UPDATE emails SET email_sent = 1, sent_at = CURRENT_TIMESTAMP, email_body = ?, template_name = ?, variant = ?, sender_account = ? WHERE email = ?",
+			[emailBody, templateName, variantId, accountId, email],
 		);
-
-		if (existingContact) {
-			console.log(`📧 Contact with email ${email} already exists on lead ${lead.id}`);
-			return { lead, contact: existingContact };
-		}
-
-		// Create new contact for this email on the lead
-		console.log(`➕ Adding new contact ${email} to lead ${lead.id}...`);
-		const contactData = {
-			lead_id: lead.id,
-			name: email.split("@")[0], // Use email prefix as contact name
-			emails: [{
-				email: email,
-				type: "office",
-			}],
-		};
-
-		const contactResponse = await fetch(`${CLOSE_API_URL}/contact/`, {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-				"Authorization": `Basic ${Buffer.from(`${CLOSE_API_KEY}:`).toString("base64")}`,
-			},
-			body: JSON.stringify(contactData),
-		});
-
-		if (!contactResponse.ok) {
-			const errorData = await contactResponse.text();
-			throw new Error(`Failed to create contact: ${contactResponse.status} - ${errorData}`);
-		}
-
-		const newContact = await contactResponse.json();
-		console.log(`✅ Added contact ${email} to lead: ${newContact.id}`);
-
-		// Return both lead and the newly created contact
-		return { lead, contact: newContact };
-
+		await recordEmailStep(db, email, 1, subject, emailBody, messageId);
+		console.log(`📝 Marked ${email} as sent and saved email body to database`);
 	} catch (error) {
-		console.error(`❌ Error finding/creating lead for ${email} in ${repoInfo?.fullName}:`, error.message);
+		console.error(`Error marking email as sent for ${email}:`, error.message);
 		throw error;
 	}
 }
 
-// Send email using Close API
-async function sendEmailViaClose(toEmail, emailContent, repoInfo, keyword) {
-	try {
-		// Find or create lead first
-		const { lead, contact } = await findOrCreateLead(toEmail, repoInfo);
-
-		if (!contact) {
-			throw new Error(`No contact found for email ${toEmail} on lead ${lead.id}`);
-		}
-
-		const dynamicSubject = generateEmailSubject(keyword);
-		const emailPayload = {
-			contact_id: contact.id,
-			lead_id: lead.id,
-			direction: "outgoing",
-			created_by_name: FROM_NAME,
-			subject: dynamicSubject,
-			sender: FROM_EMAIL,
-			to: [toEmail],
-			bcc: [],
-			cc: [],
-			status: "outbox",
-			body_text: emailContent,
-			body_html: emailContent.replace(/\n/g, "<br>"),
-			attachments: [],
-			email_account_id: CLOSE_EMAIL_ACCOUNT_ID,
-			template_id: null,
-		};
+// Text and HTML parts of an outbox message, built on its first send and kept for retries. A dry run
+// builds them without tracking, so it never saves them over a real message's
+async function getOutboxParts(db, message) {
+	if (message.body_text) {
+		return { text: message.body_text, html: message.body_html };
+	}
+	const parts = await buildMessage(db, message.body, {
+		email: message.email,
+		step: message.step,
+		templateName: message.template_name,
+		keyword: message.keyword,
+		variant: message.variant,
+	});
+	if (message.id && !DRY_RUN) {
+		await setOutboxParts(db, message.id, parts.text, parts.html);
+	}
+	return parts;
+}
 
-		const response = await fetch(`${CLOSE_API_URL}/activity/email/`, {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-				"Authorization": `Basic ${Buffer.from(`${CLOSE_API_KEY}:`).toString("base64")}`,
-			},
-			body: JSON.stringify(emailPayload),
-		});
+// Save a rendered message to the outbox, a dry run keeps it in memory
+function saveRenderedMessage(db, message) {
+	return DRY_RUN ? buildOutboxMessage(message) : saveOutboxMessage(db, message);
+}
 
-		if (!response.ok) {
-			const errorData = await response.text();
-			throw new Error(`Close API error: ${response.status} - ${errorData}`);
-		}
+// Write a message as the account would send it to an .eml file through the dry run's file provider.
+// Returns its manifest entry
+async function writeDryRunMessage(db, fileProvider, account, message, { references = [] } = {}) {
+	const parts = await getOutboxParts(db, message);
+	const messageId = getMessageId(message.idempotency_key, account.fromEmail);
+	const mail = buildMailOptions(account, message.email, parts, message.subject, { messageId, references });
+	const file = path.basename((await fileProvider.send(mail, { step: message.step, account })).providerId);
+	console.log(`📄 Wrote ${file}`);
+	return {
+		file,
+		email: message.email,
+		step: message.step,
+		subject: message.subject,
+		from: account.fromEmail,
+		account: account.id,
+		provider: getMessageProviderSettings(account, message.template_name).type,
+		templateName: message.template_name,
+		variant: message.variant,
+		messageId,
+		references,
+		// Status of a message that was already in the outbox, null for one rendered by this run
+		outboxStatus: message.id ? message.status : null,
+	};
+}
 
-		const result = await response.json();
-		console.log(`✅ Email sent via Close API to ${toEmail} - ID: ${result.id}`);
-		return true;
+// Send an outbox message from an account. It is in sending while the provider has it and goes back to
+// failed when the provider refused it. A send with an unknown outcome stays in sending for reconcileOutbox
+async function deliverOutboxMessage(db, pool, account, message, { repoInfo, references = [] }) {
+	const provider = await getMessageProvider(pool, account, message.template_name);
+	const parts = await getOutboxParts(db, message);
+	// Providers that set their own Message-ID (Close) can't thread follow-ups either
+	const threading = provider.capabilities.threading;
+	const messageId = threading ? getMessageId(message.idempotency_key, account.fromEmail) : null;
+	const mail = buildMailOptions(account, message.email, parts, message.subject, { messageId, references: threading ? references : [] });
+	// The throttle wait can last until the next send window, so the message only moves to sending once
+	// it is over, a restart during the wait must not leave it looking half sent
+	await waitForSendSlot(db, account.id, getAccountThrottleConfig(account, pool.throttleConfig));
+	await setOutboxSending(db, message.id, account.id, provider.name, messageId);
+	try {
+		return await sendFromAccount(db, pool, account, provider, mail, { step: message.step, repoInfo });
 	} catch (error) {
-		console.error(`❌ Failed to send email via Close API to ${toEmail}:`, error.message);
-		return false;
+		if (!error.maybeSent) {
+			await setOutboxUnsent(db, message.id, "failed", error.message);
+		}
+		throw error;
 	}
 }
 
-// Mark email as sent and save email body in database
-async function markEmailAsSent(db, email, emailBody) {
-	try {
-		// Update email as sent and save the email body
-		await runQuery(db, "UPDATE emails SET email_sent = 1, email_body = ? WHERE email = ?", [emailBody, email]);
-		console.log(`📝 Marked ${email} as sent and saved email body to database`);
-	} catch (error) {
-		console.error(`Error marking email as sent for ${email}:`, error.message);
+// Record a sent outbox message in emails and email_steps, in one transaction with its sent status
+async function recordSentMessage(db, message, providerId) {
+	const sent = await getOutboxMessage(db, message.email, message.step);
+	await withTransaction(db, async () => {
+		await setOutboxSent(db, sent.id, providerId);
+		if (sent.step === 1) {
+			await markEmailAsSent(db, sent.email, sent.body_text, sent.subject, sent.message_id, sent.template_name, sent.variant, sent.sender_account);
+		} else {
+			await recordEmailStep(db, sent.email, sent.step, sent.subject, sent.body_text, sent.message_id);
+		}
+		await clearAttempts(db, sent.email, sent.step);
+	});
+}
+
+// Resolve messages a crash or a lost response left in sending. Providers that can look messages up
+// (Close) are asked whether they have it, the others can't be asked, so those count as sent rather than
+// risking a second email to the same person
+async function reconcileOutbox(db, senderConfig, providers) {
+	const accounts = new Map(senderConfig.accounts.map(account => [account.id, account]));
+	for (const message of await listOutbox(db, "sending")) {
+		const account = accounts.get(message.sender_account);
+		try {
+			const campaignProvider = account && loadCampaignConfig(message.template_name).provider;
+			const provider = account && (campaignProvider ? createProvider(campaignProvider, account) : providers.get(account.id));
+			if (provider && provider.capabilities.lookup) {
+				const lead = await getQuery(db, "SELECT repo_name FROM emails WHERE email = ?", [message.email]);
+				const found = await provider.find(message, { repoName: lead.repo_name, crm: await getCloseIds(db, message.email) });
+				if (!found) {
+					await setOutboxUnsent(db, message.id, "queued", `${provider.name} never got the email`);
+					console.log(`↩️  ${message.email} step ${message.step} never reached ${provider.name}, it is sent again`);
+					continue;
+				}
+				await recordSentMessage(db, message, found.providerId);
+				console.log(`🔎 ${message.email} step ${message.step} was interrupted while sending, ${provider.name} has it so it is recorded as sent`);
+			} else {
+				await recordSentMessage(db, message, null);
+				console.log(`🔎 ${message.email} step ${message.step} was interrupted while sending, recorded as sent so it isn't sent twice`);
+			}
+		} catch (error) {
+			console.error(`❌ Could not reconcile ${message.email} step ${message.step}:`, error.message);
+		}
 	}
 }
 
 // Main function
 async function main() {
 	let db;
+	let pool;
 
 	try {
 		console.log("🚀 Starting email sending process...");
 		console.log(`📧 Target: ${EMAIL_COUNT} emails`);
-
-		// Validate required environment variables
-		if (USE_CLOSE_API) {
-			if (!CLOSE_API_KEY || !CLOSE_EMAIL_ACCOUNT_ID) {
-				throw new Error("When USE_CLOSE_API=true, CLOSE_API_KEY and CLOSE_EMAIL_ACCOUNT_ID environment variables are required");
-			}
-			console.log("📧 Using Close API for email sending");
-		} else {
-			if (!SMTP_USERNAME || !SMTP_PASSWORD) {
-				throw new Error("SMTP_USERNAME and SMTP_PASSWORD environment variables are required when not using Close API");
-			}
-			console.log("📧 Using SMTP for email sending");
+		if (DRY_RUN) {
+			console.log(`📂 Dry run, the emails are written to ${DRY_RUN_DIR} instead of being sent`);
 		}
+
+		// Validate required environment variables, a dry run doesn't need the accounts' credentials
+		const senderConfig = loadSenderConfig();
+		const providers = DRY_RUN ? null : createAccountProviders(senderConfig.accounts);
+		console.log(`📧 Sending from ${senderConfig.accounts.map(account => `${account.id} (${getProviderSettings(account).type})`).join(", ")}`);
 		if (!LLMGATEWAY_API_KEY) {
 			throw new Error("LLMGATEWAY_API_KEY environment variable is required");
 		}
-		if (!GITHUB_TOKEN) {
-			throw new Error("GITHUB_TOKEN environment variable is required");
+		if (!UNSUBSCRIBE_SECRET) {
+			throw new Error("UNSUBSCRIBE_SECRET environment variable is required to sign unsubscribe links");
 		}
+		if (!DRY_RUN && !process.env.UNSUBSCRIBE_URL) {
+			throw new Error("UNSUBSCRIBE_URL environment variable is required, the public address of the unsubscribe endpoint");
+		}
+		if (github.tokenCount === 0) {
+			throw new Error("GITHUB_TOKEN or GITHUB_TOKENS environment variable is required");
+		}
+		checkTemplates();
+		const throttleConfig = loadThrottleConfig();
 
 		// Initialize database connection
 		db = await openDatabase(DB_PATH);
 		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		if (!DRY_RUN) {
+			for (const promotion of await promoteWinners(db)) {
+				console.log(`🏆 Promoted variant ${promotion.variant} of ${promotion.templateName} after ${promotion.sends} sends: ${promotion.reason}`);
+			}
+			// Settle sends an earlier run left open before picking recipients
+			await reconcileOutbox(db, senderConfig, providers);
+		}
+
+		// Score leads with the current config, then fetch the best ones to send
+		const scoringConfig = loadScoringConfig();
+		const scored = await rescoreLeads(db, scoringConfig, { onlyUnscored: SKIP_RESCORE });
+		console.log(`🧮 Scored ${scored.people} ${SKIP_RESCORE ? "unscored " : ""}people (minimum score ${scoringConfig.minScore})`);
 
-		// Fetch emails to send
-		const emailsToSend = await fetchEmailsToSend(db, EMAIL_COUNT);
+		if (SEND_APPROVED_ONLY) {
+			console.log("✅ Only sending leads approved in the review dashboard");
+		}
+		if (!TRACKING_URL) {
+			console.log("🔗 TRACKING_URL is not set, links and opens are not tracked");
+		}
+		// Due follow-ups go first, new leads fill the rest of EMAIL_COUNT
+		const followUps = await fetchDueFollowUps(db, loadSequenceConfig(), EMAIL_COUNT);
+		console.log(`🔁 Found ${followUps.length} follow-ups due`);
+		const emailsToSend = await fetchEmailsToSend(db, EMAIL_COUNT - followUps.length, scoringConfig, SEND_APPROVED_ONLY);
 		console.log(`📋 Found ${emailsToSend.length} emails to send`);
 
-		if (emailsToSend.length === 0) {
+		if (emailsToSend.length === 0 && followUps.length === 0) {
 			console.log("No emails to send. All available emails may have been sent already or flagged as ignore.");
 			return;
 		}
 
-		// Initialize email service
-		let transporter = null;
-		if (!USE_CLOSE_API) {
-			transporter = createMailTransporter();
+		// Initialize the sender accounts
+		pool = await prepareSenderPool(db, senderConfig, throttleConfig, providers);
+		const dryRunProvider = createFileProvider({ dir: DRY_RUN_DIR });
+		const dryRunMessages = [];
+		if (DRY_RUN) {
+			await dryRunProvider.verify();
+		}
 
-			// Verify SMTP connection
+		// Send emails, each waiting for its account's next slot
+		let successCount = 0;
+		let failureCount = 0;
+		const total = followUps.length + emailsToSend.length;
+		const repoInfos = new Map();
+
+		for (let i = 0; i < followUps.length; i++) {
+			const followUp = followUps[i];
+			console.log(`\n[${i + 1}/${total}] Follow-up ${followUp.step} (${followUp.name}): ${followUp.full_name || followUp.email} (${followUp.email}) - ${followUp.repo_name}`);
+
+			// Follow-ups come from the account of the first email, emails sent before the pool existed from the first account
+			const accountId = followUp.sender_account || senderConfig.accounts[0].id;
+			const account = pool.active.get(accountId);
+			if (!account) {
+				console.log(`⏸️  ${accountId} is not in rotation, the follow-up waits`);
+				continue;
+			}
+
+			// A failure only affects this recipient, it is queued for a retry and the loop moves on
+			let stage = "render";
 			try {
-				await transporter.verify();
-				console.log("📬 SMTP connection verified successfully");
+				const repoInfo = await getStoredRepoInfo(db, followUp.repo_name, followUp.github_stars);
+				// A follow-up rendered by an earlier run is sent as it is
+				const message = await getOutboxMessage(db, followUp.email, followUp.step) || await saveRenderedMessage(db, {
+					email: followUp.email,
+					step: followUp.step,
+					status: "queued",
+					subject: followUp.subject,
+					body: renderTemplate(followUp.template, { ...buildEmailVariables(followUp, repoInfo, null, account), subject: followUp.initial_subject }),
+					templateName: followUp.template_name || getTemplateName(followUp.keyword),
+					keyword: followUp.keyword,
+					variant: followUp.variant,
+					senderAccount: account.id,
+				});
+				if (!UNSENT_STATUSES.includes(message.status)) {
+					console.log(`⏭️  The follow-up is ${message.status} in the outbox, skipping`);
+					continue;
+				}
+				if (DRY_RUN) {
+					dryRunMessages.push(await writeDryRunMessage(db, dryRunProvider, account, message, { references: followUp.references }));
+					successCount++;
+					continue;
+				}
+				stage = "send";
+				const result = await deliverOutboxMessage(db, pool, account, message, { repoInfo, references: followUp.references });
+				stage = "mark";
+				await recordSentMessage(db, message, result.providerId || null);
+				successCount++;
 			} catch (error) {
-				throw new Error(`SMTP connection failed: ${error.message}`);
+				await recordFailedStep(db, followUp.email, followUp.step, stage, error);
+				failureCount++;
 			}
 		}
 
-		// Send emails
-		let successCount = 0;
-		let failureCount = 0;
-
 		for (let i = 0; i < emailsToSend.length; i++) {
+			if (pool.active.size === 0) {
+				console.log("⏸️  Every sender account is out of rotation, stopping");
+				break;
+			}
 			const emailRecord = emailsToSend[i];
 			const email = emailRecord.email;
 			const repoName = emailRecord.repo_name;
@@ -547,55 +725,113 @@ async function main() {
 			const fullName = emailRecord.full_name;
 			const commits = emailRecord.commits || 0;
 
-			console.log(`\n[${i + 1}/${emailsToSend.length}] Processing: ${fullName || email} (${email}) - ${repoName} [⭐${githubStars}] [📝${commits} commits] [${keyword}]`);
-
-			// Fetch and analyze repository
-			console.log(`📖 Fetching repository info for ${repoName}...`);
-			const repoInfo = await fetchRepoInfo(repoName);
+			console.log(`\n[${followUps.length + i + 1}/${total}] Processing: ${fullName || email} (${email}) - ${repoName} [⭐${githubStars}] [📝${commits} commits] [🧮${emailRecord.score}] [${keyword}]`);
 
-			if (!repoInfo) {
-				console.log(`⚠️ Could not fetch repo info for ${repoName}, skipping...`);
-				failureCount++;
-				continue;
-			}
-
-			console.log(`🧠 Analyzing repository with LLMGateway...`);
-			const repoAnalysis = await analyzeRepository(repoInfo);
-			console.log(`📝 Analysis: ${repoAnalysis.substring(0, 100)}...`);
+			// Each recipient's pipeline is isolated, a failure is queued for a retry and the loop moves on
+			let stage = "repo";
+			try {
+				// Fetch and analyze repository, once per run for contributors of the same one
+				if (!repoInfos.has(repoName)) {
+					console.log(`📖 Fetching repository info for ${repoName}...`);
+					repoInfos.set(repoName, await fetchRepoInfo(repoName));
+				}
+				const repoInfo = repoInfos.get(repoName) && { ...repoInfos.get(repoName) };
+				if (!repoInfo) {
+					throw new Error(`Could not fetch repo info for ${repoName}`);
+				}
+				repoInfo.codeMatch = await fetchCodeMatch(db, repoName);
+
+				// A message drafted in the review dashboard or by an earlier run is sent as it is, from the
+				// account it was written for
+				let message = await getOutboxMessage(db, email, 1);
+				let account;
+				if (message) {
+					if (!UNSENT_STATUSES.includes(message.status)) {
+						console.log(`⏭️  The email is ${message.status} in the outbox, skipping`);
+						continue;
+					}
+					account = pool.active.get(message.sender_account);
+					if (!account) {
+						console.log(`⏸️  The email was written for ${message.sender_account}, which is not in rotation, it waits`);
+						continue;
+					}
+					console.log(`📤 Sending the ${message.status} email from the outbox`);
+				} else {
+					const { templateName, variant } = await assignVariant(db, keyword, email);
+					if (variant) {
+						console.log(`🧪 Template ${templateName}, variant ${variant.id}`);
+					}
+					account = await pickAccount(db, [...pool.active.values()], throttleConfig);
+
+					// Use the email edited in the review dashboard, or generate a personalized one
+					let repoAnalysis = null;
+					if (emailRecord.email_draft) {
+						console.log("📝 Using the reviewed draft");
+					} else {
+						stage = "analysis";
+						const analyzed = await getRepoAnalysis(db, repoName, repoInfo);
+						repoAnalysis = analyzed.analysis;
+						console.log(analyzed.cachedAt ? `🗃️  Using the cached analysis from ${analyzed.cachedAt}` : "🧠 Analyzed repository with LLMGateway");
+						console.log(`📝 Analysis: ${repoAnalysis.substring(0, 100)}...`);
+					}
+
+					stage = "render";
+					message = await saveRenderedMessage(db, {
+						email,
+						step: 1,
+						status: "queued",
+						subject: generateEmailSubject(buildEmailVariables(emailRecord, repoInfo, null, account), variant),
+						body: emailRecord.email_draft || generatePersonalizedEmail(buildEmailVariables(emailRecord, repoInfo, repoAnalysis, account), variant),
+						templateName,
+						keyword,
+						variant: variant ? variant.id : null,
+						senderAccount: account.id,
+					});
+				}
 
-			// Generate personalized email
-			const personalizedEmail = generatePersonalizedEmail(repoAnalysis, repoInfo, keyword);
+				if (DRY_RUN) {
+					dryRunMessages.push(await writeDryRunMessage(db, dryRunProvider, account, message));
+					successCount++;
+					continue;
+				}
 
-			// Send email
-			console.log(`📧 Sending personalized email to ${email}...`);
-			const success = USE_CLOSE_API
-				? await sendEmailViaClose(email, personalizedEmail, repoInfo, keyword)
-				: await sendEmail(transporter, email, personalizedEmail, keyword);
+				// Send email
+				stage = "send";
+				const result = await deliverOutboxMessage(db, pool, account, message, { repoInfo });
 
-			if (success) {
-				await markEmailAsSent(db, email, personalizedEmail);
+				stage = "mark";
+				await recordSentMessage(db, message, result.providerId || null);
 				successCount++;
-			} else {
+			} catch (error) {
+				await recordFailedStep(db, email, 1, stage, error);
 				failureCount++;
 			}
+		}
 
-			// Rate limiting - wait 2 seconds between emails (increased due to API calls)
-			if (i < emailsToSend.length - 1) {
-				console.log("⏳ Waiting 2 minutes...");
-				await new Promise(resolve => setTimeout(resolve, 120000));
-			}
+		if (DRY_RUN) {
+			const manifest = { createdAt: new Date().toISOString(), approvedOnly: SEND_APPROVED_ONLY, messages: dryRunMessages };
+			fs.writeFileSync(path.join(DRY_RUN_DIR, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+			console.log(`\n📂 Wrote ${dryRunMessages.length} emails and manifest.json to ${DRY_RUN_DIR}`);
 		}
 
 		// Summary
 		console.log("\n=== EMAIL SENDING SUMMARY ===");
-		console.log(`✅ Successfully sent: ${successCount}`);
+		console.log(`✅ ${DRY_RUN ? "Written" : "Successfully sent"}: ${successCount}`);
 		console.log(`❌ Failed to send: ${failureCount}`);
-		console.log(`📊 Total processed: ${emailsToSend.length}`);
+		console.log(`📊 Total processed: ${total}`);
 
 	} catch (error) {
 		console.error("❌ Error in email sending process:", error.message);
-		process.exit(1);
+		process.exitCode = 1;
 	} finally {
+		// Pooled SMTP connections would keep the process running
+		if (pool) {
+			for (const provider of pool.providers.values()) {
+				if (provider.close) {
+					provider.close();
+				}
+			}
+		}
 		// Close database connection
 		if (db) {
 			try {
@@ -613,4 +849,4 @@ if (require.main === module) {
 	main();
 }
 
-module.exports = { main };
+module.exports = { main, writeDryRunMessage, fetchRepoInfo, fetchCodeMatch, analyzeRepository, getRepoAnalysis, buildEmailVariables, generateEmailSubject, generatePersonalizedEmail };
@@ -0,0 +1,223 @@
+require("dotenv").config();
+
+const path = require("path");
+const { ImapFlow } = require("imapflow");
+const { simpleParser } = require("mailparser");
+const { openDatabase, runQuery, getQuery, closeDatabase, withTransaction } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { analyzeInboundMessage, queueManualTask } = require("./lib/inbound");
+
+const IMAP_HOST = process.env.IMAP_HOST;
+const IMAP_PORT = parseInt(process.env.IMAP_PORT) || 993;
+// TLS from the start on 993, plain (local test servers) or STARTTLS otherwise
+const IMAP_SECURE = process.env.IMAP_SECURE ? process.env.IMAP_SECURE === "true" : IMAP_PORT === 993;
+const IMAP_USERNAME = process.env.IMAP_USERNAME;
+const IMAP_PASSWORD = process.env.IMAP_PASSWORD;
+const IMAP_MAILBOX = process.env.IMAP_MAILBOX || "INBOX";
+// Poll the mailbox every this many seconds, 0 ingests once and exits
+const INGEST_POLL_SECONDS = parseInt(process.env.INGEST_POLL_SECONDS) || 0;
+// Soft bounces (full mailbox, greylisting...) in a row after which an address counts as bounced
+const SOFT_BOUNCE_LIMIT = 3;
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Find the sent email a message belongs to: by the Message-IDs it references, then the bounced
+// recipient, then the sender's address
+async function matchSentEmail(db, analysis) {
+	if (analysis.referencedIds.length > 0) {
+		const step = await getQuery(
+			db,
+			`SELECT email FROM email_steps WHERE message_id IN (${analysis.referencedIds.map(() => "?").join(", ")}) LIMIT 1`,
+			analysis.referencedIds,
+		);
+		if (step) {
+			return { email: step.email, matchedBy: "message_id" };
+		}
+	}
+
+	const addresses = [
+		[analysis.bounceRecipient, "bounce_recipient"],
+		[analysis.classification.startsWith("bounce") ? null : analysis.fromAddress, "sender"],
+	];
+	for (const [address, matchedBy] of addresses) {
+		if (!address) {
+			continue;
+		}
+		const row = await getQuery(db, "SELECT email FROM emails WHERE lower(email) = ? AND email_sent = 1", [address]);
+		if (row) {
+			return { email: row.email, matchedBy };
+		}
+	}
+	return { email: null, matchedBy: null };
+}
+
+// Update the contact from a matched message. Replies stop the sequence, hard bounces (or too many
+// soft ones) also ignore the address. An unsubscribe is never overwritten
+async function applyClassification(db, email, analysis, inboundId) {
+	if (analysis.classification === "reply") {
+		await runQuery(db, "UPDATE emails SET contact_status = 'replied' WHERE email = ? AND COALESCE(contact_status, '') != 'unsubscribed'", [email]);
+		console.log(`  💬 Reply from ${email}`);
+		if (analysis.creditRequest) {
+			const task = await queueManualTask(db, email, inboundId, "credit_request", "Replied to the free credits offer");
+			console.log(task.changes > 0 ? "  🎁 Queued credit request for manual handling" : "  🎁 Credit request already queued");
+		}
+		return;
+	}
+
+	if (analysis.classification === "bounce_soft") {
+		const softBounces = await getQuery(
+			db,
+			`SELECT COUNT(*) as count FROM inbound_messages
+			 WHERE email = ? AND classification = 'bounce_soft'
+				AND id > COALESCE((SELECT MAX(id) FROM inbound_messages WHERE email = ? AND classification != 'bounce_soft'), 0)`,
+			[email, email],
+		);
+		console.log(`  ⏳ Soft bounce for ${email} (${analysis.bounceStatus || "no status"}), ${softBounces.count}/${SOFT_BOUNCE_LIMIT}`);
+		if (softBounces.count < SOFT_BOUNCE_LIMIT) {
+			return;
+		}
+	}
+
+	if (analysis.classification.startsWith("bounce")) {
+		await runQuery(db, "UPDATE emails SET ignore = 1, contact_status = CASE WHEN contact_status = 'unsubscribed' THEN contact_status ELSE 'bounced' END WHERE email = ?", [email]);
+		console.log(`  📭 Bounced ${email} (${analysis.bounceStatus || "no status"}), address ignored`);
+		return;
+	}
+
+	console.log(`  🤖 Auto-reply from ${email}`);
+}
+
+async function ingestMessage(db, mailbox, message) {
+	const raw = message.source.toString("utf-8");
+	const parsed = await simpleParser(message.source);
+	const analysis = analyzeInboundMessage(parsed, raw);
+	const { email, matchedBy } = await matchSentEmail(db, analysis);
+
+	// The message and what it changes are saved together, so a failed update is retried with the message
+	return withTransaction(db, () => recordMessage(db, mailbox, message, parsed, analysis, email, matchedBy));
+}
+
+// Save a parsed message and update its contact, returns its classification or null when it was already saved
+async function recordMessage(db, mailbox, message, parsed, analysis, email, matchedBy) {
+	const result = await runQuery(
+		db,
+		`INSERT OR IGNORE INTO inbound_messages
+		 (mailbox, uid, message_id, from_address, subject, email, matched_by, classification, bounce_status, received_at)
+		 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		[mailbox, message.uid, parsed.messageId, analysis.fromAddress, parsed.subject, email, matchedBy, analysis.classification, analysis.bounceStatus, parsed.date ? parsed.date.toISOString() : null],
+	);
+	if (result.changes === 0) {
+		return null;
+	}
+
+	console.log(`📨 [${message.uid}] ${analysis.classification}: "${parsed.subject || ""}" from ${analysis.fromAddress || "unknown"}`);
+	if (!email) {
+		console.log("  No sent email matches this message");
+		return analysis.classification;
+	}
+	await applyClassification(db, email, analysis, result.lastID);
+	return analysis.classification;
+}
+
+// Ingest every message newer than the last UID seen in the mailbox
+async function ingestMailbox(db) {
+	const client = new ImapFlow({
+		host: IMAP_HOST,
+		port: IMAP_PORT,
+		secure: IMAP_SECURE,
+		auth: { user: IMAP_USERNAME, pass: IMAP_PASSWORD },
+		logger: false,
+	});
+
+	await client.connect();
+	const counts = {};
+	try {
+		const lock = await client.getMailboxLock(IMAP_MAILBOX);
+		try {
+			const uidValidity = String(client.mailbox.uidValidity);
+			const state = await getQuery(db, "SELECT uid_validity, last_uid FROM ingest_state WHERE mailbox = ?", [IMAP_MAILBOX]);
+			// UIDs are only stable for one UIDVALIDITY, start over when the server reset them
+			const lastUid = state && state.uid_validity === uidValidity ? state.last_uid : 0;
+
+			// Fetch everything first, imapflow can't run other commands while a fetch is streaming
+			const messages = [];
+			for await (const message of client.fetch(`${lastUid + 1}:*`, { uid: true, source: true }, { uid: true })) {
+				// "n:*" always includes the newest message, even when it is older than n
+				if (message.uid > lastUid) {
+					messages.push(message);
+				}
+			}
+
+			let newestUid = lastUid;
+			for (const message of messages) {
+				try {
+					const classification = await ingestMessage(db, IMAP_MAILBOX, message);
+					if (classification) {
+						counts[classification] = (counts[classification] || 0) + 1;
+					}
+				} catch (error) {
+					// Later messages wait too, so the next check starts over at the failed one
+					console.error(`❌ Error ingesting message ${message.uid}, retried on the next check:`, error.message);
+					break;
+				}
+				newestUid = Math.max(newestUid, message.uid);
+			}
+
+			await runQuery(
+				db,
+				`INSERT INTO ingest_state (mailbox, uid_validity, last_uid, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+				 ON CONFLICT (mailbox) DO UPDATE SET uid_validity = excluded.uid_validity, last_uid = excluded.last_uid, updated_at = excluded.updated_at`,
+				[IMAP_MAILBOX, uidValidity, newestUid],
+			);
+		} finally {
+			lock.release();
+		}
+	} finally {
+		await client.logout();
+	}
+	return counts;
+}
+
+// Ingest replies and bounces from the IMAP mailbox, once or every INGEST_POLL_SECONDS
+async function main() {
+	let db;
+
+	try {
+		if (!IMAP_HOST || !IMAP_USERNAME || !IMAP_PASSWORD) {
+			throw new Error("IMAP_HOST, IMAP_USERNAME and IMAP_PASSWORD environment variables are required");
+		}
+
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		while (true) {
+			console.log(`📥 Checking ${IMAP_MAILBOX} on ${IMAP_HOST}:${IMAP_PORT}...`);
+			const counts = await ingestMailbox(db);
+			const summary = Object.entries(counts).map(([classification, count]) => `${count} ${classification}`).join(", ");
+			console.log(`✅ Ingested ${summary || "no new messages"}`);
+
+			if (!INGEST_POLL_SECONDS) {
+				break;
+			}
+			await sleep(INGEST_POLL_SECONDS * 1000);
+		}
+	} catch (error) {
+		console.error("❌ Error ingesting mailbox:", error.message);
+		process.exitCode = 1;
+	} finally {
+		if (db) {
+			await closeDatabase(db);
+		}
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
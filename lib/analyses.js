@@ -0,0 +1,55 @@
+// Cache of the LLM repository analyses email.js puts into emails (repo_analyses). An entry is reused
+// while it is younger than REPO_ANALYSIS_TTL_DAYS and was generated from the same README excerpt, code
+// match, model and prompt version, so a changed README, code match or prompt gets a new analysis.
+
+const crypto = require("crypto");
+const { allQuery, getQuery, runQuery } = require("./db");
+
+const REPO_ANALYSIS_TTL_DAYS = parseInt(process.env.REPO_ANALYSIS_TTL_DAYS) || 30;
+
+// Hash of what the prompt is built from besides the repository metadata (readme_hash). Without a code
+// match it is the README's hash alone, as it was before code matches went into it
+function hashAnalysisInput(repoInfo) {
+	const hash = crypto.createHash("sha256").update(repoInfo.readme || "");
+	if (repoInfo.codeMatch) {
+		hash.update(`\0${repoInfo.codeMatch.path}\0${repoInfo.codeMatch.snippet || ""}`);
+	}
+	return hash.digest("hex");
+}
+
+// Fresh cached analysis of a repository for its current README and code match, if there is one
+async function findAnalysis(db, repoName, repoInfo, model, promptVersion) {
+	return getQuery(
+		db,
+		`SELECT analysis, created_at FROM repo_analyses
+		 WHERE repo_name = ? AND readme_hash = ? AND model = ? AND prompt_version = ? AND created_at > datetime('now', ?)`,
+		[repoName, hashAnalysisInput(repoInfo), model, promptVersion, `-${REPO_ANALYSIS_TTL_DAYS} days`],
+	);
+}
+
+// Store an analysis with the repository metadata and README excerpt it was generated from
+function saveAnalysis(db, repoName, repoInfo, model, promptVersion, analysis) {
+	const metadata = { fullName: repoInfo.fullName, description: repoInfo.description, language: repoInfo.language, stars: repoInfo.stars };
+	return runQuery(
+		db,
+		`INSERT INTO repo_analyses (repo_name, readme_hash, repo_info, readme_excerpt, model, prompt_version, analysis) VALUES (?, ?, ?, ?, ?, ?, ?)
+		 ON CONFLICT (repo_name, readme_hash) DO UPDATE SET
+			repo_info = excluded.repo_info, model = excluded.model, prompt_version = excluded.prompt_version,
+			analysis = excluded.analysis, created_at = CURRENT_TIMESTAMP`,
+		[repoName, hashAnalysisInput(repoInfo), JSON.stringify(metadata), repoInfo.readme, model, promptVersion, analysis],
+	);
+}
+
+// Latest cached analysis per repository, newest first
+function listAnalyses(db, repoName = null) {
+	return allQuery(db, `
+		SELECT repo_name, model, prompt_version, analysis, created_at,
+			created_at > datetime('now', ?) as fresh
+		FROM repo_analyses a
+		WHERE created_at = (SELECT MAX(created_at) FROM repo_analyses WHERE repo_name = a.repo_name)
+			${repoName ? "AND repo_name = ?" : ""}
+		ORDER BY created_at DESC
+	`, [`-${REPO_ANALYSIS_TTL_DAYS} days`, ...(repoName ? [repoName] : [])]);
+}
+
+module.exports = { REPO_ANALYSIS_TTL_DAYS, hashAnalysisInput, findAnalysis, saveAnalysis, listAnalyses };
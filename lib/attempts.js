@@ -0,0 +1,80 @@
+// Retry queue of the send loop (send_attempts). A recipient's step that failed is left out of later runs
+// until its backoff is over, and parked with the reason once it failed in a way retrying won't fix or ran
+// out of attempts. Parked recipients stay parked until bulk attempts release.
+
+const { allQuery, getQuery, runQuery } = require("./db");
+
+const MAX_SEND_ATTEMPTS = parseInt(process.env.MAX_SEND_ATTEMPTS) || 4;
+// Wait after the 1st, 2nd, ... failed attempt, the last one repeats
+const RETRY_BACKOFF_HOURS = [1, 6, 24];
+
+// Failures that happen again on every retry: templates that don't render, recipients the mail server
+// rejects (SMTP 55x), and sends that went out but weren't recorded, which a retry would send twice
+function isPermanentFailure(stage, error) {
+	if (stage === "render" || stage === "mark") {
+		return true;
+	}
+	return stage === "send" && error.responseCode >= 550 && error.responseCode < 560;
+}
+
+// SQL condition that is true while the step of the address in emailColumn waits for a retry or is parked
+function waitingCondition(emailColumn, stepExpression) {
+	return `EXISTS (
+		SELECT 1 FROM send_attempts att
+		WHERE att.email = ${emailColumn} AND att.step = ${stepExpression}
+			AND (att.status = 'parked' OR att.next_attempt_at > CURRENT_TIMESTAMP)
+	)`;
+}
+
+// Record a failed attempt at a stage and queue the retry or park the step. Returns { status, attempts, nextAttemptAt }
+async function recordFailure(db, email, step, stage, error) {
+	const previous = await getQuery(db, "SELECT attempts FROM send_attempts WHERE email = ? AND step = ?", [email, step]);
+	const attempts = (previous ? previous.attempts : 0) + 1;
+	const status = isPermanentFailure(stage, error) || attempts >= MAX_SEND_ATTEMPTS ? "parked" : "retry";
+	const backoff = RETRY_BACKOFF_HOURS[Math.min(attempts, RETRY_BACKOFF_HOURS.length) - 1];
+
+	await runQuery(
+		db,
+		`INSERT INTO send_attempts (email, step, status, stage, error, attempts, next_attempt_at)
+		 VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? = 'retry' THEN datetime('now', ?) END)
+		 ON CONFLICT (email, step) DO UPDATE SET
+			status = excluded.status, stage = excluded.stage, error = excluded.error, attempts = excluded.attempts,
+			next_attempt_at = excluded.next_attempt_at, updated_at = CURRENT_TIMESTAMP`,
+		[email, step, status, stage, error.message, attempts, status, `+${backoff} hours`],
+	);
+	const row = await getQuery(db, "SELECT next_attempt_at FROM send_attempts WHERE email = ? AND step = ?", [email, step]);
+	return { status, attempts, nextAttemptAt: row.next_attempt_at };
+}
+
+// A step that went through leaves the queue
+function clearAttempts(db, email, step) {
+	return runQuery(db, "DELETE FROM send_attempts WHERE email = ? AND step = ?", [email, step]);
+}
+
+// Put a recipient's parked steps back into the queue with fresh attempts
+function releaseParked(db, email) {
+	return runQuery(
+		db,
+		"UPDATE send_attempts SET status = 'retry', attempts = 0, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE email = ? AND status = 'parked'",
+		[email],
+	);
+}
+
+function listAttempts(db, status = null) {
+	return allQuery(db, `
+		SELECT email, step, status, stage, error, attempts, next_attempt_at, updated_at
+		FROM send_attempts
+		${status ? "WHERE status = ?" : ""}
+		ORDER BY status, updated_at DESC
+	`, status ? [status] : []);
+}
+
+module.exports = {
+	MAX_SEND_ATTEMPTS,
+	isPermanentFailure,
+	waitingCondition,
+	recordFailure,
+	clearAttempts,
+	releaseParked,
+	listAttempts,
+};
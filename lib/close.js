@@ -0,0 +1,270 @@
+// Close CRM API used by the Close delivery provider (lib/providers.js) and sync.js. Every repository is a
+// lead (custom.Repository) with a contact per contributor email, and their ids are kept in
+// emails.close_lead_id and close_contact_id so each is only searched for once.
+// close.json (or CLOSE_CONFIG) maps what sync.js pushes to Close contact custom fields, and Close lead
+// statuses to local contact statuses:
+//   { "customFields": { "fullName": "Full Name", "commits": "Commits", "keyword": "Keyword", "score": "Score",
+//     "sequenceStep": "Sequence Step" }, "leadStatuses": { "Not Interested": "unsubscribed" } }
+// Custom fields are named by their Close name or id (cf_...), fields left out aren't pushed.
+
+const fs = require("fs");
+const path = require("path");
+const { getQuery, runQuery } = require("./db");
+
+const CLOSE_API_KEY = process.env.CLOSE_API_KEY;
+const CLOSE_API_URL = process.env.CLOSE_API_URL || "https://api.close.com/api/v1";
+// const CLOSE_CONTACT_ID = process.env.CLOSE_CONTACT_ID;
+// const CLOSE_USER_ID = process.env.CLOSE_USER_ID;
+// const CLOSE_LEAD_ID = process.env.CLOSE_LEAD_ID;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "close.json");
+const SYNC_FIELDS = ["fullName", "commits", "keyword", "score", "sequenceStep"];
+const LOCAL_STATUSES = ["replied", "unsubscribed"];
+const PAGE_SIZE = 100;
+
+function loadCloseConfig(configPath = process.env.CLOSE_CONFIG || DEFAULT_CONFIG_PATH) {
+	const config = JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", configPath), "utf-8"));
+	const customFields = config.customFields || {};
+	for (const name of Object.keys(customFields)) {
+		if (!SYNC_FIELDS.includes(name)) {
+			throw new Error(`Unknown field ${name} in customFields of the Close config, expected ${SYNC_FIELDS.join(", ")}`);
+		}
+	}
+	const leadStatuses = config.leadStatuses || {};
+	for (const [label, status] of Object.entries(leadStatuses)) {
+		if (!LOCAL_STATUSES.includes(status)) {
+			throw new Error(`Lead status "${label}" in the Close config maps to "${status}", expected one of: ${LOCAL_STATUSES.join(", ")}`);
+		}
+	}
+	return { customFields, leadStatuses };
+}
+
+// Quote a value for a Close search query, escaping the quotes and backslashes in it
+function quoteQueryValue(value) {
+	return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+// Call the Close API, throws with status set when Close answers with an error
+async function closeRequest(method, pathname, { query = {}, body } = {}) {
+	const url = new URL(`${CLOSE_API_URL}${pathname}`);
+	for (const [name, value] of Object.entries(query)) {
+		url.searchParams.set(name, value);
+	}
+	const headers = { "Authorization": `Basic ${Buffer.from(`${CLOSE_API_KEY}:`).toString("base64")}` };
+	if (body) {
+		headers["Content-Type"] = "application/json";
+	}
+
+	const response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+	if (!response.ok) {
+		const error = new Error(`Close API error: ${response.status} - ${await response.text()}`);
+		error.status = response.status;
+		throw error;
+	}
+	return response.json();
+}
+
+// Every item of a paginated list
+async function listAll(pathname, query) {
+	const items = [];
+	for (let skip = 0; ; skip += PAGE_SIZE) {
+		const page = await closeRequest("GET", pathname, { query: { ...query, _skip: skip, _limit: PAGE_SIZE } });
+		items.push(...(page.data || []));
+		if (!page.has_more) {
+			return items;
+		}
+	}
+}
+
+// Check the API key
+async function verifyCloseAccess() {
+	await closeRequest("GET", "/me/");
+}
+
+async function findCloseLead(repoName) {
+	const { data } = await closeRequest("GET", "/lead/", { query: { query: `custom.Repository:${quoteQueryValue(repoName)}` } });
+	return data && data.length > 0 ? data[0] : null;
+}
+
+// A lead by id, null when it was deleted in Close
+async function getCloseLead(leadId) {
+	try {
+		return await closeRequest("GET", `/lead/${leadId}/`);
+	} catch (error) {
+		if (error.status === 404) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+// Find or create lead by repository and ensure contact exists for email. known is { leadId, contactId,
+// fullName } from getCloseIds, saved ids skip the search and fullName names a new contact
+async function findOrCreateLead(email, repoInfo, known = {}) {
+	try {
+		if (known.leadId && known.contactId) {
+			return { lead: { id: known.leadId }, contact: { id: known.contactId } };
+		}
+		if (!repoInfo.fullName) {
+			throw new Error(`No repository name found for ${repoInfo}`);
+		}
+		const repoName = repoInfo.fullName;
+
+		// First, look for the lead saved for this repository, then search for it
+		let lead = (known.leadId && await getCloseLead(known.leadId)) || await findCloseLead(repoName);
+
+		// If lead exists for this repository, use it
+		if (lead) {
+			console.log(`📋 Found existing lead for repository ${repoName}: ${lead.id}`);
+		} else {
+			// Create new lead for this repository
+			console.log(`➕ Creating new lead for repository ${repoName}...`);
+			lead = await closeRequest("POST", "/lead/", {
+				body: {
+					name: `Contributors - ${repoName}`,
+					custom: {
+						"Repository": repoName,
+						"Language": repoInfo.language || "",
+						"Stars": repoInfo.stars || 0,
+					},
+				},
+			});
+			console.log(`✅ Created new lead for repository ${repoName}: ${lead.id}`);
+		}
+
+		// Now check if contact with this email exists on this lead
+		const existingContact = lead.contacts && lead.contacts.find(contact =>
+			contact.emails && contact.emails.some(emailObj => emailObj.email === email),
+		);
+
+		if (existingContact) {
+			console.log(`📧 Contact with email ${email} already exists on lead ${lead.id}`);
+			return { lead, contact: existingContact };
+		}
+
+		// Create new contact for this email on the lead, named after the address without a name
+		console.log(`➕ Adding new contact ${email} to lead ${lead.id}...`);
+		const newContact = await closeRequest("POST", "/contact/", {
+			body: {
+				lead_id: lead.id,
+				name: known.fullName || email.split("@")[0],
+				emails: [{
+					email: email,
+					type: "office",
+				}],
+			},
+		});
+		console.log(`✅ Added contact ${email} to lead: ${newContact.id}`);
+
+		// Return both lead and the newly created contact
+		return { lead, contact: newContact };
+
+	} catch (error) {
+		console.error(`❌ Error finding/creating lead for ${email} in ${repoInfo?.fullName}:`, error.message);
+		throw error;
+	}
+}
+
+// Send a message (nodemailer options) as an email activity from a Close email account. Returns the
+// activity, throws when sending failed with maybeSent set when Close may have created the email anyway.
+// Close doesn't take custom headers, so follow-ups only share the "Re:" subject and the unsubscribe
+// link is only in the footer
+async function sendCloseEmail(emailAccountId, mail, repoInfo, known = {}) {
+	let requested = false;
+	try {
+		// Find or create lead first
+		const { lead, contact } = await findOrCreateLead(mail.to, repoInfo, known);
+
+		if (!contact) {
+			throw new Error(`No contact found for email ${mail.to} on lead ${lead.id}`);
+		}
+
+		requested = true;
+		return await closeRequest("POST", "/activity/email/", {
+			body: {
+				contact_id: contact.id,
+				lead_id: lead.id,
+				direction: "outgoing",
+				created_by_name: mail.from.name,
+				subject: mail.subject,
+				sender: mail.from.address,
+				to: [mail.to],
+				bcc: [],
+				cc: [],
+				status: "outbox",
+				body_text: mail.text,
+				body_html: mail.html,
+				attachments: [],
+				email_account_id: emailAccountId,
+				template_id: null,
+			},
+		});
+	} catch (error) {
+		// A 4xx means Close refused the email, a timeout or 5xx leaves it open whether it was created
+		error.maybeSent = requested && !(error.status >= 400 && error.status < 500);
+		throw error;
+	}
+}
+
+// The Close email activity of an outbox message, found by recipient, subject and text on the saved lead
+// or the repository's. null when Close doesn't have it
+async function findCloseEmail(message, { repoName, leadId }) {
+	const lead = leadId ? { id: leadId } : await findCloseLead(repoName);
+	if (!lead) {
+		return null;
+	}
+	const activities = await listAll("/activity/email/", { lead_id: lead.id });
+	return activities.find(activity =>
+		(activity.to || []).includes(message.email) && activity.subject === message.subject && activity.body_text === message.body_text,
+	) || null;
+}
+
+// Set a contact's fields, custom fields as "custom.<name or id>"
+function updateCloseContact(contactId, fields) {
+	return closeRequest("PUT", `/contact/${contactId}/`, { body: fields });
+}
+
+// Lead status changes and email activities created after a Close timestamp (everything without one),
+// oldest first
+async function listLeadStatusChanges(since) {
+	const changes = await listAll("/activity/status_change/lead/", since ? { date_created__gt: since } : {});
+	return changes.sort((a, b) => Date.parse(a.date_created) - Date.parse(b.date_created));
+}
+
+async function listEmailActivities(since) {
+	const activities = await listAll("/activity/email/", since ? { date_created__gt: since } : {});
+	return activities.sort((a, b) => Date.parse(a.date_created) - Date.parse(b.date_created));
+}
+
+// Close ids saved for an email with its full name. The lead can come from another contributor of the
+// same repository
+async function getCloseIds(db, email) {
+	const row = await getQuery(db, `
+		SELECT
+			e.full_name,
+			e.close_contact_id,
+			COALESCE(e.close_lead_id, (SELECT close_lead_id FROM emails other WHERE other.repo_name = e.repo_name AND other.close_lead_id IS NOT NULL LIMIT 1)) as close_lead_id
+		FROM emails e
+		WHERE e.email = ?
+	`, [email]);
+	return row ? { leadId: row.close_lead_id, contactId: row.close_contact_id, fullName: row.full_name } : {};
+}
+
+function saveCloseIds(db, email, leadId, contactId) {
+	return runQuery(db, "UPDATE emails SET close_lead_id = ?, close_contact_id = ? WHERE email = ?", [leadId, contactId, email]);
+}
+
+module.exports = {
+	CLOSE_API_KEY,
+	loadCloseConfig,
+	quoteQueryValue,
+	verifyCloseAccess,
+	findCloseLead,
+	findOrCreateLead,
+	sendCloseEmail,
+	findCloseEmail,
+	updateCloseContact,
+	listLeadStatusChanges,
+	listEmailActivities,
+	getCloseIds,
+	saveCloseIds,
+};
@@ -0,0 +1,77 @@
+// Promisified sqlite3 helpers shared by the entry points
+const sqlite3 = require("sqlite3").verbose();
+
+function openDatabase(dbPath) {
+	return new Promise((resolve, reject) => {
+		const database = new sqlite3.Database(dbPath, (err) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(database);
+			}
+		});
+	});
+}
+
+function runQuery(db, query, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(query, params, function (err) {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(this);
+			}
+		});
+	});
+}
+
+function getQuery(db, query, params = []) {
+	return new Promise((resolve, reject) => {
+		db.get(query, params, (err, row) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(row);
+			}
+		});
+	});
+}
+
+function allQuery(db, query, params = []) {
+	return new Promise((resolve, reject) => {
+		db.all(query, params, (err, rows) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(rows);
+			}
+		});
+	});
+}
+
+function closeDatabase(db) {
+	return new Promise((resolve, reject) => {
+		db.close((err) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve();
+			}
+		});
+	});
+}
+
+// Run a function inside a transaction, rolling back if it throws
+async function withTransaction(db, fn) {
+	await runQuery(db, "BEGIN TRANSACTION");
+	try {
+		const result = await fn();
+		await runQuery(db, "COMMIT");
+		return result;
+	} catch (err) {
+		await runQuery(db, "ROLLBACK");
+		throw err;
+	}
+}
+
+module.exports = { openDatabase, runQuery, getQuery, allQuery, closeDatabase, withTransaction };
@@ -0,0 +1,157 @@
+// Shared GitHub API client used by scrape.js and email.js.
+// Tracks rate limit budgets per token and resource (core, search, code_search), rotates through
+// the tokens in GITHUB_TOKENS and backs off on secondary rate limits and server errors.
+
+const DEFAULT_API_URL = "https://api.github.com";
+const USER_AGENT = "LLMGateway-Outreach";
+const MAX_RETRIES = 5;
+const SERVER_ERROR_BACKOFF_MS = 1000;
+const SECONDARY_LIMIT_BACKOFF_MS = 60000; // GitHub asks to wait at least a minute without Retry-After
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Read tokens from GITHUB_TOKENS (comma separated), falling back to a single GITHUB_TOKEN
+function parseTokens(env) {
+	const list = env.GITHUB_TOKENS || env.GITHUB_TOKEN || "";
+	return list.split(",").map(token => token.trim()).filter(Boolean);
+}
+
+// Guess which rate limit resource a request counts against before it is sent
+function resourceForPath(path) {
+	if (path.startsWith("/search/code")) {
+		return "code_search";
+	}
+	if (path.startsWith("/search/")) {
+		return "search";
+	}
+	return "core";
+}
+
+function createGitHubClient(options = {}) {
+	const apiUrl = (options.apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+	const tokens = options.tokens || parseTokens(process.env);
+	// Without tokens requests are sent unauthenticated through a single slot
+	const slots = (tokens.length > 0 ? tokens : [null]).map(token => ({ token, budgets: {} }));
+	let nextSlot = 0;
+
+	// Pick the next token in round-robin order that still has budget left for the resource
+	function pickSlot(resource) {
+		const now = Date.now();
+		for (let i = 0; i < slots.length; i++) {
+			const index = (nextSlot + i) % slots.length;
+			const budget = slots[index].budgets[resource];
+			if (!budget || budget.remaining > 0 || budget.reset <= now) {
+				nextSlot = (index + 1) % slots.length;
+				return { slot: slots[index] };
+			}
+		}
+
+		const reset = Math.min(...slots.map(slot => slot.budgets[resource].reset));
+		return { waitMs: reset - now };
+	}
+
+	// Record the remaining budget and reset time reported by the response headers
+	function updateBudget(slot, resource, response) {
+		const remaining = response.headers.get("x-ratelimit-remaining");
+		const reset = response.headers.get("x-ratelimit-reset");
+		if (remaining === null || reset === null) {
+			return;
+		}
+
+		const budget = {
+			remaining: parseInt(remaining),
+			// Never trust a reset time in the past, or an exhausted budget would be retried immediately
+			reset: Math.max(parseInt(reset) * 1000, Date.now() + 1000),
+		};
+		// Kept under the resource pickSlot looks up for this path too, in case GitHub names it differently
+		slot.budgets[resource] = budget;
+		const reported = response.headers.get("x-ratelimit-resource");
+		if (reported) {
+			slot.budgets[reported] = budget;
+		}
+	}
+
+	async function backoff(reason, baseMs, retry) {
+		const delay = Math.min(baseMs * 2 ** retry, MAX_BACKOFF_MS);
+		console.log(`  ⏳ GitHub ${reason}, retrying in ${Math.ceil(delay / 1000)}s (retry ${retry + 1}/${MAX_RETRIES})`);
+		await sleep(delay);
+	}
+
+	// Send a request to an API path like "/repos/owner/name" and return the fetch Response.
+	// Rate limits, secondary limits and 5xx errors are retried, other errors are left to the caller.
+	async function request(path, init = {}) {
+		const resource = resourceForPath(path);
+		let retries = 0;
+
+		while (true) {
+			const { slot, waitMs } = pickSlot(resource);
+			if (!slot) {
+				console.log(`  ⏳ GitHub ${resource} rate limit used up on all ${slots.length} token(s), waiting ${Math.ceil(waitMs / 1000)}s for reset...`);
+				await sleep(waitMs);
+				continue;
+			}
+
+			const headers = {
+				"Accept": "application/vnd.github+json",
+				"User-Agent": USER_AGENT,
+				...init.headers,
+			};
+			if (slot.token) {
+				headers["Authorization"] = `Bearer ${slot.token}`;
+			}
+
+			let response;
+			try {
+				response = await fetch(`${apiUrl}${path}`, { ...init, headers });
+			} catch (error) {
+				if (retries >= MAX_RETRIES) {
+					throw error;
+				}
+				await backoff(`request failed (${error.message})`, SERVER_ERROR_BACKOFF_MS, retries++);
+				continue;
+			}
+
+			updateBudget(slot, resource, response);
+
+			if (response.status >= 500 && retries < MAX_RETRIES) {
+				await backoff(`server error ${response.status}`, SERVER_ERROR_BACKOFF_MS, retries++);
+				continue;
+			}
+
+			if ((response.status === 403 || response.status === 429) && retries < MAX_RETRIES) {
+				const retryAfter = response.headers.get("retry-after");
+				if (retryAfter !== null) {
+					console.log(`  ⏳ GitHub asked to retry after ${retryAfter}s`);
+					retries++;
+					await sleep(parseInt(retryAfter) * 1000);
+					continue;
+				}
+
+				// Primary rate limit, the budget is now recorded as used up so another token is picked or we wait
+				if (response.headers.get("x-ratelimit-remaining") === "0") {
+					retries++;
+					continue;
+				}
+
+				const body = await response.clone().text();
+				if (response.status === 429 || /secondary rate limit/i.test(body)) {
+					await backoff("secondary rate limit hit", SECONDARY_LIMIT_BACKOFF_MS, retries++);
+					continue;
+				}
+			}
+
+			return response;
+		}
+	}
+
+	return {
+		request,
+		tokenCount: tokens.length,
+		apiUrl,
+	};
+}
+
+module.exports = { createGitHubClient };
@@ -0,0 +1,143 @@
+// Classification of inbound mail for ingest.js and sync.js, and the manual task queue replies feed.
+// Works on a mailparser result plus the raw source, since delivery status reports keep the bounced
+// recipient, the status code and the original Message-ID in parts mailparser only exposes as text.
+
+const { runQuery } = require("./db");
+
+const EMAIL_PATTERN = /[^\s<>()[\]"',;:]+@[^\s<>()[\]"',;:]+\.[a-z]{2,}/i;
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster)@/i;
+const BOUNCE_SUBJECT = /undeliver|delivery status notification|delivery (has )?failed|mail delivery failed|returned mail|failure notice/i;
+const DELAY_SUBJECT = /delay|will retry/i;
+const AUTO_REPLY_SUBJECT = /^(auto(matic)?[ -]?(reply|response)|out of (the )?office|abwesend|abwesenheit|absence|vacation)/i;
+const AUTO_REPLY_PRECEDENCE = ["auto_reply", "bulk", "junk"];
+
+function headerValue(parsed, name) {
+	const value = parsed.headers && parsed.headers.get(name);
+	if (value && typeof value === "object" && "value" in value) {
+		return String(value.value);
+	}
+	return value ? String(value) : "";
+}
+
+function isBounce(parsed, fromAddress) {
+	const contentType = parsed.headers && parsed.headers.get("content-type");
+	if (contentType && contentType.value === "multipart/report" && contentType.params && contentType.params["report-type"] === "delivery-status") {
+		return true;
+	}
+	return BOUNCE_SENDER.test(fromAddress) || BOUNCE_SUBJECT.test(parsed.subject || "");
+}
+
+function isAutoReply(parsed) {
+	const autoSubmitted = headerValue(parsed, "auto-submitted").toLowerCase();
+	if (autoSubmitted && autoSubmitted !== "no") {
+		return true;
+	}
+	if (headerValue(parsed, "x-autoreply") || headerValue(parsed, "x-autorespond")) {
+		return true;
+	}
+	if (AUTO_REPLY_PRECEDENCE.includes(headerValue(parsed, "precedence").toLowerCase())) {
+		return true;
+	}
+	return AUTO_REPLY_SUBJECT.test(parsed.subject || "");
+}
+
+// 5.x.x statuses and failed actions are permanent, 4.x.x and delayed actions are retried by the sender
+function getBounceDetails(parsed, raw) {
+	const status = /^Status:\s*([245]\.\d{1,3}\.\d{1,3})/im.exec(raw);
+	const action = /^Action:\s*(\w+)/im.exec(raw);
+	const recipient = /^(?:Final|Original)-Recipient:\s*rfc822;\s*<?([^\s>]+)>?/im.exec(raw);
+
+	let hard;
+	if (status) {
+		hard = status[1].startsWith("5");
+	} else if (action) {
+		hard = action[1].toLowerCase() === "failed";
+	} else {
+		hard = !DELAY_SUBJECT.test(parsed.subject || "");
+	}
+
+	return {
+		classification: hard ? "bounce_hard" : "bounce_soft",
+		bounceStatus: status ? status[1] : action ? action[1].toLowerCase() : null,
+		bounceRecipient: recipient ? recipient[1].toLowerCase() : null,
+	};
+}
+
+// Message-IDs the message refers to, bounces also carry the original message's headers
+function getReferencedMessageIds(parsed, raw, bounce) {
+	const ids = [];
+	for (const value of [parsed.inReplyTo, parsed.references].flat()) {
+		if (value) {
+			ids.push(...(String(value).match(/<[^>]+>/g) || [value]));
+		}
+	}
+	if (bounce) {
+		for (const match of raw.matchAll(/^Message-ID:\s*(<[^>]+>)/gim)) {
+			if (match[1] !== parsed.messageId) {
+				ids.push(match[1]);
+			}
+		}
+	}
+	return [...new Set(ids)];
+}
+
+// The reply's own text, without the quoted email it answers
+function stripQuotedText(text) {
+	const lines = [];
+	for (const line of (text || "").split("\n")) {
+		if (/^On .+wrote:\s*$/.test(line) || /^-+\s*Original Message\s*-+$/i.test(line) || /^From: .+/.test(line)) {
+			break;
+		}
+		if (!line.startsWith(">")) {
+			lines.push(line);
+		}
+	}
+	return lines.join("\n").trim();
+}
+
+// Replies to the "reply with your registered email for credits" offer need someone to add the credits
+function isCreditRequest(text) {
+	const reply = stripQuotedText(text);
+	return /credit/i.test(reply) || EMAIL_PATTERN.test(reply);
+}
+
+// Replies asking not to be emailed again, for sources without an unsubscribe link click (Close)
+function isOptOutRequest(text) {
+	return /\b(unsubscribe|opt[ -]?out|remove me|stop (emailing|contacting|sending)|do not (email|contact)|don't (email|contact))\b/i.test(stripQuotedText(text));
+}
+
+// Returns { fromAddress, classification, bounceStatus, bounceRecipient, referencedIds, creditRequest } where
+// classification is "reply", "auto_reply", "bounce_hard" or "bounce_soft"
+function analyzeInboundMessage(parsed, raw) {
+	const fromAddress = parsed.from && parsed.from.value[0] ? (parsed.from.value[0].address || "").toLowerCase() : "";
+	const bounce = isBounce(parsed, fromAddress);
+	const result = {
+		fromAddress,
+		classification: "reply",
+		bounceStatus: null,
+		bounceRecipient: null,
+		referencedIds: getReferencedMessageIds(parsed, raw, bounce),
+		creditRequest: false,
+	};
+
+	if (bounce) {
+		return { ...result, ...getBounceDetails(parsed, raw) };
+	}
+	if (isAutoReply(parsed)) {
+		return { ...result, classification: "auto_reply" };
+	}
+	return { ...result, creditRequest: isCreditRequest(parsed.text) };
+}
+
+// Queue a task for someone to handle by hand, unless the email already has an open one of the same kind
+// (a reply can arrive through both the mailbox and Close)
+function queueManualTask(db, email, inboundId, kind, details) {
+	return runQuery(
+		db,
+		`INSERT INTO manual_tasks (email, inbound_message_id, kind, details)
+		 SELECT ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM manual_tasks WHERE email = ? AND kind = ? AND status = 'open')`,
+		[email, inboundId, kind, details, email, kind],
+	);
+}
+
+module.exports = { analyzeInboundMessage, stripQuotedText, isCreditRequest, isOptOutRequest, queueManualTask };
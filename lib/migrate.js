@@ -0,0 +1,87 @@
+// Versioned schema migrations shared by the scraper, the sender and the other entry points.
+// Migrations live in migrations/ as NNN_description.js files exporting an async up(db), they run
+// in version order inside a transaction and are recorded in the schema_migrations table.
+
+const fs = require("fs");
+const path = require("path");
+const { runQuery, allQuery, withTransaction } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+function loadMigrations() {
+	return fs.readdirSync(MIGRATIONS_DIR)
+		.map(file => /^(\d+)_(.+)\.js$/.exec(file))
+		.filter(Boolean)
+		.map(([file, version, name]) => ({ version: parseInt(version), name, file }))
+		.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS schema_migrations
+		(
+			version INTEGER PRIMARY KEY,
+			name TEXT,
+			applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+// List every migration with its applied_at timestamp, null when still pending
+async function getMigrationStatus(db) {
+	await ensureMigrationsTable(db);
+	const applied = await allQuery(db, "SELECT version, applied_at FROM schema_migrations");
+	const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+	return loadMigrations().map(migration => ({
+		version: migration.version,
+		name: migration.name,
+		appliedAt: appliedAt.get(migration.version) || null,
+	}));
+}
+
+// Apply all pending migrations in order, returning the ones that ran
+async function migrate(db, { log = console.log } = {}) {
+	const applied = new Set((await getMigrationStatus(db)).filter(migration => migration.appliedAt).map(migration => migration.version));
+	const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+	for (const migration of pending) {
+		const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+		await withTransaction(db, async () => {
+			await up(db);
+			await runQuery(db, "INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+		});
+		log(`Applied migration ${migration.version} ${migration.name}`);
+	}
+
+	return pending;
+}
+
+async function columnExists(db, table, column) {
+	const columns = await allQuery(db, `PRAGMA table_info(${table})`);
+	return columns.some(existing => existing.name === column);
+}
+
+// Add a column unless it exists already, for tables that older databases grew one ALTER at a time
+async function addColumnIfMissing(db, table, columnDefinition) {
+	const column = columnDefinition.split(" ")[0];
+	if (!(await columnExists(db, table, column))) {
+		await runQuery(db, `ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`);
+	}
+}
+
+// Change existing columns by rebuilding the table, since SQLite can't alter a column in place.
+// createSql receives the temporary table name, columns maps each new column to an expression
+// over the old table. Indexes on the table are dropped with it and have to be created again.
+async function rebuildTable(db, table, createSql, columns) {
+	const temporary = `${table}_rebuild`;
+	await runQuery(db, createSql(temporary));
+	await runQuery(db, `
+		INSERT INTO ${temporary} (${Object.keys(columns).join(", ")})
+		SELECT ${Object.values(columns).join(", ")} FROM ${table}
+	`);
+	await runQuery(db, `DROP TABLE ${table}`);
+	await runQuery(db, `ALTER TABLE ${temporary} RENAME TO ${table}`);
+}
+
+module.exports = { migrate, getMigrationStatus, addColumnIfMissing, columnExists, rebuildTable };
@@ -0,0 +1,137 @@
+// Outbox of rendered messages (outbox table), so a message is rendered once and sent at most once:
+//   draft    rendered for the review dashboard, not approved yet
+//   queued   approved, or rendered by the sender, waiting to be sent
+//   sending  handed to the delivery provider, the outcome isn't recorded yet
+//   sent     accepted and recorded in emails / email_steps
+//   failed   refused by the provider, the retry queue (lib/attempts.js) sends the same message again
+// The idempotency key comes from the recipient and step, and SMTP messages get a Message-ID derived from
+// it, so a retry is the same message. email.js reconciles messages left in sending on startup.
+
+const crypto = require("crypto");
+const { allQuery, getQuery, runQuery } = require("./db");
+
+const OUTBOX_STATUSES = ["draft", "queued", "sending", "sent", "failed"];
+// Messages whose content can still change, nothing was handed to a provider yet
+const UNSENT_STATUSES = ["draft", "queued", "failed"];
+
+function getIdempotencyKey(email, step) {
+	return crypto.createHash("sha256").update(`${email.toLowerCase()}:${step}`).digest("hex").slice(0, 32);
+}
+
+function getMessageId(key, fromEmail) {
+	return `<${key}@${fromEmail.split("@").pop()}>`;
+}
+
+function getOutboxMessage(db, email, step) {
+	return getQuery(db, "SELECT * FROM outbox WHERE idempotency_key = ?", [getIdempotencyKey(email, step)]);
+}
+
+// Store a rendered message, or return the one the recipient's step already has.
+// message is { email, step, status, subject, body, templateName, keyword, variant, senderAccount }
+async function saveOutboxMessage(db, message) {
+	await runQuery(
+		db,
+		`INSERT INTO outbox (idempotency_key, email, step, status, subject, body, template_name, keyword, variant, sender_account)
+		 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		 ON CONFLICT (idempotency_key) DO NOTHING`,
+		[
+			getIdempotencyKey(message.email, message.step),
+			message.email,
+			message.step,
+			message.status,
+			message.subject,
+			message.body,
+			message.templateName,
+			message.keyword,
+			message.variant,
+			message.senderAccount,
+		],
+	);
+	return getOutboxMessage(db, message.email, message.step);
+}
+
+// An outbox row that is never saved, for dry runs
+function buildOutboxMessage(message) {
+	return {
+		id: null,
+		idempotency_key: getIdempotencyKey(message.email, message.step),
+		email: message.email,
+		step: message.step,
+		status: message.status,
+		subject: message.subject,
+		body: message.body,
+		body_text: null,
+		body_html: null,
+		template_name: message.templateName,
+		keyword: message.keyword,
+		variant: message.variant,
+		sender_account: message.senderAccount,
+	};
+}
+
+// Replace the body of an unsent message, its text and HTML parts are built again when it is sent
+function updateOutboxBody(db, email, step, body) {
+	return runQuery(
+		db,
+		`UPDATE outbox SET body = ?, body_text = NULL, body_html = NULL, updated_at = CURRENT_TIMESTAMP
+		 WHERE idempotency_key = ? AND status IN (${UNSENT_STATUSES.map(() => "?").join(", ")})`,
+		[body, getIdempotencyKey(email, step), ...UNSENT_STATUSES],
+	);
+}
+
+// Drop an unsent message so the next preview or send renders a new one
+function discardOutboxMessage(db, email, step) {
+	return runQuery(
+		db,
+		`DELETE FROM outbox WHERE idempotency_key = ? AND status IN (${UNSENT_STATUSES.map(() => "?").join(", ")})`,
+		[getIdempotencyKey(email, step), ...UNSENT_STATUSES],
+	);
+}
+
+// Approve a drafted message as it is
+function queueOutboxMessage(db, email, step) {
+	return runQuery(db, "UPDATE outbox SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE idempotency_key = ? AND status = 'draft'", [getIdempotencyKey(email, step)]);
+}
+
+// The text and HTML parts, built once so a retry sends the same tracked links
+function setOutboxParts(db, id, text, html) {
+	return runQuery(db, "UPDATE outbox SET body_text = ?, body_html = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [text, html, id]);
+}
+
+function setOutboxSending(db, id, senderAccount, provider, messageId) {
+	return runQuery(
+		db,
+		"UPDATE outbox SET status = 'sending', sender_account = ?, provider = ?, message_id = ?, error = NULL, sending_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+		[senderAccount, provider, messageId, id],
+	);
+}
+
+function setOutboxSent(db, id, providerId) {
+	return runQuery(db, "UPDATE outbox SET status = 'sent', provider_id = ?, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [providerId, id]);
+}
+
+// Back to failed (refused by the provider) or queued (never reached it) with the reason
+function setOutboxUnsent(db, id, status, error) {
+	return runQuery(db, "UPDATE outbox SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [status, error, id]);
+}
+
+function listOutbox(db, status = null) {
+	return allQuery(db, `SELECT * FROM outbox ${status ? "WHERE status = ?" : ""} ORDER BY updated_at DESC, id DESC`, status ? [status] : []);
+}
+
+module.exports = {
+	OUTBOX_STATUSES,
+	UNSENT_STATUSES,
+	getMessageId,
+	getOutboxMessage,
+	saveOutboxMessage,
+	buildOutboxMessage,
+	updateOutboxBody,
+	discardOutboxMessage,
+	queueOutboxMessage,
+	setOutboxParts,
+	setOutboxSending,
+	setOutboxSent,
+	setOutboxUnsent,
+	listOutbox,
+};
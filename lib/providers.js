@@ -0,0 +1,280 @@
+// Delivery providers used by email.js. A sender account (senders.json) names its provider with
+// "provider": "<type>" and the settings under a key of the same name, a campaign (campaign.json) can
+// send its emails through another one with "provider": { "type": "<type>", ...settings }:
+//   smtp     { host, port, secure, requireTLS, tls, pool, maxConnections, usernameEnv, passwordEnv }
+//   close    { emailAccountId }, defaults to the account's closeEmailAccountId, with CLOSE_API_KEY
+//   http     { format: "sendgrid" | "postmark", url, apiKeyEnv }, a transactional email API
+//   file     { dir }, writes every message to an .eml file
+//   webhook  { url, secretEnv }, POSTs every message as JSON, signed when secretEnv is set
+// A provider has
+//   capabilities  { headers, threading, lookup, crm }: it sends our headers (List-Unsubscribe), keeps our
+//                 Message-ID and threading headers so follow-ups stay in the thread, can find() a message
+//                 to tell whether it arrived, keeps the recipient in Close
+//   verify()      throws when the provider can't send, before anything is sent
+//   send(mail, context)  mail is nodemailer's message options, context is { step, repoInfo, account, crm }
+//                 with crm the recipient's saved Close ids (lib/close.js getCloseIds) for crm providers.
+//                 Returns { messageId, providerId }, and crm { leadId, contactId } to save. Throws with
+//                 maybeSent set when the message may have gone out anyway
+//   find(message, { repoName, crm })  { providerId } of a sent outbox message, null when it never arrived
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const MailComposer = require("nodemailer/lib/mail-composer");
+const { CLOSE_API_KEY, verifyCloseAccess, sendCloseEmail, findCloseEmail } = require("./close");
+
+// A 4xx or a connection that never opened means the API didn't take the message, a timeout or 5xx
+// leaves it open
+function setMaybeSent(error) {
+	const refused = error.status >= 400 && error.status < 500;
+	const unreachable = Boolean(error.cause) && ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"].includes(error.cause.code);
+	error.maybeSent = !refused && !unreachable;
+	return error;
+}
+
+async function postJson(url, headers, payload) {
+	const body = JSON.stringify(payload);
+	const response = await fetch(url, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", ...headers(body) },
+		body,
+	});
+	const text = await response.text();
+	if (!response.ok) {
+		const error = new Error(`${url} answered ${response.status} - ${text}`);
+		error.status = response.status;
+		throw error;
+	}
+	let result = {};
+	try {
+		result = text ? JSON.parse(text) : {};
+	} catch (error) {
+		// Some APIs accept without a JSON body
+	}
+	return { response, result };
+}
+
+// Our headers with the threading headers nodemailer would add, for providers that take a header list
+function getMailHeaders(mail) {
+	const headers = { ...mail.headers, "Message-ID": mail.messageId };
+	if (mail.inReplyTo) {
+		headers["In-Reply-To"] = mail.inReplyTo;
+		headers.References = mail.references.join(" ");
+	}
+	return Object.fromEntries(Object.entries(headers).filter(([, value]) => value));
+}
+
+function createSmtpProvider(settings) {
+	const auth = { user: process.env[settings.usernameEnv], pass: process.env[settings.passwordEnv] };
+	if (!auth.user || !auth.pass) {
+		throw new Error(`${settings.usernameEnv} and ${settings.passwordEnv} environment variables are required`);
+	}
+	const transporter = nodemailer.createTransport({
+		host: settings.host,
+		port: settings.port || 587,
+		// secure is TLS from the start (port 465), requireTLS refuses servers without STARTTLS
+		secure: settings.secure || false,
+		requireTLS: settings.requireTLS || false,
+		tls: settings.tls,
+		pool: settings.pool || false,
+		maxConnections: settings.maxConnections,
+		auth,
+	});
+
+	return {
+		name: "smtp",
+		capabilities: { headers: true, threading: true, lookup: false, crm: false },
+		async verify() {
+			await transporter.verify();
+		},
+		async send(mail) {
+			try {
+				const result = await transporter.sendMail(mail);
+				return { messageId: result.messageId, providerId: result.messageId };
+			} catch (error) {
+				// Without an SMTP reply the connection may have dropped after the server took the message
+				error.maybeSent = error.responseCode === undefined && !["ECONNECTION", "EDNS", "EAUTH", "EENVELOPE"].includes(error.code);
+				throw error;
+			}
+		},
+		close() {
+			transporter.close();
+		},
+	};
+}
+
+function createCloseProvider(settings, account) {
+	const emailAccountId = settings.emailAccountId || account.closeEmailAccountId;
+	if (!CLOSE_API_KEY || !emailAccountId) {
+		throw new Error("CLOSE_API_KEY and CLOSE_EMAIL_ACCOUNT_ID (or closeEmailAccountId in senders.json) are required");
+	}
+
+	return {
+		name: "close",
+		capabilities: { headers: false, threading: false, lookup: true, crm: true },
+		verify: verifyCloseAccess,
+		async send(mail, { repoInfo, crm }) {
+			const activity = await sendCloseEmail(emailAccountId, mail, repoInfo, crm);
+			// Close sets its own Message-ID
+			return { messageId: null, providerId: activity.id, crm: { leadId: activity.lead_id, contactId: activity.contact_id } };
+		},
+		async find(message, { repoName, crm }) {
+			const activity = await findCloseEmail(message, { repoName, leadId: crm.leadId });
+			return activity && { providerId: activity.id };
+		},
+	};
+}
+
+// Request shapes of the transactional APIs, providerId reads the API's id of an accepted message
+const HTTP_FORMATS = {
+	sendgrid: {
+		url: "https://api.sendgrid.com/v3/mail/send",
+		headers: apiKey => ({ "Authorization": `Bearer ${apiKey}` }),
+		payload: mail => ({
+			personalizations: [{ to: [{ email: mail.to }] }],
+			from: { email: mail.from.address, name: mail.from.name },
+			subject: mail.subject,
+			content: [{ type: "text/plain", value: mail.text }, { type: "text/html", value: mail.html }],
+			headers: getMailHeaders(mail),
+		}),
+		// SendGrid accepts with an empty 202
+		providerId: (response) => response.headers.get("x-message-id"),
+	},
+	postmark: {
+		url: "https://api.postmarkapp.com/email",
+		headers: apiKey => ({ "X-Postmark-Server-Token": apiKey, "Accept": "application/json" }),
+		payload: mail => ({
+			From: `"${mail.from.name.replace(/"/g, "")}" <${mail.from.address}>`,
+			To: mail.to,
+			Subject: mail.subject,
+			TextBody: mail.text,
+			HtmlBody: mail.html,
+			Headers: Object.entries(getMailHeaders(mail)).map(([Name, Value]) => ({ Name, Value })),
+		}),
+		providerId: (response, result) => result.MessageID,
+	},
+};
+
+function createHttpProvider(settings) {
+	const format = HTTP_FORMATS[settings.format];
+	const apiKey = process.env[settings.apiKeyEnv];
+	if (!apiKey) {
+		throw new Error(`${settings.apiKeyEnv} environment variable is required`);
+	}
+	const url = settings.url || format.url;
+
+	return {
+		name: settings.format,
+		capabilities: { headers: true, threading: true, lookup: false, crm: false },
+		// The APIs have no dry call, the key is checked by the first send
+		async verify() {},
+		async send(mail) {
+			try {
+				const { response, result } = await postJson(url, () => format.headers(apiKey), format.payload(mail));
+				return { messageId: mail.messageId, providerId: format.providerId(response, result) || null };
+			} catch (error) {
+				throw setMaybeSent(error);
+			}
+		},
+	};
+}
+
+// Files are named after the recipient and step, so two runs over the same leads can be diffed
+function createFileProvider(settings) {
+	const dir = path.resolve(__dirname, "..", settings.dir);
+
+	return {
+		name: "file",
+		capabilities: { headers: true, threading: true, lookup: false, crm: false },
+		async verify() {
+			fs.mkdirSync(dir, { recursive: true });
+		},
+		async send(mail, { step }) {
+			const file = path.join(dir, `${mail.to.replace(/[^\w.@+-]/g, "_")}-${step}.eml`);
+			fs.writeFileSync(file, await new MailComposer(mail).compile().build());
+			return { messageId: mail.messageId, providerId: file };
+		},
+	};
+}
+
+// The receiver can check X-Signature, sha256=<HMAC-SHA256 of the body with the secret>
+function createWebhookProvider(settings) {
+	const secret = settings.secretEnv ? process.env[settings.secretEnv] : null;
+	if (settings.secretEnv && !secret) {
+		throw new Error(`${settings.secretEnv} environment variable is required`);
+	}
+	const sign = body => (secret ? { "X-Signature": `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}` } : {});
+
+	return {
+		name: "webhook",
+		capabilities: { headers: true, threading: true, lookup: false, crm: false },
+		async verify() {},
+		async send(mail, { step, account }) {
+			try {
+				const { result } = await postJson(settings.url, sign, {
+					account: account.id,
+					step,
+					from: mail.from,
+					to: mail.to,
+					subject: mail.subject,
+					text: mail.text,
+					html: mail.html,
+					headers: getMailHeaders(mail),
+				});
+				return { messageId: mail.messageId, providerId: result.id || null };
+			} catch (error) {
+				throw setMaybeSent(error);
+			}
+		},
+	};
+}
+
+// Factories and the settings each type needs
+const PROVIDER_TYPES = {
+	smtp: { create: createSmtpProvider, required: ["host", "usernameEnv", "passwordEnv"] },
+	close: { create: createCloseProvider, required: [] },
+	http: { create: createHttpProvider, required: ["format", "apiKeyEnv"] },
+	file: { create: createFileProvider, required: ["dir"] },
+	webhook: { create: createWebhookProvider, required: ["url"] },
+};
+
+// Provider settings of a sender account or campaign: "provider": "<type>" with the settings under
+// the type's key, or "provider": { "type": "<type>", ...settings }
+function getProviderSettings(owner) {
+	const provider = owner.provider || "smtp";
+	return typeof provider === "string" ? { ...owner[provider], type: provider } : provider;
+}
+
+// Check provider settings without touching credentials, label says whose they are in errors
+function validateProviderSettings(settings, label) {
+	const type = PROVIDER_TYPES[settings.type];
+	if (!type) {
+		throw new Error(`${label} has unknown provider "${settings.type}", expected one of: ${Object.keys(PROVIDER_TYPES).join(", ")}`);
+	}
+	const missing = type.required.filter(name => !settings[name]);
+	if (missing.length > 0) {
+		throw new Error(`${label} needs ${missing.map(name => `${settings.type}.${name}`).join(", ")} for its ${settings.type} provider`);
+	}
+	if (settings.type === "http" && !HTTP_FORMATS[settings.format]) {
+		throw new Error(`${label} has unknown http format "${settings.format}", expected one of: ${Object.keys(HTTP_FORMATS).join(", ")}`);
+	}
+}
+
+// Provider for validated settings, sending as account. Throws when credentials are missing
+function createProvider(settings, account) {
+	try {
+		return PROVIDER_TYPES[settings.type].create(settings, account);
+	} catch (error) {
+		throw new Error(`${error.message} for the ${settings.type} provider of ${account.id}`);
+	}
+}
+
+module.exports = {
+	PROVIDER_TYPES,
+	setMaybeSent,
+	getProviderSettings,
+	validateProviderSettings,
+	createProvider,
+	createFileProvider,
+};
@@ -0,0 +1,131 @@
+// Lead scoring used by score.js and the send queue in email.js.
+// Every contribution is scored from its repo and contributor signals, a person's score is their
+// best contribution. Weights, scales and thresholds live in scoring.json (or SCORING_CONFIG).
+
+const fs = require("fs");
+const path = require("path");
+const { allQuery, runQuery, withTransaction } = require("./db");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "scoring.json");
+
+function loadScoringConfig(configPath = process.env.SCORING_CONFIG || DEFAULT_CONFIG_PATH) {
+	return JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", configPath), "utf-8"));
+}
+
+// Map a count onto 0..1 on a log scale, reaching 1 at the configured scale
+function logScale(value, scale) {
+	return Math.min(1, Math.log10(1 + (value || 0)) / Math.log10(1 + scale));
+}
+
+// 1 for today, falling linearly to 0 after the configured number of days
+function recency(date, scaleDays, now) {
+	if (!date) {
+		return 0;
+	}
+	const days = (now - Date.parse(date)) / DAY_MS;
+	return Math.max(0, Math.min(1, 1 - days / scaleDays));
+}
+
+function keywordRelevance(contribution, config) {
+	if (contribution.has_code_match) {
+		return config.relevance.codeMatch;
+	}
+	const keyword = (contribution.keyword || "").toLowerCase();
+	const text = `${contribution.repo_name} ${contribution.description || ""}`.toLowerCase();
+	return keyword && text.includes(keyword) ? config.relevance.nameOrDescription : config.relevance.searchOnly;
+}
+
+// Score one contribution, returning the total and a per-factor breakdown
+function scoreContribution(contribution, repoCount, config, now = Date.now()) {
+	const factors = {
+		stars: logScale(contribution.stars, config.scales.stars),
+		forks: logScale(contribution.forks, config.scales.forks),
+		repoRecency: recency(contribution.pushed_at, config.scales.repoRecencyDays, now),
+		commitShare: contribution.repo_commits ? Math.min(1, contribution.commits / contribution.repo_commits) : 0,
+		contributorRecency: recency(contribution.last_commit_at, config.scales.contributorRecencyDays, now),
+		keywordRelevance: keywordRelevance(contribution, config),
+		matchingRepos: Math.min(1, (repoCount - 1) / config.scales.matchingRepos),
+	};
+
+	const breakdown = {};
+	let total = 0;
+	for (const [factor, value] of Object.entries(factors)) {
+		const weight = config.weights[factor] || 0;
+		const points = value * weight;
+		breakdown[factor] = { value: Number(value.toFixed(3)), weight, points: Number(points.toFixed(2)) };
+		total += points;
+	}
+
+	const multipliers = {};
+	if (contribution.is_fork) {
+		multipliers.fork = config.multipliers.fork;
+		total *= config.multipliers.fork;
+	}
+	if (contribution.is_archived) {
+		multipliers.archived = config.multipliers.archived;
+		total *= config.multipliers.archived;
+	}
+
+	return { score: Number(total.toFixed(2)), breakdown: { factors: breakdown, multipliers } };
+}
+
+// Re-score every person in the database and replace the stored lead_scores, or with onlyUnscored just
+// score the people that have no score yet
+async function rescoreLeads(db, config, { onlyUnscored = false } = {}) {
+	const contributions = await allQuery(db, `
+		SELECT
+			c.person_id,
+			c.repo_name,
+			MAX(c.keyword) as keyword,
+			MAX(c.last_commit_at) as last_commit_at,
+			SUM(c.commits) as commits,
+			r.stars,
+			r.forks,
+			r.pushed_at,
+			r.is_fork,
+			r.is_archived,
+			r.description,
+			(SELECT SUM(c2.commits) FROM contributions c2 WHERE c2.repo_name = c.repo_name) as repo_commits,
+			EXISTS (SELECT 1 FROM code_matches cm WHERE cm.repo_name = c.repo_name) as has_code_match
+		FROM contributions c
+		LEFT JOIN repos r ON r.full_name = c.repo_name
+		${onlyUnscored ? "WHERE c.person_id NOT IN (SELECT person_id FROM lead_scores)" : ""}
+		GROUP BY c.person_id, c.repo_name
+	`);
+
+	// Group a person's contributions (one per repo, summed over their addresses)
+	const byPerson = new Map();
+	for (const contribution of contributions) {
+		if (!byPerson.has(contribution.person_id)) {
+			byPerson.set(contribution.person_id, []);
+		}
+		byPerson.get(contribution.person_id).push(contribution);
+	}
+
+	const now = Date.now();
+	await withTransaction(db, async () => {
+		if (!onlyUnscored) {
+			await runQuery(db, "DELETE FROM lead_scores");
+		}
+		for (const [personId, personContributions] of byPerson) {
+			let best = null;
+			for (const contribution of personContributions) {
+				const result = scoreContribution(contribution, personContributions.length, config, now);
+				if (!best || result.score > best.score) {
+					best = { ...result, contribution };
+				}
+			}
+
+			await runQuery(
+				db,
+				"INSERT INTO lead_scores (person_id, repo_name, keyword, stars, commits, score, breakdown) VALUES (?, ?, ?, ?, ?, ?, ?)",
+				[personId, best.contribution.repo_name, best.contribution.keyword, best.contribution.stars, best.contribution.commits, best.score, JSON.stringify(best.breakdown)],
+			);
+		}
+	});
+
+	return { people: byPerson.size };
+}
+
+module.exports = { loadScoringConfig, scoreContribution, rescoreLeads };
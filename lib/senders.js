@@ -0,0 +1,163 @@
+// Sender account pool used by email.js, review.js and bulk senders. senders.json (or SENDERS_CONFIG, see
+// senders.example.json) lists the accounts, each with its own identity, provider and throttle overrides
+// (any of throttle.json's settings, see lib/throttle.js):
+//   { "id": "luca", "fromEmail": "...", "fromName": "...", "signature": "...", "provider": "smtp",
+//     "smtp": { "host": "...", "port": 587, "usernameEnv": "SMTP_USERNAME_LUCA", "passwordEnv": "SMTP_PASSWORD_LUCA" },
+//     "throttle": { "dailyCap": 30, "warmup": { "startDate": "2025-01-06" } } }
+// Close accounts use "provider": "close" and "closeEmailAccountId" instead of smtp, lib/providers.js has
+// the other providers. Without the file the pool is the single account from FROM_EMAIL, FROM_NAME,
+// SMTP_* / CLOSE_EMAIL_ACCOUNT_ID and USE_CLOSE_API.
+// Recipients keep the account of their first email (emails.sender_account) for all follow-ups, and an
+// account with too many failed sends in a row or a high bounce rate is paused (sender_accounts).
+
+const fs = require("fs");
+const path = require("path");
+const { allQuery, getQuery, runQuery } = require("./db");
+const { THROTTLE_SETTINGS, validateThrottleConfig, loadThrottleConfig, getNextSendTime } = require("./throttle");
+const { getProviderSettings, validateProviderSettings } = require("./providers");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "senders.json");
+const DEFAULT_HEALTH = { maxConsecutiveFailures: 3, maxBounceRate: 0.1, minSends: 20, window: 100 };
+
+function getEnvAccount() {
+	const fromEmail = process.env.FROM_EMAIL || "hello@usellmgateway.com";
+	return {
+		id: fromEmail,
+		fromEmail,
+		fromName: process.env.FROM_NAME || "Luca from LLMGateway",
+		provider: process.env.USE_CLOSE_API === "true" ? "close" : "smtp",
+		smtp: {
+			host: process.env.SMTP_HOST || "sandbox.smtp.mailtrap.io",
+			port: parseInt(process.env.SMTP_PORT) || 2525,
+			secure: process.env.SMTP_SECURE === "true",
+			pool: process.env.SMTP_POOL === "true",
+			usernameEnv: "SMTP_USERNAME",
+			passwordEnv: "SMTP_PASSWORD",
+		},
+		closeEmailAccountId: process.env.CLOSE_EMAIL_ACCOUNT_ID,
+	};
+}
+
+function loadSenderConfig(configPath = process.env.SENDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+	const resolved = path.resolve(__dirname, "..", configPath);
+	if (!fs.existsSync(resolved)) {
+		if (process.env.SENDERS_CONFIG) {
+			throw new Error(`Sender config ${resolved} doesn't exist`);
+		}
+		return { health: DEFAULT_HEALTH, accounts: [getEnvAccount()] };
+	}
+
+	const config = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+	const accounts = Array.isArray(config.accounts) ? config.accounts : [];
+	if (accounts.length === 0) {
+		throw new Error(`No accounts in ${resolved}`);
+	}
+	const ids = new Set();
+	for (const account of accounts) {
+		if (!account.id || ids.has(account.id)) {
+			throw new Error(`Every account in ${resolved} needs a unique id`);
+		}
+		ids.add(account.id);
+		if (!account.fromEmail || !account.fromName) {
+			throw new Error(`Account ${account.id} needs fromEmail and fromName`);
+		}
+		const provider = getProviderSettings(account);
+		validateProviderSettings(provider, `Account ${account.id}`);
+		if (provider.type === "close" && !(provider.emailAccountId || account.closeEmailAccountId)) {
+			throw new Error(`Close account ${account.id} needs closeEmailAccountId`);
+		}
+		const unknown = Object.keys(account.throttle || {}).filter(name => !THROTTLE_SETTINGS.includes(name));
+		if (unknown.length > 0) {
+			throw new Error(`Account ${account.id} can't override ${unknown.join(", ")} in its throttle, only ${THROTTLE_SETTINGS.join(", ")}`);
+		}
+	}
+	// Overrides are checked on top of the throttle config they will be used with
+	if (accounts.some(account => account.throttle)) {
+		const throttleConfig = loadThrottleConfig();
+		accounts.forEach(account => getAccountThrottleConfig(account, throttleConfig));
+	}
+	return { health: { ...DEFAULT_HEALTH, ...config.health }, accounts };
+}
+
+// The throttle config with an account's own caps and warmup start on top, checked like throttle.json
+function getAccountThrottleConfig(account, throttleConfig) {
+	if (!account.throttle) {
+		return throttleConfig;
+	}
+	const overrides = account.throttle;
+	const config = { ...throttleConfig, ...overrides, warmup: { ...throttleConfig.warmup, ...overrides.warmup } };
+	return validateThrottleConfig(config, `the throttle of account ${account.id}`);
+}
+
+// Paused accounts by id, with why they were paused
+async function getPausedAccounts(db) {
+	const rows = await allQuery(db, "SELECT id, reason, updated_at FROM sender_accounts WHERE status = 'paused'");
+	return new Map(rows.map(row => [row.id, row]));
+}
+
+function setAccountStatus(db, id, status, reason) {
+	return runQuery(
+		db,
+		`INSERT INTO sender_accounts (id, status, reason, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+		 ON CONFLICT (id) DO UPDATE SET status = excluded.status, reason = excluded.reason, updated_at = excluded.updated_at`,
+		[id, status, reason],
+	);
+}
+
+// Recent failures in a row and the bounce rate of an account's recent first emails. Only sends since the
+// account was last paused or resumed count, so a resumed account starts with a clean record
+async function getAccountHealth(db, id, health) {
+	const status = await getQuery(db, "SELECT updated_at FROM sender_accounts WHERE id = ?", [id]);
+	const since = status ? status.updated_at : "";
+	const attempts = await allQuery(db, "SELECT status FROM send_log WHERE sender = ? AND sent_at >= ? ORDER BY id DESC LIMIT ?", [id, since, health.maxConsecutiveFailures]);
+	const consecutiveFailures = attempts.findIndex(attempt => attempt.status !== "failed");
+	const recent = await getQuery(db, `
+		SELECT COUNT(*) as sent, COALESCE(SUM(contact_status = 'bounced'), 0) as bounced
+		FROM (SELECT contact_status FROM emails WHERE sender_account = ? AND email_sent = 1 AND sent_at >= ? ORDER BY sent_at DESC LIMIT ?)
+	`, [id, since, health.window]);
+	return {
+		consecutiveFailures: consecutiveFailures === -1 ? attempts.length : consecutiveFailures,
+		sent: recent.sent,
+		bounced: recent.bounced,
+		bounceRate: recent.sent > 0 ? recent.bounced / recent.sent : 0,
+	};
+}
+
+// Pause an account that keeps failing or bounces too much. Returns the reason, or null when it's healthy
+async function checkAccountHealth(db, account, health) {
+	const stats = await getAccountHealth(db, account.id, health);
+	let reason = null;
+	if (stats.consecutiveFailures >= health.maxConsecutiveFailures) {
+		reason = `${stats.consecutiveFailures} failed sends in a row`;
+	} else if (stats.sent >= health.minSends && stats.bounceRate > health.maxBounceRate) {
+		reason = `${stats.bounced} of the last ${stats.sent} emails bounced`;
+	}
+	if (reason) {
+		await setAccountStatus(db, account.id, "paused", reason);
+	}
+	return reason;
+}
+
+// Account for a new recipient: the active one that can send soonest, the most quota left breaking ties
+async function pickAccount(db, accounts, throttleConfig) {
+	const now = Date.now();
+	let best = null;
+	for (const account of accounts) {
+		const config = getAccountThrottleConfig(account, throttleConfig);
+		const { at, quota: { remainingToday } } = await getNextSendTime(db, account.id, config, config.delaySeconds.min * 1000, now);
+		if (!best || at < best.at || (at === best.at && remainingToday > best.remainingToday)) {
+			best = { account, at, remainingToday };
+		}
+	}
+	return best ? best.account : null;
+}
+
+module.exports = {
+	loadSenderConfig,
+	getAccountThrottleConfig,
+	getPausedAccounts,
+	setAccountStatus,
+	getAccountHealth,
+	checkAccountHealth,
+	pickAccount,
+};
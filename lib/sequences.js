@@ -0,0 +1,145 @@
+// Follow-up sequences used by email.js.
+// Step 1 is the generated initial email, sequences.json (or SEQUENCES_CONFIG) lists the steps after it
+// per keyword with "default" as fallback. afterDays counts from the previous step, and a sequence ends
+// when every step was sent or the contact replied, bounced or unsubscribed. Subjects and templates
+// use the same syntax as the email templates (lib/templates.js), subjects with {{subject}} (the initial
+// email's) and templates with the email templates' variables and {{subject}}.
+
+const fs = require("fs");
+const path = require("path");
+const { allQuery, runQuery } = require("./db");
+const { suppressedCondition } = require("./suppressions");
+const { waitingCondition } = require("./attempts");
+const { renderTemplate, SAMPLE_VARIABLES, findTemplateProblems } = require("./templates");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "sequences.json");
+
+// Follow-up subjects only get the initial email's subject, templates get it on top of the email template variables
+const SUBJECT_VARIABLES = { subject: "Initial subject" };
+
+// Where a step is in sequences.json, for errors
+function getStepLabel(keyword, index) {
+	return `${keyword} step ${index + 2}`;
+}
+
+// Load the sequences and check every step, so a typo fails the run instead of parking every due recipient
+function loadSequenceConfig(configPath = process.env.SEQUENCES_CONFIG || DEFAULT_CONFIG_PATH) {
+	const resolved = path.resolve(__dirname, "..", configPath);
+	const config = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+	for (const [keyword, steps] of Object.entries(config)) {
+		if (!Array.isArray(steps)) {
+			throw new Error(`${keyword} in ${path.basename(resolved)} must list follow-up steps`);
+		}
+		steps.forEach((step, index) => {
+			const label = `${getStepLabel(keyword, index)} in ${path.basename(resolved)}`;
+			if (!(typeof step.afterDays === "number" && step.afterDays > 0)) {
+				throw new Error(`${label} needs afterDays, a positive number of days`);
+			}
+			for (const part of ["subject", "template"]) {
+				if (typeof step[part] !== "string") {
+					throw new Error(`${label} needs a ${part}`);
+				}
+				const { error } = findTemplateProblems(step[part]);
+				if (error) {
+					throw new Error(`${part} of ${label}: ${error}`);
+				}
+			}
+		});
+	}
+	return config;
+}
+
+// Check every follow-up subject and template like validateTemplates checks the email templates.
+// Returns one { template, file, error, missing } entry per step part, or one for a config that doesn't load
+function validateSequences(configPath = process.env.SEQUENCES_CONFIG || DEFAULT_CONFIG_PATH) {
+	const file = path.basename(configPath);
+	let config;
+	try {
+		config = loadSequenceConfig(configPath);
+	} catch (error) {
+		return [{ template: "sequences", file, error: error.message, missing: [] }];
+	}
+	const results = [];
+	for (const [keyword, steps] of Object.entries(config)) {
+		steps.forEach((step, index) => {
+			const label = `${file} ${getStepLabel(keyword, index)}`;
+			results.push({ template: "sequences", file: `${label} subject`, ...findTemplateProblems(step.subject, SUBJECT_VARIABLES) });
+			results.push({ template: "sequences", file: `${label} template`, ...findTemplateProblems(step.template, { ...SAMPLE_VARIABLES, ...SUBJECT_VARIABLES }) });
+		});
+	}
+	return results;
+}
+
+// Follow-up steps for a keyword, the step after the initial email first
+function getFollowUpSteps(config, keyword) {
+	return config[(keyword || "").toLowerCase()] || config.default || [];
+}
+
+// Emails whose next follow-up step is due, with the Message-IDs of the earlier steps to thread on.
+// Emails sent before sequences existed have no recorded steps and never get follow-ups.
+async function fetchDueFollowUps(db, config, limit, now = Date.now()) {
+	const candidates = await allQuery(db, `
+		SELECT
+			e.email,
+			e.repo_name,
+			e.keyword,
+			e.full_name,
+			e.github_stars,
+			e.commits,
+			e.email_follow_ups,
+			e.template_name,
+			e.variant,
+			e.sender_account,
+			first.subject as initial_subject,
+			last.sent_at as last_sent_at
+		FROM emails e
+		JOIN email_steps first ON first.email = e.email AND first.step = 1
+		JOIN email_steps last ON last.email = e.email AND last.step = e.email_follow_ups + 1
+		LEFT JOIN person_emails pe ON pe.email = e.email
+		LEFT JOIN people p ON p.id = pe.person_id
+		WHERE e.email_sent = 1
+			AND e.ignore = 0
+			AND e.contact_status IS NULL
+			AND NOT ${suppressedCondition("e.email", "p.github_login")}
+			AND NOT ${waitingCondition("e.email", "e.email_follow_ups + 2")}
+		ORDER BY last.sent_at
+	`);
+
+	const due = [];
+	for (const candidate of candidates) {
+		const step = getFollowUpSteps(config, candidate.keyword)[candidate.email_follow_ups];
+		// sent_at is stored as UTC without a zone suffix
+		if (!step || Date.parse(`${candidate.last_sent_at}Z`) + step.afterDays * DAY_MS > now) {
+			continue;
+		}
+
+		const earlier = await allQuery(db, "SELECT message_id FROM email_steps WHERE email = ? AND message_id IS NOT NULL ORDER BY step", [candidate.email]);
+		due.push({
+			...candidate,
+			step: candidate.email_follow_ups + 2,
+			name: step.name,
+			subject: renderTemplate(step.subject, { subject: candidate.initial_subject }),
+			references: earlier.map(row => row.message_id),
+			template: step.template,
+		});
+		if (due.length >= limit) {
+			break;
+		}
+	}
+	return due;
+}
+
+// Record a sent step, follow-ups also advance the email's email_follow_ups count
+async function recordEmailStep(db, email, step, subject, body, messageId) {
+	await runQuery(
+		db,
+		"INSERT OR REPLACE INTO email_steps (email, step, subject, body, message_id, sent_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)",
+		[email, step, subject, body, messageId],
+	);
+	if (step > 1) {
+		await runQuery(db, "UPDATE emails SET email_follow_ups = ? WHERE email = ?", [step - 1, email]);
+	}
+}
+
+module.exports = { loadSequenceConfig, validateSequences, getFollowUpSteps, fetchDueFollowUps, recordEmailStep };
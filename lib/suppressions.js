@@ -0,0 +1,89 @@
+// Global suppression list (addresses, whole domains and GitHub logins) and the signed tokens
+// used by the one-click unsubscribe endpoint in unsubscribe.js.
+
+const crypto = require("crypto");
+const { getQuery, runQuery } = require("./db");
+
+const SUPPRESSION_KINDS = ["email", "domain", "login"];
+
+function getDomain(email) {
+	return email.split("@").pop().toLowerCase();
+}
+
+// SQL condition that is true when the address in emailColumn (or the login in loginColumn) is suppressed
+function suppressedCondition(emailColumn, loginColumn = null) {
+	const login = loginColumn ? ` OR (sup.kind = 'login' AND sup.value = lower(${loginColumn}))` : "";
+	return `EXISTS (
+		SELECT 1 FROM suppressions sup
+		WHERE (sup.kind = 'email' AND sup.value = lower(${emailColumn}))
+			OR (sup.kind = 'domain' AND sup.value = lower(substr(${emailColumn}, instr(${emailColumn}, '@') + 1)))${login}
+	)`;
+}
+
+// The matching suppression entry for an address and/or login, or undefined
+function findSuppression(db, email, login = null) {
+	return getQuery(
+		db,
+		`SELECT kind, value, reason FROM suppressions
+		 WHERE (kind = 'email' AND value = ?) OR (kind = 'domain' AND value = ?) OR (kind = 'login' AND value = ?)
+		 LIMIT 1`,
+		[email ? email.toLowerCase() : null, email ? getDomain(email) : null, login ? login.toLowerCase() : null],
+	);
+}
+
+async function addSuppression(db, kind, value, reason, source) {
+	if (!SUPPRESSION_KINDS.includes(kind)) {
+		throw new Error(`Unknown suppression kind "${kind}", expected one of: ${SUPPRESSION_KINDS.join(", ")}`);
+	}
+	const result = await runQuery(
+		db,
+		"INSERT OR IGNORE INTO suppressions (kind, value, reason, source) VALUES (?, ?, ?, ?)",
+		[kind, value.toLowerCase().replace(/^@/, ""), reason, source],
+	);
+	return result.changes > 0;
+}
+
+function removeSuppression(db, kind, value) {
+	return runQuery(db, "DELETE FROM suppressions WHERE kind = ? AND value = ?", [kind, value.toLowerCase().replace(/^@/, "")]);
+}
+
+// Suppress an address that asked to unsubscribe, which also ends its follow-up sequence
+async function unsubscribe(db, email, source) {
+	await addSuppression(db, "email", email, "unsubscribed", source);
+	await runQuery(db, "UPDATE emails SET contact_status = 'unsubscribed' WHERE lower(email) = ?", [email.toLowerCase()]);
+}
+
+function sign(payload, secret) {
+	return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+// Token carrying the address, signed so nobody can unsubscribe someone else
+function createUnsubscribeToken(email, secret) {
+	const payload = Buffer.from(email.toLowerCase()).toString("base64url");
+	return `${payload}.${sign(payload, secret)}`;
+}
+
+// The address a token was created for, or null when it is malformed or the signature doesn't match
+function verifyUnsubscribeToken(token, secret) {
+	const [payload, signature] = String(token || "").split(".");
+	if (!payload || !signature) {
+		return null;
+	}
+	const expected = Buffer.from(sign(payload, secret));
+	const actual = Buffer.from(signature);
+	if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+		return null;
+	}
+	return Buffer.from(payload, "base64url").toString("utf-8");
+}
+
+module.exports = {
+	SUPPRESSION_KINDS,
+	suppressedCondition,
+	findSuppression,
+	addSuppression,
+	removeSuppression,
+	unsubscribe,
+	createUnsubscribeToken,
+	verifyUnsubscribeToken,
+};
@@ -0,0 +1,376 @@
+// File-based email copy used by email.js and review.js.
+// templates/<keyword>/subject.txt and body.md hold the copy for leads found with that keyword, a file
+// missing from a keyword's directory falls back to templates/default. Templates are Mustache-style:
+// {{name}} and {{repo.fullName}} insert variables, {{#name}}...{{/name}} renders only when the variable
+// is set (once per item for lists), {{^name}}...{{/name}} only when it isn't, {{! ...}} is a comment.
+//
+// A template directory can A/B test its copy with a variants.json:
+//   { "promoteAfter": 300, "variants": [{ "id": "control", "weight": 2 }, { "id": "short", "subject": "subject.short.txt" }] }
+// Variants use the directory's own subject.txt and body.md unless they name other files, weight defaults
+// to 1 and promoteAfter (optional) is the number of sends after which a clear winner is promoted (lib/variants.js).
+//
+// campaign.json holds a directory's settings: { "trackLinks": true, "trackOpens": false } for
+// lib/tracking.js, and "provider": { "type": "...", ... } to send its emails through another provider
+// than the sender accounts' (lib/providers.js). Directories without one use the default directory's.
+
+const fs = require("fs");
+const path = require("path");
+const { Marked } = require("marked");
+const { validateProviderSettings } = require("./providers");
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+const DEFAULT_TEMPLATE = "default";
+const TEMPLATE_FILES = { subject: "subject.txt", body: "body.md" };
+const VARIANTS_FILE = "variants.json";
+const CAMPAIGN_FILE = "campaign.json";
+const DEFAULT_CAMPAIGN = { trackLinks: true, trackOpens: false, provider: null };
+
+function escapeHtml(value) {
+	return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Raw HTML in a body (from the analysis or a draft, say) is shown as text, never rendered
+const markdown = new Marked({ breaks: true, renderer: { html: ({ text }) => escapeHtml(text) } });
+
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+function getTemplatesDir() {
+	return path.resolve(__dirname, "..", process.env.TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR);
+}
+
+// Parse a template into text, variable and section nodes, throws on unbalanced sections
+function parseTemplate(source) {
+	const root = { children: [] };
+	const stack = [root];
+	let lastIndex = 0;
+
+	for (const match of source.matchAll(TAG_PATTERN)) {
+		const [tag, type, name] = match;
+		const current = stack[stack.length - 1];
+		if (match.index > lastIndex) {
+			current.children.push({ type: "text", value: source.slice(lastIndex, match.index) });
+		}
+		lastIndex = match.index + tag.length;
+
+		if (type === "!") {
+			continue;
+		}
+		if (!name) {
+			throw new Error(`Empty tag ${tag}`);
+		}
+		if (type === "#" || type === "^") {
+			const section = { type: type === "#" ? "section" : "inverted", name, children: [] };
+			current.children.push(section);
+			stack.push(section);
+		} else if (type === "/") {
+			if (stack.length === 1 || current.name !== name) {
+				throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${current.name}}}` : ""}`);
+			}
+			stack.pop();
+		} else {
+			current.children.push({ type: "variable", name });
+		}
+	}
+
+	if (stack.length > 1) {
+		throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+	}
+	if (lastIndex < source.length) {
+		root.children.push({ type: "text", value: source.slice(lastIndex) });
+	}
+	return root.children;
+}
+
+// Look a (dotted) name up in the innermost context that has it. "." is the current list item
+function lookup(contexts, name) {
+	if (name === ".") {
+		return contexts[contexts.length - 1];
+	}
+	const [first, ...rest] = name.split(".");
+	for (let i = contexts.length - 1; i >= 0; i--) {
+		const context = contexts[i];
+		if (context !== null && typeof context === "object" && first in context) {
+			return rest.reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), context[first]);
+		}
+	}
+	return undefined;
+}
+
+function isEmpty(value) {
+	return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function renderNodes(nodes, contexts, missing) {
+	let output = "";
+	for (const node of nodes) {
+		if (node.type === "text") {
+			output += node.value;
+			continue;
+		}
+
+		const value = lookup(contexts, node.name);
+		if (value === undefined) {
+			missing.add(node.name);
+		}
+		if (node.type === "variable") {
+			output += value === undefined || value === null ? "" : String(value);
+		} else if (node.type === "inverted") {
+			output += isEmpty(value) ? renderNodes(node.children, contexts, missing) : "";
+		} else if (Array.isArray(value)) {
+			output += value.map(item => renderNodes(node.children, [...contexts, item], missing)).join("");
+		} else if (!isEmpty(value)) {
+			output += renderNodes(node.children, typeof value === "object" ? [...contexts, value] : contexts, missing);
+		}
+	}
+	return output;
+}
+
+// Walk every branch whatever the values, so variables in sections that wouldn't render are checked too
+function findMissingVariables(nodes, contexts, missing) {
+	for (const node of nodes) {
+		if (node.type === "text") {
+			continue;
+		}
+		const value = lookup(contexts, node.name);
+		if (value === undefined) {
+			missing.add(node.name);
+		}
+		if (node.children) {
+			const item = Array.isArray(value) ? value[0] : value;
+			const pushed = node.type === "section" && item !== null && typeof item === "object";
+			findMissingVariables(node.children, pushed ? [...contexts, item] : contexts, missing);
+		}
+	}
+	return missing;
+}
+
+// Render a template string. Names the variables don't provide render as empty and are added to missing
+function renderTemplate(source, variables, missing = new Set()) {
+	return renderNodes(parseTemplate(source), [variables], missing);
+}
+
+// Names of all template directories
+function listTemplateNames(templatesDir = getTemplatesDir()) {
+	return fs.readdirSync(templatesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
+
+// Template directory used for a keyword: its own, or the default one when it has none
+function getTemplateName(keyword, templatesDir = getTemplatesDir()) {
+	const name = (keyword || "").toLowerCase();
+	return name && fs.existsSync(path.join(templatesDir, name)) ? name : DEFAULT_TEMPLATE;
+}
+
+// The A/B variants of a template directory, or null when it doesn't test any
+function loadVariantConfig(templateName, templatesDir = getTemplatesDir()) {
+	const configPath = path.join(templatesDir, templateName, VARIANTS_FILE);
+	if (!fs.existsSync(configPath)) {
+		return null;
+	}
+
+	const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+	const variants = Array.isArray(config.variants) ? config.variants : [];
+	if (variants.length === 0) {
+		throw new Error(`${templateName}/${VARIANTS_FILE} has no variants`);
+	}
+	const ids = new Set();
+	for (const variant of variants) {
+		if (!variant.id || ids.has(variant.id)) {
+			throw new Error(`${templateName}/${VARIANTS_FILE}: every variant needs a unique id`);
+		}
+		ids.add(variant.id);
+		if (variant.weight !== undefined && !(variant.weight > 0)) {
+			throw new Error(`${templateName}/${VARIANTS_FILE}: weight of ${variant.id} must be a positive number`);
+		}
+		for (const part of Object.keys(TEMPLATE_FILES)) {
+			if (variant[part] && !fs.existsSync(path.join(templatesDir, templateName, variant[part]))) {
+				throw new Error(`${templateName}/${VARIANTS_FILE}: ${variant.id} uses ${variant[part]}, which doesn't exist`);
+			}
+		}
+	}
+	if (config.promoteAfter !== undefined && !(Number.isInteger(config.promoteAfter) && config.promoteAfter > 0)) {
+		throw new Error(`${templateName}/${VARIANTS_FILE}: promoteAfter must be a positive number of sends`);
+	}
+
+	return {
+		templateName,
+		promoteAfter: config.promoteAfter || null,
+		variants: variants.map(variant => ({ ...variant, weight: variant.weight || 1 })),
+	};
+}
+
+// Settings of a template directory, on top of the default directory's
+function loadCampaignConfig(templateName, templatesDir = getTemplatesDir()) {
+	const config = { ...DEFAULT_CAMPAIGN };
+	for (const name of [...new Set([DEFAULT_TEMPLATE, templateName])]) {
+		const configPath = path.join(templatesDir, name, CAMPAIGN_FILE);
+		if (!fs.existsSync(configPath)) {
+			continue;
+		}
+		const values = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+		for (const [key, value] of Object.entries(values)) {
+			if (!(key in DEFAULT_CAMPAIGN)) {
+				throw new Error(`Unknown setting ${key} in ${name}/${CAMPAIGN_FILE}, expected ${Object.keys(DEFAULT_CAMPAIGN).join(", ")}`);
+			}
+			if (typeof value !== typeof DEFAULT_CAMPAIGN[key]) {
+				throw new Error(`${key} in ${name}/${CAMPAIGN_FILE} must be a ${typeof DEFAULT_CAMPAIGN[key]}`);
+			}
+		}
+		if (values.provider) {
+			validateProviderSettings(values.provider, `${name}/${CAMPAIGN_FILE}`);
+		}
+		Object.assign(config, values);
+	}
+	return config;
+}
+
+// Template files for a keyword, each falling back to the default template when the keyword has none.
+// A variant's own files replace the directory's subject.txt or body.md
+function loadEmailTemplate(keyword, variant = null, templatesDir = getTemplatesDir()) {
+	const name = (keyword || "").toLowerCase();
+	const template = {};
+	for (const [part, fileName] of Object.entries(TEMPLATE_FILES)) {
+		if (variant && variant[part]) {
+			const file = path.join(getTemplateName(keyword, templatesDir), variant[part]);
+			template[part] = { file, source: fs.readFileSync(path.join(templatesDir, file), "utf-8") };
+			continue;
+		}
+
+		const candidates = name && name !== DEFAULT_TEMPLATE ? [name, DEFAULT_TEMPLATE] : [DEFAULT_TEMPLATE];
+		const directory = candidates.find(candidate => fs.existsSync(path.join(templatesDir, candidate, fileName)));
+		if (!directory) {
+			throw new Error(`No ${fileName} template for "${keyword}" and no default one in ${templatesDir}`);
+		}
+		const file = path.join(directory, fileName);
+		template[part] = { file, source: fs.readFileSync(path.join(templatesDir, file), "utf-8") };
+	}
+	return template;
+}
+
+// Render a keyword's subject or body, warning about variables the template uses but didn't get
+function renderEmailPart(part, keyword, variables, variant = null, templatesDir = getTemplatesDir()) {
+	const { file, source } = loadEmailTemplate(keyword, variant, templatesDir)[part];
+	const missing = new Set();
+	const text = renderTemplate(source, variables, missing).trim();
+	if (missing.size > 0) {
+		console.warn(`⚠️ Template ${file} uses variables that weren't provided: ${[...missing].join(", ")}`);
+	}
+	return text;
+}
+
+// HTML part of an email from its (Markdown) text, single newlines stay line breaks
+function renderHtml(text) {
+	return markdown.parse(text);
+}
+
+// First name from a commit author name, only when it looks like a real one ("Jane Doe", not "jdoe42")
+function getFirstName(fullName) {
+	const first = (fullName || "").trim().split(/\s+/)[0];
+	return /^\p{Lu}[\p{Ll}'-]+$/u.test(first) ? first : null;
+}
+
+// Every variable templates can use. Values that are unknown for a lead are null, so only names
+// that don't exist at all count as missing
+function buildTemplateVariables({ lead = {}, repoInfo = null, analysis = null, fromName = null, signature = null }) {
+	return {
+		keyword: lead.keyword || null,
+		fromName,
+		signature,
+		analysis,
+		fullName: lead.full_name || null,
+		firstName: getFirstName(lead.full_name),
+		email: lead.email || null,
+		stars: lead.github_stars ?? repoInfo?.stars ?? null,
+		commits: lead.commits ?? null,
+		repo: {
+			fullName: repoInfo?.fullName || lead.repo_name || null,
+			name: repoInfo?.name || (lead.repo_name ? lead.repo_name.split("/").pop() : null),
+			description: repoInfo?.description || null,
+			language: repoInfo?.language || null,
+			stars: repoInfo?.stars ?? null,
+			url: repoInfo?.fullName || lead.repo_name ? `https://github.com/${repoInfo?.fullName || lead.repo_name}` : null,
+		},
+		codeMatch: repoInfo?.codeMatch
+			? { path: repoInfo.codeMatch.path, url: repoInfo.codeMatch.html_url, snippet: repoInfo.codeMatch.snippet }
+			: null,
+	};
+}
+
+// Variables validation checks templates against, with every optional value set
+const SAMPLE_VARIABLES = buildTemplateVariables({
+	lead: { email: "jane@example.com", keyword: "example", full_name: "Jane Doe", github_stars: 42, commits: 7, repo_name: "jane/example" },
+	repoInfo: {
+		name: "example",
+		fullName: "jane/example",
+		description: "An example repository",
+		language: "TypeScript",
+		stars: 42,
+		codeMatch: { path: "src/llm.ts", html_url: "https://github.com/jane/example/blob/main/src/llm.ts", snippet: "fetch(...)" },
+	},
+	analysis: "The analysis of the repository.",
+	fromName: "Sender",
+	signature: "Sender\nExample Inc.",
+});
+
+// Syntax error and variables a template uses that aren't provided, checked against every optional value set
+function findTemplateProblems(source, variables = SAMPLE_VARIABLES) {
+	try {
+		return { error: null, missing: [...findMissingVariables(parseTemplate(source), [variables], new Set())] };
+	} catch (error) {
+		return { error: error.message, missing: [] };
+	}
+}
+
+// Check every template file (variant files included) for syntax errors and variables that aren't
+// provided, and every variants.json. Returns one { template, file, error, missing } entry per file
+function validateTemplates(templatesDir = getTemplatesDir()) {
+	if (!fs.existsSync(path.join(templatesDir, DEFAULT_TEMPLATE))) {
+		throw new Error(`No ${DEFAULT_TEMPLATE} template directory in ${templatesDir}`);
+	}
+
+	const results = [];
+	for (const name of listTemplateNames(templatesDir)) {
+		if (name === DEFAULT_TEMPLATE) {
+			for (const fileName of Object.values(TEMPLATE_FILES)) {
+				if (!fs.existsSync(path.join(templatesDir, name, fileName))) {
+					results.push({ template: name, file: path.join(name, fileName), error: "The default template needs every file", missing: [] });
+				}
+			}
+		}
+
+		const fileNames = fs.readdirSync(path.join(templatesDir, name)).filter(fileName => /\.(txt|md)$/.test(fileName)).sort();
+		for (const fileName of fileNames) {
+			const file = path.join(name, fileName);
+			results.push({ template: name, file, ...findTemplateProblems(fs.readFileSync(path.join(templatesDir, file), "utf-8")) });
+		}
+
+		for (const [fileName, load] of [[VARIANTS_FILE, loadVariantConfig], [CAMPAIGN_FILE, loadCampaignConfig]]) {
+			if (!fs.existsSync(path.join(templatesDir, name, fileName))) {
+				continue;
+			}
+			try {
+				load(name, templatesDir);
+				results.push({ template: name, file: path.join(name, fileName), error: null, missing: [] });
+			} catch (error) {
+				results.push({ template: name, file: path.join(name, fileName), error: error.message, missing: [] });
+			}
+		}
+	}
+	return results;
+}
+
+module.exports = {
+	getTemplatesDir,
+	parseTemplate,
+	renderTemplate,
+	listTemplateNames,
+	getTemplateName,
+	loadVariantConfig,
+	loadCampaignConfig,
+	loadEmailTemplate,
+	renderEmailPart,
+	renderHtml,
+	buildTemplateVariables,
+	SAMPLE_VARIABLES,
+	findTemplateProblems,
+	validateTemplates,
+};
@@ -0,0 +1,221 @@
+// Send throttling used by email.js and bulk status. Settings live in throttle.json (or THROTTLE_CONFIG):
+//   dailyCap, hourlyCap        sends per sender in the last 24 hours and the last hour
+//   delaySeconds { min, max }  random wait between two sends of a sender
+//   warmup                     dailyCapsPerWeek caps the first weeks of a new account, counted from
+//                              startDate (YYYY-MM-DD) or the sender's first logged send
+//   sendWindow                 { timezone, days, start, end } when sending is allowed, null for any time
+// Caps are counted from the send_log table so they hold across restarts. Accounts that sent before the
+// log existed count as new, set warmup.startDate for them.
+
+const fs = require("fs");
+const path = require("path");
+const { allQuery, getQuery, runQuery } = require("./db");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "throttle.json");
+
+function parseClock(value) {
+	const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+	return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// Settings a sender account can override for itself (lib/senders.js)
+const THROTTLE_SETTINGS = ["dailyCap", "hourlyCap", "delaySeconds", "warmup", "sendWindow"];
+
+// Check a throttle config and add the send window's minutes, label says whose it is in errors
+function validateThrottleConfig(config, label = "the throttle config") {
+	for (const name of ["dailyCap", "hourlyCap"]) {
+		if (!(Number.isInteger(config[name]) && config[name] > 0)) {
+			throw new Error(`${name} in ${label} must be a positive number of sends`);
+		}
+	}
+	const { min, max } = config.delaySeconds || {};
+	if (!(min >= 0 && max >= min)) {
+		throw new Error(`delaySeconds in ${label} needs min and max seconds, min <= max`);
+	}
+	const warmup = config.warmup || { dailyCapsPerWeek: [] };
+	if (!Array.isArray(warmup.dailyCapsPerWeek) || !warmup.dailyCapsPerWeek.every(cap => Number.isInteger(cap) && cap > 0)) {
+		throw new Error(`warmup.dailyCapsPerWeek in ${label} must list positive daily caps`);
+	}
+	if (warmup.startDate && Number.isNaN(Date.parse(warmup.startDate))) {
+		throw new Error(`warmup.startDate "${warmup.startDate}" in ${label} is not a date`);
+	}
+
+	const window = config.sendWindow;
+	if (window) {
+		const start = parseClock(window.start);
+		const end = parseClock(window.end);
+		if (start === null || end === null || start >= end) {
+			throw new Error(`sendWindow in ${label} needs start and end as HH:MM, start before end`);
+		}
+		if (!Array.isArray(window.days) || window.days.length === 0 || !window.days.every(day => WEEKDAYS.includes(day))) {
+			throw new Error(`sendWindow.days in ${label} must list days out of ${WEEKDAYS.join(", ")}`);
+		}
+		try {
+			new Intl.DateTimeFormat("en-US", { timeZone: window.timezone || "UTC" });
+		} catch (error) {
+			throw new Error(`sendWindow.timezone "${window.timezone}" in ${label} is not a known time zone`);
+		}
+		return { ...config, warmup, sendWindow: { ...window, timezone: window.timezone || "UTC", startMinutes: start, endMinutes: end } };
+	}
+
+	return { ...config, warmup };
+}
+
+function loadThrottleConfig(configPath = process.env.THROTTLE_CONFIG || DEFAULT_CONFIG_PATH) {
+	return validateThrottleConfig(JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", configPath), "utf-8")));
+}
+
+// SQLite CURRENT_TIMESTAMP format, UTC without a zone suffix
+function toSqlTime(ms) {
+	return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function parseSqlTime(value) {
+	return Date.parse(`${value.replace(" ", "T")}Z`);
+}
+
+// Log a send attempt with the provider and its id of the message, only successful ones count towards the caps
+function recordSend(db, sender, email, step, status = "sent", provider = null, providerId = null) {
+	return runQuery(
+		db,
+		"INSERT INTO send_log (sender, email, step, status, provider, provider_id) VALUES (?, ?, ?, ?, ?, ?)",
+		[sender, email, step, status, provider, providerId],
+	);
+}
+
+// Daily cap for a sender, lowered by the warmup schedule while the account is new. warmupWeek is the
+// 1-based week of the ramp, null once it is over
+async function getDailyCap(db, sender, config, now) {
+	let start = config.warmup.startDate ? Date.parse(config.warmup.startDate) : null;
+	if (!start) {
+		const first = await getQuery(db, "SELECT MIN(sent_at) as sent_at FROM send_log WHERE sender = ? AND status = 'sent'", [sender]);
+		start = first.sent_at ? parseSqlTime(first.sent_at) : now;
+	}
+	const week = Math.floor(Math.max(0, now - start) / WEEK_MS);
+	const warmupCap = config.warmup.dailyCapsPerWeek[week];
+	return warmupCap !== undefined && warmupCap < config.dailyCap
+		? { dailyCap: warmupCap, warmupWeek: week + 1 }
+		: { dailyCap: config.dailyCap, warmupWeek: null };
+}
+
+// Sends of a sender in the last day and hour, its caps and what is left of them
+async function getQuota(db, sender, config, now = Date.now()) {
+	const rows = await allQuery(db, "SELECT sent_at FROM send_log WHERE sender = ? AND status = 'sent' AND sent_at > ? ORDER BY sent_at", [sender, toSqlTime(now - DAY_MS)]);
+	const lastDay = rows.map(row => parseSqlTime(row.sent_at));
+	const lastHour = lastDay.filter(time => time > now - HOUR_MS);
+	const last = await getQuery(db, "SELECT MAX(sent_at) as sent_at FROM send_log WHERE sender = ? AND status = 'sent'", [sender]);
+	const { dailyCap, warmupWeek } = await getDailyCap(db, sender, config, now);
+
+	return {
+		sender,
+		dailyCap,
+		warmupWeek,
+		hourlyCap: config.hourlyCap,
+		lastDay,
+		lastHour,
+		remainingToday: Math.max(0, dailyCap - lastDay.length),
+		remainingThisHour: Math.max(0, config.hourlyCap - lastHour.length),
+		lastSentAt: last.sent_at ? parseSqlTime(last.sent_at) : null,
+	};
+}
+
+// Weekday and minutes since midnight of a moment in the window's time zone
+function getLocalTime(ms, timeZone) {
+	const parts = new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(new Date(ms));
+	const part = type => parts.find(candidate => candidate.type === type).value;
+	return { day: part("weekday").toLowerCase(), minutes: parseInt(part("hour")) * 60 + parseInt(part("minute")) };
+}
+
+function isInSendWindow(window, ms) {
+	if (!window) {
+		return true;
+	}
+	const { day, minutes } = getLocalTime(ms, window.timezone);
+	return window.days.includes(day) && minutes >= window.startMinutes && minutes < window.endMinutes;
+}
+
+// Start of the next send window, checked minute by minute so time zone and DST changes need no special cases
+function getNextWindowStart(window, ms) {
+	let time = Math.ceil(ms / MINUTE_MS) * MINUTE_MS;
+	for (let i = 0; i < 8 * 24 * 60; i++, time += MINUTE_MS) {
+		if (isInSendWindow(window, time)) {
+			return time;
+		}
+	}
+	throw new Error("The send window never opens, check sendWindow in the throttle config");
+}
+
+function getRandomDelay(config) {
+	const { min, max } = config.delaySeconds;
+	return Math.round((min + Math.random() * (max - min)) * 1000);
+}
+
+// Earliest moment a sender may send again and why it has to wait until then (null when it doesn't).
+// delayMs is the wait after the sender's last send
+async function getNextSendTime(db, sender, config, delayMs, now = Date.now()) {
+	const quota = await getQuota(db, sender, config, now);
+	let at = now;
+	let reason = null;
+	const notBefore = (time, why) => {
+		if (time > at) {
+			at = time;
+			reason = why;
+		}
+	};
+
+	if (quota.lastSentAt) {
+		notBefore(quota.lastSentAt + delayMs, "delay between sends");
+	}
+	// Caps free up again as the oldest sends in their window expire
+	if (quota.remainingThisHour === 0) {
+		notBefore(quota.lastHour[quota.lastHour.length - quota.hourlyCap] + HOUR_MS, `hourly cap of ${quota.hourlyCap} reached`);
+	}
+	if (quota.remainingToday === 0) {
+		const cap = quota.warmupWeek ? `warmup week ${quota.warmupWeek} cap of ${quota.dailyCap}` : `daily cap of ${quota.dailyCap}`;
+		notBefore(quota.lastDay[quota.lastDay.length - quota.dailyCap] + DAY_MS, `${cap} reached`);
+	}
+	// Caps only loosen over time, so the window is the last thing to check
+	if (!isInSendWindow(config.sendWindow, at)) {
+		notBefore(getNextWindowStart(config.sendWindow, at), "outside the send window");
+	}
+	return { at, reason, quota };
+}
+
+function formatDuration(ms) {
+	const minutes = Math.round(ms / MINUTE_MS);
+	if (minutes < 1) {
+		return `${Math.ceil(ms / 1000)}s`;
+	}
+	return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Wait until the sender may send its next message
+async function waitForSendSlot(db, sender, config) {
+	const delayMs = getRandomDelay(config);
+	while (true) {
+		const { at, reason } = await getNextSendTime(db, sender, config, delayMs);
+		const wait = at - Date.now();
+		if (wait <= 0) {
+			return;
+		}
+		console.log(`⏳ Waiting ${formatDuration(wait)} until ${new Date(at).toISOString()} (${reason})...`);
+		await new Promise(resolve => setTimeout(resolve, wait));
+	}
+}
+
+module.exports = {
+	THROTTLE_SETTINGS,
+	validateThrottleConfig,
+	loadThrottleConfig,
+	recordSend,
+	getQuota,
+	isInSendWindow,
+	getNextWindowStart,
+	getNextSendTime,
+	waitForSendSlot,
+};
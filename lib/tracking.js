@@ -0,0 +1,95 @@
+// Click and open tracking for sent emails. Links to TRACKED_DOMAINS in the text and HTML parts get UTM
+// parameters and, with tracking on, become per-recipient redirects through track.js. The open pixel is optional.
+// Both can be switched off per campaign in templates/<name>/campaign.json (lib/templates.js).
+
+const crypto = require("crypto");
+const { runQuery } = require("./db");
+
+// Public base URL of track.js, tracking is off without it
+const TRACKING_URL = process.env.TRACKING_URL ? process.env.TRACKING_URL.replace(/\/$/, "") : null;
+const TRACKED_DOMAINS = (process.env.TRACKED_DOMAINS || "llmgateway.io").split(",").map(domain => domain.trim().toLowerCase());
+
+function isTrackedUrl(url) {
+	const host = url.hostname.toLowerCase();
+	return TRACKED_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Campaign attribution on our own links, parameters the link already has are kept
+function addUtmParameters(url, { templateName, keyword, variant }) {
+	const parameters = { utm_source: "bulk", utm_medium: "email", utm_campaign: templateName, utm_term: keyword, utm_content: variant };
+	for (const [name, value] of Object.entries(parameters)) {
+		if (value && !url.searchParams.has(name)) {
+			url.searchParams.set(name, value.toLowerCase());
+		}
+	}
+	return url;
+}
+
+async function createToken(db, kind, url, { email, step, templateName, variant }) {
+	const token = crypto.randomBytes(12).toString("base64url");
+	await runQuery(
+		db,
+		"INSERT INTO tracking_tokens (token, kind, email, step, url, template_name, variant) VALUES (?, ?, ?, ?, ?, ?, ?)",
+		[token, kind, email, step, url, templateName, variant],
+	);
+	return token;
+}
+
+// The link to put in an email instead of one of ours, null for links to other sites
+async function trackLink(db, link, message, campaign) {
+	let url;
+	try {
+		url = new URL(link);
+	} catch (error) {
+		return null;
+	}
+	if (!isTrackedUrl(url)) {
+		return null;
+	}
+
+	const target = addUtmParameters(url, message).toString();
+	return TRACKING_URL && campaign.trackLinks
+		? `${TRACKING_URL}/c/${await createToken(db, "click", target, message)}`
+		: target;
+}
+
+// Rewrite the tracked links of an HTML body and append the open pixel, as the campaign allows.
+// message is { email, step, templateName, keyword, variant }, campaign is { trackLinks, trackOpens }
+async function addTracking(db, html, message, campaign) {
+	const tracking = Boolean(TRACKING_URL);
+	const replacements = [];
+	for (const match of html.matchAll(/href="([^"]+)"/g)) {
+		const href = await trackLink(db, match[1].replace(/&amp;/g, "&"), message, campaign);
+		if (href) {
+			replacements.push([match[0], `href="${href.replace(/&/g, "&amp;")}"`]);
+		}
+	}
+
+	let tracked = html;
+	for (const [original, replacement] of replacements) {
+		tracked = tracked.replace(original, replacement);
+	}
+	if (tracking && campaign.trackOpens) {
+		const token = await createToken(db, "open", null, message);
+		tracked += `<img src="${TRACKING_URL}/o/${token}.gif" width="1" height="1" alt="" style="display:block;border:0">`;
+	}
+	return tracked;
+}
+
+// Rewrite the tracked links of a text body (bare URLs and Markdown links), so clicks from plain text mail
+// clients count too. Punctuation right after a URL ends it
+async function addTextTracking(db, text, message, campaign) {
+	let tracked = "";
+	let last = 0;
+	for (const match of text.matchAll(/https?:\/\/[^\s<>()[\]"]+/g)) {
+		const link = match[0].replace(/[.,;:!?']+$/, "");
+		const replacement = await trackLink(db, link, message, campaign);
+		if (replacement) {
+			tracked += text.slice(last, match.index) + replacement;
+			last = match.index + link.length;
+		}
+	}
+	return tracked + text.slice(last);
+}
+
+module.exports = { TRACKING_URL, addUtmParameters, addTracking, addTextTracking };
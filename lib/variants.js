@@ -0,0 +1,147 @@
+// A/B variants of the email templates (templates/<name>/variants.json, see lib/templates.js):
+// deterministic assignment, outcome rates per variant with a significance test, and promotion of a
+// variant that clearly wins on replies once a template has enough sends.
+
+const crypto = require("crypto");
+const { allQuery, getQuery, runQuery } = require("./db");
+const { getTemplateName, listTemplateNames, loadVariantConfig } = require("./templates");
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Pick a variant by weight from a hash of the address, so a recipient always gets the same one
+function pickVariant(config, email) {
+	const totalWeight = config.variants.reduce((sum, variant) => sum + variant.weight, 0);
+	const hash = crypto.createHash("sha256").update(`${config.templateName}:${email.toLowerCase()}`).digest();
+	let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+	for (const variant of config.variants) {
+		point -= variant.weight;
+		if (point < 0) {
+			return variant;
+		}
+	}
+	return config.variants[config.variants.length - 1];
+}
+
+// Template and variant for a lead: the promoted winner when there is one, otherwise a weighted pick.
+// variant is null when the template doesn't test variants
+async function assignVariant(db, keyword, email) {
+	const templateName = getTemplateName(keyword);
+	const config = loadVariantConfig(templateName);
+	if (!config) {
+		return { templateName, variant: null };
+	}
+
+	const promotion = await getQuery(db, "SELECT variant FROM variant_promotions WHERE template_name = ?", [templateName]);
+	const promoted = promotion && config.variants.find(variant => variant.id === promotion.variant);
+	return { templateName, variant: promoted || pickVariant(config, email) };
+}
+
+// Sends and outcomes per template and variant, from initial emails sent with a variant. Clicks and opens
+// count recipients with at least one tracked event
+async function fetchVariantStats(db, templateName = null) {
+	return allQuery(db, `
+		SELECT
+			template_name,
+			variant,
+			COUNT(*) as sent,
+			SUM(CASE WHEN contact_status = 'replied' THEN 1 ELSE 0 END) as replied,
+			SUM(CASE WHEN contact_status = 'bounced' THEN 1 ELSE 0 END) as bounced,
+			SUM(CASE WHEN contact_status = 'unsubscribed' THEN 1 ELSE 0 END) as unsubscribed,
+			SUM(CASE WHEN EXISTS (SELECT 1 FROM tracking_events t WHERE t.email = e.email AND t.kind = 'click') THEN 1 ELSE 0 END) as clicked,
+			SUM(CASE WHEN EXISTS (SELECT 1 FROM tracking_events t WHERE t.email = e.email AND t.kind = 'open') THEN 1 ELSE 0 END) as opened
+		FROM emails e
+		WHERE email_sent = 1 AND variant IS NOT NULL ${templateName ? "AND template_name = ?" : ""}
+		GROUP BY template_name, variant
+		ORDER BY template_name, variant
+	`, templateName ? [templateName] : []);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+	const x = Math.abs(z) / Math.SQRT2;
+	const t = 1 / (1 + 0.3275911 * x);
+	const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+	return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided p-value of a two-proportion z-test, null when either side has no sends
+function twoProportionPValue(successesA, totalA, successesB, totalB) {
+	if (totalA === 0 || totalB === 0) {
+		return null;
+	}
+	const pooled = (successesA + successesB) / (totalA + totalB);
+	const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+	if (standardError === 0) {
+		return 1;
+	}
+	const z = (successesA / totalA - successesB / totalB) / standardError;
+	return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Compare each variant's reply rate to the leader's. Returns the stats with pValue (null for the leader)
+// and significant set, leader first
+function compareVariants(stats) {
+	const rate = row => (row.sent > 0 ? row.replied / row.sent : 0);
+	const sorted = [...stats].sort((a, b) => rate(b) - rate(a) || b.sent - a.sent);
+	const [leader] = sorted;
+	return sorted.map(row => {
+		if (row === leader) {
+			return { ...row, leader: true, pValue: null, significant: false };
+		}
+		const pValue = twoProportionPValue(leader.replied, leader.sent, row.replied, row.sent);
+		return { ...row, leader: false, pValue, significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL };
+	});
+}
+
+// Make a variant the one every new lead of the template gets
+async function promoteVariant(db, templateName, variantId, sends, reason) {
+	await runQuery(
+		db,
+		`INSERT INTO variant_promotions (template_name, variant, sends, reason) VALUES (?, ?, ?, ?)
+		 ON CONFLICT (template_name) DO UPDATE SET variant = excluded.variant, sends = excluded.sends, reason = excluded.reason, promoted_at = CURRENT_TIMESTAMP`,
+		[templateName, variantId, sends, reason],
+	);
+}
+
+// Promote the winner of every template with promoteAfter that reached that many sends, when its reply
+// rate is significantly better than every other variant's. Returns the promotions made
+async function promoteWinners(db) {
+	const promotions = [];
+	for (const templateName of listTemplateNames()) {
+		const config = loadVariantConfig(templateName);
+		if (!config || !config.promoteAfter || config.variants.length < 2) {
+			continue;
+		}
+		if (await getQuery(db, "SELECT 1 FROM variant_promotions WHERE template_name = ?", [templateName])) {
+			continue;
+		}
+
+		const ids = new Set(config.variants.map(variant => variant.id));
+		const stats = (await fetchVariantStats(db, templateName)).filter(row => ids.has(row.variant));
+		const sends = stats.reduce((sum, row) => sum + row.sent, 0);
+		if (sends < config.promoteAfter || stats.length < ids.size) {
+			continue;
+		}
+
+		const [leader, ...others] = compareVariants(stats);
+		if (!others.every(row => row.significant)) {
+			continue;
+		}
+		const runnerUp = others[0];
+		const reason = `reply rate ${(100 * leader.replied / leader.sent).toFixed(1)}% vs ${(100 * runnerUp.replied / runnerUp.sent).toFixed(1)}% (${runnerUp.variant}), p=${runnerUp.pValue.toFixed(3)}`;
+		await promoteVariant(db, templateName, leader.variant, sends, reason);
+		promotions.push({ templateName, variant: leader.variant, sends, reason });
+	}
+	return promotions;
+}
+
+module.exports = {
+	SIGNIFICANCE_LEVEL,
+	pickVariant,
+	assignVariant,
+	fetchVariantStats,
+	twoProportionPValue,
+	compareVariants,
+	promoteVariant,
+	promoteWinners,
+};
@@ -0,0 +1,202 @@
+// Email verification pipeline used by scrape.js.
+// Each stage returns "valid", "invalid" or "unknown". The first invalid stage decides the result,
+// unknown (network errors, DNS timeouts, verifier outages) is never treated as invalid.
+
+const dns = require("dns");
+const fs = require("fs");
+
+const DEFAULT_STAGES = "syntax,disposable,dns,remote";
+const DEFAULT_VERIFIER_URL = "https://rapid-email-verifier.fly.dev/api/validate";
+
+// Basic email format validation to avoid API calls for obviously invalid emails
+function isBasicEmailValid(email) {
+	// Check for obvious invalid patterns first
+	if (!email || typeof email !== "string") return false;
+	if (!email.includes("@")) return false;
+	if (email.toLowerCase().includes("noreply")) return false;
+
+	// Check for local network/test emails like "me@hamzas-macbook-air.local"
+	const localPatterns = [
+		/\.local$/i,
+		/@[^.]*\.localdomain$/i,
+		/@localhost/i,
+		/@[^.]*-[^.]*\.(local|localdomain)$/i,
+		/@.*\.lan$/i,
+		/@.*\.internal$/i,
+	];
+
+	if (localPatterns.some(pattern => pattern.test(email))) {
+		return false;
+	}
+
+	// Basic email format check
+	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+	return emailRegex.test(email);
+}
+
+function getDomain(email) {
+	return email.split("@").pop().toLowerCase();
+}
+
+// Syntax and local/test domain filter
+function createSyntaxStage() {
+	return {
+		name: "syntax",
+		async verify(email) {
+			if (isBasicEmailValid(email)) {
+				return { status: "valid" };
+			}
+			return { status: "invalid", reason: email.toLowerCase().includes("noreply") ? "NOREPLY" : "INVALID_FORMAT" };
+		},
+	};
+}
+
+// Bundled disposable domain list, extended with one domain per line from DISPOSABLE_DOMAINS_FILE
+function createDisposableStage(options = {}) {
+	const domains = new Set(require("./disposable-domains.json"));
+	const extraFile = options.file || process.env.DISPOSABLE_DOMAINS_FILE;
+	if (extraFile) {
+		for (const line of fs.readFileSync(extraFile, "utf-8").split("\n")) {
+			if (line.trim() && !line.startsWith("#")) {
+				domains.add(line.trim().toLowerCase());
+			}
+		}
+	}
+
+	return {
+		name: "disposable",
+		async verify(email) {
+			return domains.has(getDomain(email))
+				? { status: "invalid", reason: "DISPOSABLE" }
+				: { status: "valid" };
+		},
+	};
+}
+
+// MX lookup with A record fallback, through the resolvers in DNS_RESOLVER (comma separated) if set
+function createDnsStage(options = {}) {
+	const resolver = new dns.promises.Resolver({ timeout: options.timeout || 5000, tries: 2 });
+	const servers = options.servers || (process.env.DNS_RESOLVER ? process.env.DNS_RESOLVER.split(",").map(server => server.trim()) : null);
+	if (servers) {
+		resolver.setServers(servers);
+	}
+
+	// Lookups are shared between all addresses of the same domain
+	const domainResults = new Map();
+
+	async function lookupDomain(domain) {
+		try {
+			const records = await resolver.resolveMx(domain);
+			// A single "." exchange is a null MX, the domain explicitly accepts no mail
+			if (records.some(record => record.exchange)) {
+				return { status: "valid" };
+			}
+			return { status: "invalid", reason: "NULL_MX" };
+		} catch (error) {
+			if (error.code === dns.NOTFOUND) {
+				return { status: "invalid", reason: "DOMAIN_NOT_FOUND" };
+			}
+			if (error.code !== dns.NODATA) {
+				return { status: "unknown", reason: `DNS_${error.code}` };
+			}
+		}
+
+		// Without MX records mail is delivered to the domain's A record
+		try {
+			await resolver.resolve4(domain);
+			return { status: "valid" };
+		} catch (error) {
+			if (error.code === dns.NODATA || error.code === dns.NOTFOUND) {
+				return { status: "invalid", reason: "NO_MX_OR_A" };
+			}
+			return { status: "unknown", reason: `DNS_${error.code}` };
+		}
+	}
+
+	return {
+		name: "dns",
+		async verify(email) {
+			const domain = getDomain(email);
+			if (!domainResults.has(domain)) {
+				domainResults.set(domain, lookupDomain(domain));
+			}
+			const result = await domainResults.get(domain);
+			// Don't keep transient failures around for the rest of the run
+			if (result.status === "unknown") {
+				domainResults.delete(domain);
+			}
+			return result;
+		},
+	};
+}
+
+// Hosted verifier (rapid-email-verifier compatible), EMAIL_VERIFIER_URL points it elsewhere
+function createRemoteStage(options = {}) {
+	const url = options.url || process.env.EMAIL_VERIFIER_URL || DEFAULT_VERIFIER_URL;
+
+	return {
+		name: "remote",
+		async verify(email) {
+			try {
+				const response = await fetch(`${url}?email=${encodeURIComponent(email)}`);
+				if (!response.ok) {
+					return { status: "unknown", reason: `API_ERROR_${response.status}` };
+				}
+
+				const data = await response.json();
+				if (data.status === "VALID") {
+					return { status: "valid" };
+				}
+				if (!data.status || data.status === "UNKNOWN") {
+					return { status: "unknown", reason: "API_UNKNOWN" };
+				}
+				return { status: "invalid", reason: data.status };
+			} catch (error) {
+				return { status: "unknown", reason: "VALIDATION_ERROR" };
+			}
+		},
+	};
+}
+
+const STAGE_FACTORIES = {
+	syntax: createSyntaxStage,
+	disposable: createDisposableStage,
+	dns: createDnsStage,
+	remote: createRemoteStage,
+};
+
+// Create a pipeline from stage names (VERIFICATION_STAGES) or stage objects with a name and verify(email)
+function createVerificationPipeline(options = {}) {
+	const stageList = options.stages || (process.env.VERIFICATION_STAGES || DEFAULT_STAGES).split(",");
+	const stages = stageList.map(stage => {
+		if (typeof stage !== "string") {
+			return stage;
+		}
+		const factory = STAGE_FACTORIES[stage.trim()];
+		if (!factory) {
+			throw new Error(`Unknown verification stage "${stage}", expected one of: ${Object.keys(STAGE_FACTORIES).join(", ")}`);
+		}
+		return factory(options[stage.trim()]);
+	});
+
+	// Returns { status, reason, provider } where provider is the stage that decided the result
+	async function verify(email) {
+		let unknown = null;
+
+		for (const stage of stages) {
+			const result = await stage.verify(email);
+			if (result.status === "invalid") {
+				return { status: "invalid", reason: result.reason, provider: stage.name };
+			}
+			if (result.status === "unknown" && !unknown) {
+				unknown = { status: "unknown", reason: result.reason, provider: stage.name };
+			}
+		}
+
+		return unknown || { status: "valid", reason: null, provider: stages.map(stage => stage.name).join("+") };
+	}
+
+	return { verify, stages };
+}
+
+module.exports = { createVerificationPipeline, isBasicEmailValid };
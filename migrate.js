@@ -0,0 +1,46 @@
+require("dotenv").config();
+
+const path = require("path");
+const { openDatabase, closeDatabase } = require("./lib/db");
+const { migrate, getMigrationStatus } = require("./lib/migrate");
+
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+// Apply pending schema migrations ("up", the default) or list every migration ("status")
+async function main(command = process.argv[2] || "up") {
+	let db;
+
+	try {
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+
+		if (command === "status") {
+			const migrations = await getMigrationStatus(db);
+			for (const migration of migrations) {
+				const state = migration.appliedAt ? `applied ${migration.appliedAt}` : "pending";
+				console.log(`${String(migration.version).padStart(3, "0")} ${migration.name} - ${state}`);
+			}
+			const pending = migrations.filter(migration => !migration.appliedAt).length;
+			console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+		} else if (command === "up") {
+			const applied = await migrate(db);
+			console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : "✅ Database schema is up to date");
+		} else {
+			throw new Error(`Unknown command "${command}", expected "up" or "status"`);
+		}
+	} catch (error) {
+		console.error("❌ Error migrating database:", error.message);
+		process.exit(1);
+	} finally {
+		if (db) {
+			await closeDatabase(db);
+		}
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
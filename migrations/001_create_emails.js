@@ -0,0 +1,27 @@
+// Emails table, including the columns older databases added one ALTER TABLE at a time
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS emails
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			email TEXT UNIQUE,
+			repo_name TEXT,
+			keyword TEXT,
+			ignore BOOLEAN,
+			approved BOOLEAN DEFAULT 0,
+			sent BOOLEAN DEFAULT 0,
+			email_sent BOOLEAN DEFAULT 0,
+			email_follow_ups INTEGER DEFAULT 0,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	for (const column of ["repo_name TEXT", "email_body TEXT", "keyword TEXT", "full_name TEXT", "github_stars INTEGER", "commits INTEGER"]) {
+		await addColumnIfMissing(db, "emails", column);
+	}
+}
+
+module.exports = { up };
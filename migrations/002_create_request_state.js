@@ -0,0 +1,26 @@
+// Single row table with the resume state of the scraper (legacy date segments and code search paging)
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS request_state
+		(
+			id INTEGER PRIMARY KEY CHECK (id = 1),
+			keyword TEXT,
+			current_page INTEGER,
+			date_range TEXT,
+			date_segments TEXT,
+			current_segment INTEGER DEFAULT 0,
+			current_repo_index INTEGER DEFAULT 0,
+			total_repos_found INTEGER DEFAULT 0,
+			last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	for (const column of ["code_keyword TEXT", "code_queries TEXT", "code_query_index INTEGER DEFAULT 0", "code_page INTEGER DEFAULT 1"]) {
+		await addColumnIfMissing(db, "request_state", column);
+	}
+}
+
+module.exports = { up };
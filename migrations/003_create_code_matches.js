@@ -0,0 +1,21 @@
+// File path and snippet that matched a code search, per repository
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS code_matches
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			repo_name TEXT,
+			keyword TEXT,
+			query TEXT,
+			path TEXT,
+			html_url TEXT,
+			snippet TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE (repo_name, path)
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+// Date window tree used to keep every repository search under GitHub's 1000 result cap
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS search_windows
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			keyword TEXT NOT NULL,
+			parent_id INTEGER REFERENCES search_windows (id),
+			depth INTEGER DEFAULT 0,
+			range_start TEXT NOT NULL,
+			range_end TEXT NOT NULL,
+			status TEXT DEFAULT 'pending',
+			total_count INTEGER,
+			repos_found INTEGER,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
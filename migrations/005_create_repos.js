@@ -0,0 +1,39 @@
+// Processing ledger for every discovered repository, backfilled from repos that already have emails
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS repos
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			full_name TEXT UNIQUE,
+			keyword TEXT,
+			discovered_in TEXT,
+			stars INTEGER,
+			is_fork BOOLEAN DEFAULT 0,
+			is_archived BOOLEAN DEFAULT 0,
+			fetch_status TEXT DEFAULT 'pending',
+			http_status INTEGER,
+			last_error TEXT,
+			attempts INTEGER DEFAULT 0,
+			contributor_count INTEGER,
+			discovered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			processed_at TIMESTAMP
+		)
+	`);
+
+	for (const column of ["forks INTEGER", "pushed_at TEXT", "description TEXT"]) {
+		await addColumnIfMissing(db, "repos", column);
+	}
+
+	await runQuery(db, `
+		INSERT OR IGNORE INTO repos (full_name, keyword, stars, fetch_status, processed_at)
+		SELECT repo_name, MAX(keyword), MAX(github_stars), 'processed', MIN(created_at)
+		FROM emails
+		WHERE repo_name IS NOT NULL
+		GROUP BY repo_name
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,61 @@
+// People with their linked emails and per-repo contributions, migrated from existing emails rows
+const { runQuery, allQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS people
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			github_login TEXT UNIQUE,
+			full_name TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS person_emails
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			person_id INTEGER NOT NULL REFERENCES people (id),
+			email TEXT UNIQUE,
+			source TEXT DEFAULT 'commit',
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS contributions
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			person_id INTEGER NOT NULL REFERENCES people (id),
+			email TEXT,
+			repo_name TEXT,
+			keyword TEXT,
+			commits INTEGER,
+			last_commit_at TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE (repo_name, email)
+		)
+	`);
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_person_emails_person_id ON person_emails (person_id)");
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_contributions_person_id ON contributions (person_id)");
+
+	await addColumnIfMissing(db, "people", "email_lookup_at TIMESTAMP");
+	await addColumnIfMissing(db, "person_emails", "source_detail TEXT");
+
+	// Emails saved before the identity model existed become one person each
+	const rows = await allQuery(db, "SELECT email, repo_name, keyword, full_name, commits FROM emails WHERE email NOT IN (SELECT email FROM person_emails)");
+	for (const row of rows) {
+		const person = await runQuery(db, "INSERT INTO people (full_name) VALUES (?)", [row.full_name]);
+		await runQuery(db, "INSERT INTO person_emails (person_id, email) VALUES (?, ?)", [person.lastID, row.email]);
+		if (row.repo_name) {
+			await runQuery(
+				db,
+				"INSERT OR IGNORE INTO contributions (person_id, email, repo_name, keyword, commits) VALUES (?, ?, ?, ?, ?)",
+				[person.lastID, row.email, row.repo_name, row.keyword, row.commits],
+			);
+		}
+	}
+}
+
+module.exports = { up };
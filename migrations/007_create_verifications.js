@@ -0,0 +1,18 @@
+// Cached email verification results with a TTL
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS verifications
+		(
+			email TEXT PRIMARY KEY,
+			status TEXT NOT NULL,
+			reason TEXT,
+			provider TEXT,
+			checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			expires_at TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+// Each person's computed lead score and its per-factor breakdown
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS lead_scores
+		(
+			person_id INTEGER PRIMARY KEY REFERENCES people (id),
+			repo_name TEXT,
+			keyword TEXT,
+			stars INTEGER,
+			commits INTEGER,
+			score REAL,
+			breakdown TEXT,
+			computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
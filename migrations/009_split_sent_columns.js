@@ -0,0 +1,45 @@
+// Drop the never written "sent" flag in favour of email_sent plus a sent_at timestamp,
+// and index the columns the send queue filters on
+const { runQuery } = require("../lib/db");
+const { rebuildTable } = require("../lib/migrate");
+
+async function up(db) {
+	await rebuildTable(db, "emails", table => `
+		CREATE TABLE ${table}
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			email TEXT UNIQUE,
+			repo_name TEXT,
+			keyword TEXT,
+			full_name TEXT,
+			github_stars INTEGER,
+			commits INTEGER,
+			ignore BOOLEAN,
+			approved BOOLEAN DEFAULT 0,
+			email_sent BOOLEAN DEFAULT 0,
+			sent_at TIMESTAMP,
+			email_body TEXT,
+			email_follow_ups INTEGER DEFAULT 0,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`, {
+		id: "id",
+		email: "email",
+		repo_name: "repo_name",
+		keyword: "keyword",
+		full_name: "full_name",
+		github_stars: "github_stars",
+		commits: "commits",
+		ignore: "ignore",
+		approved: "approved",
+		email_sent: "CASE WHEN email_sent = 1 OR sent = 1 THEN 1 ELSE 0 END",
+		email_body: "email_body",
+		email_follow_ups: "email_follow_ups",
+		created_at: "created_at",
+	});
+
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_emails_repo_name ON emails (repo_name)");
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_emails_email_sent ON emails (email_sent)");
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+// One row per scrape or send run started from the bulk CLI, shown by "bulk status"
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS runs
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			command TEXT NOT NULL,
+			options TEXT,
+			status TEXT DEFAULT 'running',
+			started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			finished_at TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,8 @@
+// Email text edited in the review dashboard, sent instead of a freshly generated email
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await addColumnIfMissing(db, "emails", "email_draft TEXT");
+}
+
+module.exports = { up };
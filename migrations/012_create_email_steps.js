@@ -0,0 +1,24 @@
+// Every step of a follow-up sequence sent to an email, and the contact status that ends a sequence
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS email_steps
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			email TEXT NOT NULL,
+			step INTEGER NOT NULL,
+			subject TEXT,
+			body TEXT,
+			message_id TEXT,
+			sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE (email, step)
+		)
+	`);
+
+	// "replied", "bounced" or "unsubscribed", null while the sequence may continue
+	await addColumnIfMissing(db, "emails", "contact_status TEXT");
+}
+
+module.exports = { up };
@@ -0,0 +1,51 @@
+// Replies and bounces ingested from the IMAP mailbox, the UID reached per mailbox,
+// and the queue of replies that need manual handling
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS inbound_messages
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			mailbox TEXT,
+			uid INTEGER,
+			message_id TEXT,
+			from_address TEXT,
+			subject TEXT,
+			email TEXT,
+			matched_by TEXT,
+			classification TEXT,
+			bounce_status TEXT,
+			received_at TIMESTAMP,
+			ingested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE (mailbox, uid)
+		)
+	`);
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_inbound_messages_email ON inbound_messages (email)");
+
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS ingest_state
+		(
+			mailbox TEXT PRIMARY KEY,
+			uid_validity TEXT,
+			last_uid INTEGER DEFAULT 0,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS manual_tasks
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			email TEXT,
+			inbound_message_id INTEGER REFERENCES inbound_messages (id),
+			kind TEXT NOT NULL,
+			details TEXT,
+			status TEXT DEFAULT 'open',
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			resolved_at TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
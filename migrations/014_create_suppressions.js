@@ -0,0 +1,25 @@
+// Addresses, domains and GitHub logins that must never be contacted, with why and where they came from
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS suppressions
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			kind TEXT NOT NULL,
+			value TEXT NOT NULL,
+			reason TEXT,
+			source TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE (kind, value)
+		)
+	`);
+
+	// Contacts that already unsubscribed some other way
+	await runQuery(db, `
+		INSERT OR IGNORE INTO suppressions (kind, value, reason, source)
+		SELECT 'email', lower(email), 'unsubscribed', 'contact_status' FROM emails WHERE contact_status = 'unsubscribed'
+	`);
+}
+
+module.exports = { up };
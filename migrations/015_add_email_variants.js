@@ -0,0 +1,22 @@
+// Template and A/B variant each initial email was sent with, and the variants promoted to winner
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await addColumnIfMissing(db, "emails", "template_name TEXT");
+	await addColumnIfMissing(db, "emails", "variant TEXT");
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_emails_variant ON emails (template_name, variant)");
+
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS variant_promotions
+		(
+			template_name TEXT PRIMARY KEY,
+			variant TEXT NOT NULL,
+			sends INTEGER,
+			reason TEXT,
+			promoted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,34 @@
+// Per-recipient tracked links and open pixels (tokens) and the clicks and opens track.js logged for them
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS tracking_tokens
+		(
+			token TEXT PRIMARY KEY,
+			kind TEXT NOT NULL,
+			email TEXT NOT NULL,
+			step INTEGER,
+			url TEXT,
+			template_name TEXT,
+			variant TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS tracking_events
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			token TEXT NOT NULL,
+			kind TEXT NOT NULL,
+			email TEXT NOT NULL,
+			step INTEGER,
+			user_agent TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_tracking_events_email ON tracking_events (email, kind)");
+}
+
+module.exports = { up };
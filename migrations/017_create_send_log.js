@@ -0,0 +1,18 @@
+// Every message handed to a sender account, the throttle's caps and warmup are counted from it
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS send_log
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			sender TEXT NOT NULL,
+			email TEXT NOT NULL,
+			step INTEGER,
+			sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_send_log_sender ON send_log (sender, sent_at)");
+}
+
+module.exports = { up };
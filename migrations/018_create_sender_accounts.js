@@ -0,0 +1,20 @@
+// Sender pool: the account each recipient is stuck to, failed sends in the send log and paused accounts
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await addColumnIfMissing(db, "emails", "sender_account TEXT");
+	await addColumnIfMissing(db, "send_log", "status TEXT DEFAULT 'sent'");
+
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS sender_accounts
+		(
+			id TEXT PRIMARY KEY,
+			status TEXT NOT NULL DEFAULT 'active',
+			reason TEXT,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+// Cached LLM analyses of repositories, one per repository and README, so contributors of the same
+// repository share one analysis
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS repo_analyses
+		(
+			repo_name TEXT NOT NULL,
+			readme_hash TEXT NOT NULL,
+			repo_info TEXT,
+			readme_excerpt TEXT,
+			model TEXT NOT NULL,
+			prompt_version INTEGER NOT NULL,
+			analysis TEXT NOT NULL,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (repo_name, readme_hash)
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+// Failed sends per recipient and step, retried with backoff until they go through or are parked
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS send_attempts
+		(
+			email TEXT NOT NULL,
+			step INTEGER NOT NULL,
+			status TEXT NOT NULL,
+			stage TEXT,
+			error TEXT,
+			attempts INTEGER DEFAULT 0,
+			next_attempt_at TIMESTAMP,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (email, step)
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,33 @@
+// Rendered messages and their send state, keyed by an idempotency key per recipient and step
+const { runQuery } = require("../lib/db");
+
+async function up(db) {
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS outbox
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			idempotency_key TEXT NOT NULL UNIQUE,
+			email TEXT NOT NULL,
+			step INTEGER NOT NULL,
+			status TEXT NOT NULL,
+			subject TEXT NOT NULL,
+			body TEXT NOT NULL,
+			body_text TEXT,
+			body_html TEXT,
+			template_name TEXT,
+			keyword TEXT,
+			variant TEXT,
+			sender_account TEXT,
+			message_id TEXT,
+			provider_id TEXT,
+			error TEXT,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			sending_at TIMESTAMP,
+			sent_at TIMESTAMP
+		)
+	`);
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox (status)");
+}
+
+module.exports = { up };
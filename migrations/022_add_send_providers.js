@@ -0,0 +1,10 @@
+// Delivery providers: which one took each send attempt and outbox message, and its id of the message
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await addColumnIfMissing(db, "send_log", "provider TEXT");
+	await addColumnIfMissing(db, "send_log", "provider_id TEXT");
+	await addColumnIfMissing(db, "outbox", "provider TEXT");
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+// Close CRM sync: the lead and contact of each email, the custom field values last pushed, and where
+// the last pull of each Close activity feed stopped
+const { runQuery } = require("../lib/db");
+const { addColumnIfMissing } = require("../lib/migrate");
+
+async function up(db) {
+	await addColumnIfMissing(db, "emails", "close_lead_id TEXT");
+	await addColumnIfMissing(db, "emails", "close_contact_id TEXT");
+	await addColumnIfMissing(db, "emails", "close_pushed TEXT");
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_emails_close_lead_id ON emails (close_lead_id)");
+	await runQuery(db, "CREATE INDEX IF NOT EXISTS idx_emails_close_contact_id ON emails (close_contact_id)");
+	await runQuery(db, `
+		CREATE TABLE IF NOT EXISTS close_sync_state
+		(
+			feed TEXT PRIMARY KEY,
+			cursor TEXT NOT NULL,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = { up };
@@ -0,0 +1,328 @@
+require("dotenv").config();
+
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const { openDatabase, runQuery, getQuery, allQuery } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { fetchRepoInfo, fetchCodeMatch, getRepoAnalysis, buildEmailVariables, generateEmailSubject, generatePersonalizedEmail } = require("./email");
+const { assignVariant } = require("./lib/variants");
+const { loadSenderConfig } = require("./lib/senders");
+const { UNSENT_STATUSES, getOutboxMessage, saveOutboxMessage, updateOutboxBody, discardOutboxMessage, queueOutboxMessage } = require("./lib/outbox");
+
+const REVIEW_PORT = parseInt(process.env.REVIEW_PORT) || 3100;
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+const PAGE_SIZE = 100;
+// Every form carries this token, so pages in the reviewer's browser can't post to the dashboard
+const FORM_TOKEN = crypto.randomBytes(16).toString("hex");
+const TOKEN_INPUT = `<input type="hidden" name="token" value="${FORM_TOKEN}">`;
+
+// Lead list filters on top of the shared lead query
+const VIEWS = {
+	pending: "e.ignore = 0 AND e.approved = 0 AND e.email_sent = 0",
+	approved: "e.approved = 1 AND e.email_sent = 0",
+	ignored: "e.ignore = 1",
+	sent: "e.email_sent = 1",
+	all: "1 = 1",
+};
+const SORTS = {
+	score: "s.score DESC",
+	commits: "e.commits DESC",
+	stars: "e.github_stars DESC",
+};
+
+let db;
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function renderPage(title, body) {
+	return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - Lead review</title>
+<style>
+	body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+	table { border-collapse: collapse; width: 100%; }
+	th, td { text-align: left; padding: 0.3rem 0.6rem; border-bottom: 1px solid #ddd; }
+	form.inline { display: inline; }
+	textarea { width: 100%; height: 24rem; font-family: monospace; }
+	.status-valid { color: #080; } .status-invalid { color: #b00; } .status-unknown { color: #a60; }
+	.muted { color: #888; }
+</style>
+</head>
+<body>
+<h1><a href="/">Lead review</a></h1>
+${body}
+</body>
+</html>`;
+}
+
+function leadStatus(lead) {
+	if (lead.email_sent) {
+		return "sent";
+	}
+	if (lead.ignore) {
+		return "ignored";
+	}
+	return lead.approved ? "approved" : "pending";
+}
+
+// Shared lead query, one row per email with its verification and its person's score
+const LEAD_QUERY = `
+	SELECT
+		e.*,
+		v.status as verification_status,
+		v.reason as verification_reason,
+		s.score
+	FROM emails e
+	LEFT JOIN verifications v ON v.email = e.email
+	LEFT JOIN person_emails pe ON pe.email = e.email
+	LEFT JOIN lead_scores s ON s.person_id = pe.person_id
+`;
+
+async function renderLeadList(query) {
+	const view = VIEWS[query.get("view")] ? query.get("view") : "pending";
+	const sort = SORTS[query.get("sort")] ? query.get("sort") : "score";
+	const keyword = query.get("keyword") || "";
+	const minStars = parseInt(query.get("min_stars")) || 0;
+	const validation = query.get("validation") || "";
+
+	const conditions = [VIEWS[view], "COALESCE(e.github_stars, 0) >= ?"];
+	const params = [minStars];
+	if (keyword) {
+		conditions.push("e.keyword = ?");
+		params.push(keyword);
+	}
+	if (validation === "unverified") {
+		conditions.push("v.status IS NULL");
+	} else if (validation) {
+		conditions.push("v.status = ?");
+		params.push(validation);
+	}
+
+	const leads = await allQuery(db, `${LEAD_QUERY} WHERE ${conditions.join(" AND ")} ORDER BY ${SORTS[sort]} LIMIT ${PAGE_SIZE}`, params);
+	const keywords = await allQuery(db, "SELECT DISTINCT keyword FROM emails WHERE keyword IS NOT NULL ORDER BY keyword");
+
+	const option = (value, selected, label = value) => `<option value="${escapeHtml(value)}"${value === selected ? " selected" : ""}>${escapeHtml(label)}</option>`;
+	const filters = `
+<form method="get" action="/">
+	<select name="view">${Object.keys(VIEWS).map(name => option(name, view)).join("")}</select>
+	<select name="keyword">${option("", keyword, "any keyword")}${keywords.map(row => option(row.keyword, keyword)).join("")}</select>
+	<select name="validation">${["", "valid", "unknown", "invalid", "unverified"].map(status => option(status, validation, status || "any validation")).join("")}</select>
+	<label>min stars <input type="number" name="min_stars" value="${minStars}" min="0" style="width: 5rem"></label>
+	<select name="sort">${Object.keys(SORTS).map(name => option(name, sort, `sort by ${name}`)).join("")}</select>
+	<button>Filter</button>
+</form>`;
+
+	const rows = leads.map(lead => `
+	<tr>
+		<td><input type="checkbox" name="email" value="${escapeHtml(lead.email)}"></td>
+		<td><a href="/lead?email=${encodeURIComponent(lead.email)}">${escapeHtml(lead.full_name || lead.email)}</a><br><span class="muted">${escapeHtml(lead.email)}</span></td>
+		<td>${escapeHtml(lead.repo_name)}<br><span class="muted">${escapeHtml(lead.keyword)}</span></td>
+		<td>${lead.github_stars || 0}</td>
+		<td>${lead.commits || 0}</td>
+		<td>${lead.score ?? "-"}</td>
+		<td class="status-${escapeHtml(lead.verification_status)}">${escapeHtml(lead.verification_status || "unverified")}</td>
+		<td>${leadStatus(lead)}${lead.email_draft ? " (edited)" : ""}</td>
+	</tr>`).join("");
+
+	return renderPage("Leads", `${filters}
+<form method="post" action="/approve">
+	${TOKEN_INPUT}
+	<p><button>Approve selected</button> <span class="muted">${leads.length} leads${leads.length === PAGE_SIZE ? ` (first ${PAGE_SIZE})` : ""}</span></p>
+	<table>
+		<tr><th></th><th>Lead</th><th>Repository</th><th>Stars</th><th>Commits</th><th>Score</th><th>Validation</th><th>Status</th></tr>
+		${rows}
+	</table>
+</form>`);
+}
+
+async function renderLeadDetail(email) {
+	const lead = await getQuery(db, `${LEAD_QUERY} WHERE e.email = ?`, [email]);
+	if (!lead) {
+		return null;
+	}
+
+	const repoInfo = await fetchRepoInfo(lead.repo_name);
+	// The email is drafted once into the outbox, what is approved here is what gets sent
+	let draft = await getOutboxMessage(db, email, 1);
+	let previewError = null;
+	if (!draft && !lead.email_sent && repoInfo) {
+		try {
+			const { templateName, variant } = await assignVariant(db, lead.keyword, email);
+			// Drafts are written for the first account in senders.json
+			const account = loadSenderConfig().accounts[0];
+			let repoAnalysis = null;
+			if (!lead.email_draft) {
+				repoInfo.codeMatch = await fetchCodeMatch(db, lead.repo_name);
+				({ analysis: repoAnalysis } = await getRepoAnalysis(db, lead.repo_name, repoInfo));
+			}
+			draft = await saveOutboxMessage(db, {
+				email,
+				step: 1,
+				status: lead.approved ? "queued" : "draft",
+				subject: generateEmailSubject(buildEmailVariables(lead, repoInfo, null, account), variant),
+				body: lead.email_draft || generatePersonalizedEmail(buildEmailVariables(lead, repoInfo, repoAnalysis, account), variant),
+				templateName,
+				keyword: lead.keyword,
+				variant: variant ? variant.id : null,
+				senderAccount: account.id,
+			});
+		} catch (error) {
+			previewError = error.message;
+		}
+	}
+	const editable = draft && UNSENT_STATUSES.includes(draft.status);
+	const account = draft && loadSenderConfig().accounts.find(candidate => candidate.id === draft.sender_account);
+	const from = account ? `${account.fromName} <${account.fromEmail}>` : draft && draft.sender_account;
+
+	const repoSection = repoInfo
+		? `<h3><a href="https://github.com/${escapeHtml(repoInfo.fullName)}">${escapeHtml(repoInfo.fullName)}</a></h3>
+<p>${escapeHtml(repoInfo.description)}</p>
+<p class="muted">${escapeHtml(repoInfo.language)} · ⭐ ${repoInfo.stars}</p>
+<details><summary>README</summary><pre>${escapeHtml(repoInfo.readme)}</pre></details>`
+		: `<p class="status-invalid">Could not fetch repository info for ${escapeHtml(lead.repo_name)}</p>`;
+
+	const action = (name, label) => `<form class="inline" method="post" action="/lead/${name}">${TOKEN_INPUT}<input type="hidden" name="email" value="${escapeHtml(email)}"><button>${label}</button></form>`;
+
+	return renderPage(lead.full_name || email, `
+<h2>${escapeHtml(lead.full_name || email)} <span class="muted">${escapeHtml(email)}</span></h2>
+<p>
+	Status: ${leadStatus(lead)} · Validation: <span class="status-${escapeHtml(lead.verification_status)}">${escapeHtml(lead.verification_status || "unverified")}</span>${lead.verification_reason ? ` (${escapeHtml(lead.verification_reason)})` : ""}
+	· ${lead.commits || 0} commits · score ${lead.score ?? "-"}
+</p>
+<p>${action("approve", "Approve")} ${action("ignore", "Ignore")}</p>
+${repoSection}
+<h3>Email</h3>
+${draft ? `<p><strong>Subject:</strong> ${escapeHtml(draft.subject)}</p>
+<p class="muted">${escapeHtml(draft.status)} · Template ${escapeHtml(draft.template_name || "-")}${draft.variant ? `, variant ${escapeHtml(draft.variant)}` : ""} · From ${escapeHtml(from || "-")}</p>` : ""}
+${previewError ? `<p class="status-invalid">Could not draft the email: ${escapeHtml(previewError)}</p>` : ""}
+<form method="post" action="/lead/edit">
+	${TOKEN_INPUT}
+	<input type="hidden" name="email" value="${escapeHtml(email)}">
+	<textarea name="body"${editable ? "" : " readonly"}>${escapeHtml(draft ? draft.body : lead.email_body)}</textarea>
+	${editable ? `<p><button>Save edit</button> <span class="muted">${lead.email_draft ? "Showing the saved edit" : "Generated draft"}, it is sent exactly like this. Discarding drafts a new one</span></p>` : ""}
+</form>
+${editable ? action("discard", "Discard draft") : ""}`);
+}
+
+function readForm(req) {
+	return new Promise((resolve, reject) => {
+		let body = "";
+		req.on("data", chunk => {
+			body += chunk;
+		});
+		req.on("end", () => resolve(new URLSearchParams(body)));
+		req.on("error", reject);
+	});
+}
+
+function redirect(res, location) {
+	res.writeHead(303, { Location: location });
+	res.end();
+}
+
+// Actions posted from the list and detail pages
+const ACTIONS = {
+	"/approve": async form => {
+		const emails = form.getAll("email");
+		for (const email of emails) {
+			await runQuery(db, "UPDATE emails SET approved = 1, ignore = 0 WHERE email = ?", [email]);
+			await queueOutboxMessage(db, email, 1);
+		}
+		console.log(`✅ Approved ${emails.length} leads`);
+		return "/";
+	},
+	"/lead/approve": async form => {
+		await runQuery(db, "UPDATE emails SET approved = 1, ignore = 0 WHERE email = ?", [form.get("email")]);
+		await queueOutboxMessage(db, form.get("email"), 1);
+		console.log(`✅ Approved ${form.get("email")}`);
+		return `/lead?email=${encodeURIComponent(form.get("email"))}`;
+	},
+	"/lead/ignore": async form => {
+		await runQuery(db, "UPDATE emails SET ignore = 1, approved = 0 WHERE email = ?", [form.get("email")]);
+		console.log(`🚫 Ignored ${form.get("email")}`);
+		return `/lead?email=${encodeURIComponent(form.get("email"))}`;
+	},
+	"/lead/edit": async form => {
+		const body = (form.get("body") || "").trim() || null;
+		await runQuery(db, "UPDATE emails SET email_draft = ? WHERE email = ?", [body, form.get("email")]);
+		// An emptied draft is drafted again from the templates
+		await (body ? updateOutboxBody(db, form.get("email"), 1, body) : discardOutboxMessage(db, form.get("email"), 1));
+		console.log(`📝 Saved edited email for ${form.get("email")}`);
+		return `/lead?email=${encodeURIComponent(form.get("email"))}`;
+	},
+	"/lead/discard": async form => {
+		await runQuery(db, "UPDATE emails SET email_draft = NULL WHERE email = ?", [form.get("email")]);
+		await discardOutboxMessage(db, form.get("email"), 1);
+		return `/lead?email=${encodeURIComponent(form.get("email"))}`;
+	},
+};
+
+async function handleRequest(req, res) {
+	const url = new URL(req.url, `http://${req.headers.host}`);
+
+	if (req.method === "POST" && ACTIONS[url.pathname]) {
+		const form = await readForm(req);
+		const token = Buffer.from(form.get("token") || "");
+		if (token.length !== FORM_TOKEN.length || !crypto.timingSafeEqual(token, Buffer.from(FORM_TOKEN))) {
+			res.writeHead(403, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("Invalid form token, reload the page and try again");
+			return;
+		}
+		redirect(res, await ACTIONS[url.pathname](form));
+		return;
+	}
+
+	let html = null;
+	if (req.method === "GET" && url.pathname === "/") {
+		html = await renderLeadList(url.searchParams);
+	} else if (req.method === "GET" && url.pathname === "/lead") {
+		html = await renderLeadDetail(url.searchParams.get("email"));
+	}
+
+	if (html === null) {
+		res.writeHead(404, { "Content-Type": "text/html; charset=utf-8" });
+		res.end(renderPage("Not found", "<p>Not found</p>"));
+		return;
+	}
+	res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+	res.end(html);
+}
+
+// Start the review dashboard on localhost
+async function main() {
+	try {
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		const server = http.createServer((req, res) => {
+			handleRequest(req, res).catch(error => {
+				console.error("❌ Error handling request:", error.message);
+				res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+				res.end(error.message);
+			});
+		});
+		server.listen(REVIEW_PORT, "127.0.0.1", () => {
+			console.log(`🔎 Review dashboard running at http://localhost:${REVIEW_PORT}`);
+		});
+	} catch (error) {
+		console.error("❌ Error starting review dashboard:", error.message);
+		process.exitCode = 1;
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
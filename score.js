@@ -0,0 +1,56 @@
+require("dotenv").config();
+
+const path = require("path");
+const { openDatabase, allQuery, closeDatabase } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { loadScoringConfig, rescoreLeads } = require("./lib/scoring");
+
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+// Re-score every lead in the database with the current scoring config
+async function main() {
+	let db;
+
+	try {
+		console.log("🧮 Re-scoring leads...");
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		const config = loadScoringConfig();
+		const result = await rescoreLeads(db, config);
+		console.log(`✅ Scored ${result.people} people`);
+
+		const top = await allQuery(db, `
+			SELECT p.full_name, p.github_login, s.repo_name, s.score, s.breakdown
+			FROM lead_scores s
+			JOIN people p ON p.id = s.person_id
+			ORDER BY s.score DESC
+			LIMIT 10
+		`);
+
+		console.log(`\nTop leads (minimum score to send: ${config.minScore}):`);
+		top.forEach((lead, index) => {
+			const factors = JSON.parse(lead.breakdown).factors;
+			const summary = Object.entries(factors)
+				.map(([factor, { points }]) => `${factor} ${points}`)
+				.join(", ");
+			console.log(`${index + 1}. ${lead.full_name || lead.github_login} - ${lead.repo_name} [${lead.score}]`);
+			console.log(`   ${summary}`);
+		});
+	} catch (error) {
+		console.error("❌ Error scoring leads:", error.message);
+		process.exit(1);
+	} finally {
+		if (db) {
+			await closeDatabase(db);
+		}
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
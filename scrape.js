@@ -2,345 +2,311 @@ require("dotenv").config();
 
 const fs = require("fs");
 const path = require("path");
-const sqlite3 = require("sqlite3").verbose();
+const { openDatabase, runQuery, allQuery, getQuery, closeDatabase } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { findSuppression } = require("./lib/suppressions");
+const { createGitHubClient } = require("./lib/github");
+const { createVerificationPipeline, isBasicEmailValid } = require("./lib/verification");
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const KEYWORD = process.env.KEYWORD || "OPENROUTER";
 const MAX_RESULTS = parseInt(process.env.MAX_RESULTS) || 100;
+// Repositories created before this date are not searched
+const SEARCH_SINCE = process.env.SEARCH_SINCE || "2024-01-01";
 const PER_PAGE = 100; // GitHub API max per page
+const MAX_REPO_ATTEMPTS = 3; // Failed repos are retried on later runs until this many attempts
+// Look up public emails for authors that only committed with a GitHub noreply address
+const RESOLVE_NOREPLY = process.env.RESOLVE_NOREPLY !== "false";
+const NOREPLY_REPOS_TO_CHECK = 3; // Own repos searched for commit emails when the profile has none
+// Days a cached verification result is reused, "unknown" results are retried on every run
+const VERIFICATION_TTL_DAYS = parseInt(process.env.VERIFICATION_TTL_DAYS) || 30;
 const COMMITS_PER_REPO = parseInt(process.env.COMMITS_PER_REPO) || 30;
 const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+const github = createGitHubClient();
+const verificationPipeline = createVerificationPipeline();
+// "repositories" searches repo names/descriptions/READMEs, "code" searches for concrete SDK/API usage
+const SEARCH_MODE = process.env.SEARCH_MODE || "repositories";
+
+// Code search patterns that show a repository actually uses the keyword's SDK/API,
+// instead of just mentioning it somewhere in its name, description or README
+const CODE_SEARCH_PATTERNS = {
+	openrouter: [
+		"\"openrouter.ai/api\"",
+		"\"@openrouter/ai-sdk-provider\" filename:package.json",
+		"\"from openai import\" base_url openrouter language:Python",
+		"baseURL \"openrouter.ai/api/v1\"",
+	],
+};
 
 function sleep(ms) {
 	return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Email validation function using rapid-email-verifier API
-async function validateEmail(email) {
+// Initialize SQLite database
+let db;
+
+async function initializeDatabase() {
 	try {
-		const encodedEmail = encodeURIComponent(email);
-		const response = await fetch(`https://rapid-email-verifier.fly.dev/api/validate?email=${encodedEmail}`);
+		db = await openDatabase(DB_PATH);
+		console.log(`Connected to SQLite database at ${DB_PATH}`);
 
-		if (!response.ok) {
-			console.log(`  ⚠️  Email validation API error for ${email}: ${response.status}`);
-			return { isValid: false, reason: 'API_ERROR' };
-		}
+		await migrate(db);
 
-		const data = await response.json();
-		const isValid = data.status === 'VALID';
+		console.log("Database initialized successfully");
+	} catch (err) {
+		console.error(`Error initializing database: ${err.message}`);
+		process.exit(1);
+	}
+}
 
-		if (!isValid) {
-			console.log(`  ❌ Email ${email} is invalid - status: ${data.status}`);
-		}
+// Verify an email through the verification pipeline, reusing cached results until they expire
+async function verifyEmail(email) {
+	const cached = await getQuery(
+		db,
+		"SELECT status, reason, provider FROM verifications WHERE email = ? AND status != 'unknown' AND expires_at > CURRENT_TIMESTAMP",
+		[email],
+	);
+	if (cached) {
+		return { ...cached, cached: true };
+	}
 
-		return {
-			isValid,
-			reason: isValid ? null : data.status,
-			validationData: data
-		};
+	let result;
+	try {
+		result = await verificationPipeline.verify(email);
 	} catch (error) {
-		console.log(`  ⚠️  Email validation error for ${email}: ${error.message}`);
-		return { isValid: false, reason: 'VALIDATION_ERROR' };
-	}
-}
-
-// Basic email format validation to avoid API calls for obviously invalid emails
-function isBasicEmailValid(email) {
-	// Check for obvious invalid patterns first
-	if (!email || typeof email !== 'string') return false;
-	if (!email.includes('@')) return false;
-	if (email.toLowerCase().includes('noreply')) return false;
-
-	// Check for local network/test emails like "me@hamzas-macbook-air.local"
-	const localPatterns = [
-		/\.local$/i,
-		/@[^.]*\.localdomain$/i,
-		/@localhost/i,
-		/@[^.]*-[^.]*\.(local|localdomain)$/i,
-		/@.*\.lan$/i,
-		/@.*\.internal$/i
-	];
+		// Saved like any unknown result, without a row the send query would take the email as verified
+		console.error(`  Error verifying email ${email}: ${error.message}`);
+		result = { status: "unknown", reason: "VERIFICATION_ERROR", provider: null };
+	}
+	await runQuery(
+		db,
+		`INSERT OR REPLACE INTO verifications (email, status, reason, provider, checked_at, expires_at)
+		 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))`,
+		[email, result.status, result.reason, result.provider, `+${result.status === "unknown" ? 0 : VERIFICATION_TTL_DAYS} days`],
+	);
+	return { ...result, cached: false };
+}
 
-	if (localPatterns.some(pattern => pattern.test(email))) {
-		return false;
+// Function to save email to database (only first occurrence)
+async function saveEmail(email, repoName, keyword, fullName = null, githubStars = null, commits = null) {
+	let verification;
+	try {
+		verification = await verifyEmail(email);
+	} catch (error) {
+		// The result couldn't be saved, and an email without a verification row would be sent unverified
+		console.error(`  Error verifying email ${email}, not saved: ${error.message}`);
+		return;
 	}
+	// Only a definite "invalid" result ignores the email, "unknown" is retried on later runs
+	const shouldIgnore = verification.status === "invalid";
 
-	// Basic email format check
-	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-	return emailRegex.test(email);
-}
+	try {
+		// Use INSERT OR IGNORE to prevent duplicate entries - only saves first occurrence
+		const result = await runQuery(
+			db,
+			"INSERT OR IGNORE INTO emails (email, repo_name, keyword, ignore, full_name, github_stars, commits) VALUES (?, ?, ?, ?, ?, ?, ?)",
+			[email, repoName, keyword, shouldIgnore ? 1 : 0, fullName, githubStars, commits],
+		);
 
-// Utility functions to promisify sqlite3 operations
-function openDatabase(dbPath) {
-	return new Promise((resolve, reject) => {
-		const database = new sqlite3.Database(dbPath, (err) => {
-			if (err) {
-				reject(err);
+		// result.changes tells us if a row was inserted (1) or not (0)
+		if (result.changes === 0) {
+			console.log(`  Email already exists in database: ${email}`);
+		} else {
+			// New email was inserted
+			if (shouldIgnore) {
+				console.log(`  Saved invalid email with ignore flag: ${email} (${fullName || email}) - ${verification.reason} (${verification.provider})`);
+			} else if (verification.status === "unknown") {
+				console.log(`  ⏳ Saved email pending verification: ${email} (${fullName || email}) - ${verification.reason}`);
 			} else {
-				resolve(database);
+				console.log(`  ✅ Saved valid email: ${email} (${fullName || email}) - ${githubStars || 0} stars, ${commits || 0} commits`);
 			}
-		});
-	});
-}
+		}
 
-function runQuery(db, query, params = []) {
-	return new Promise((resolve, reject) => {
-		db.run(query, params, function (err) {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(this);
-			}
-		});
-	});
+		// Add small delay to avoid overwhelming the validation API
+		if (!verification.cached) {
+			await sleep(100);
+		}
+	} catch (error) {
+		console.error(`  Error saving email ${email}: ${error.message}`);
+	}
 }
 
-function getQuery(db, query, params = []) {
-	return new Promise((resolve, reject) => {
-		db.get(query, params, (err, row) => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(row);
-			}
-		});
-	});
-}
+// Retry verification of emails whose last result was "unknown" (verifier outage, DNS timeout...)
+async function reverifyUnknownEmails() {
+	const rows = await allQuery(
+		db,
+		"SELECT e.email FROM emails e JOIN verifications v ON v.email = e.email WHERE v.status = 'unknown' AND e.email_sent = 0",
+	);
+	if (rows.length === 0) {
+		return;
+	}
 
-function prepareStatement(db, query) {
-	return db.prepare(query);
+	console.log(`🔁 Re-verifying ${rows.length} emails with unknown verification status...`);
+	const counts = { valid: 0, invalid: 0, unknown: 0 };
+	for (const row of rows) {
+		const verification = await verifyEmail(row.email);
+		counts[verification.status]++;
+		if (verification.status === "invalid") {
+			await runQuery(db, "UPDATE emails SET ignore = 1 WHERE email = ?", [row.email]);
+		}
+	}
+	console.log(`  ${counts.valid} valid, ${counts.invalid} invalid, ${counts.unknown} still unknown`);
 }
 
-function runStatement(stmt, params = []) {
-	return new Promise((resolve, reject) => {
-		stmt.run(...params, function (err) {
-			if (err) {
-				reject(err);
-			} else {
-				resolve(this);
-			}
-		});
-	});
+// Move an email-only person's addresses and contributions onto the person with their GitHub login
+async function mergePeople(targetId, sourceId) {
+	await runQuery(db, "UPDATE person_emails SET person_id = ? WHERE person_id = ?", [targetId, sourceId]);
+	await runQuery(db, "UPDATE contributions SET person_id = ? WHERE person_id = ?", [targetId, sourceId]);
+	await runQuery(db, "DELETE FROM people WHERE id = ?", [sourceId]);
 }
 
-function finalizeStatement(stmt) {
-	return new Promise((resolve, reject) => {
-		stmt.finalize(err => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve();
-			}
-		});
-	});
-}
+// Find or create the person behind a commit author, linked by GitHub login when available
+async function resolvePerson(email, login, fullName) {
+	const byLogin = login ? await getQuery(db, "SELECT id FROM people WHERE github_login = ?", [login]) : null;
+	const byEmail = await getQuery(
+		db,
+		"SELECT p.id, p.github_login FROM person_emails pe JOIN people p ON p.id = pe.person_id WHERE pe.email = ?",
+		[email],
+	);
+
+	if (byLogin) {
+		if (!byEmail) {
+			await runQuery(db, "INSERT INTO person_emails (person_id, email) VALUES (?, ?)", [byLogin.id, email]);
+		} else if (byEmail.id !== byLogin.id && !byEmail.github_login) {
+			await mergePeople(byLogin.id, byEmail.id);
+		}
+		return byLogin.id;
+	}
 
-function closeDatabase(db) {
-	return new Promise((resolve, reject) => {
-		db.close((err) => {
-			if (err) {
-				reject(err);
-			} else {
-				resolve();
-			}
-		});
-	});
-}
+	if (byEmail) {
+		if (login && !byEmail.github_login) {
+			await runQuery(db, "UPDATE people SET github_login = ? WHERE id = ?", [login, byEmail.id]);
+		}
+		return byEmail.id;
+	}
 
-// Initialize SQLite database
-let db;
+	const person = await runQuery(db, "INSERT INTO people (github_login, full_name) VALUES (?, ?)", [login, fullName]);
+	await runQuery(db, "INSERT INTO person_emails (person_id, email) VALUES (?, ?)", [person.lastID, email]);
+	return person.lastID;
+}
 
-async function initializeDatabase() {
+// Function to save a contributor's per-repo commit count and last commit date
+async function saveContribution(email, contributor, repoName, keyword) {
 	try {
-		db = await openDatabase(DB_PATH);
-		console.log(`Connected to SQLite database at ${DB_PATH}`);
+		const personId = await resolvePerson(email, contributor.login, contributor.fullName);
+		await runQuery(
+			db,
+			`INSERT INTO contributions (person_id, email, repo_name, keyword, commits, last_commit_at)
+			 VALUES (?, ?, ?, ?, ?, ?)
+			 ON CONFLICT (repo_name, email) DO UPDATE SET person_id = excluded.person_id, commits = excluded.commits, last_commit_at = excluded.last_commit_at, updated_at = CURRENT_TIMESTAMP`,
+			[personId, email, repoName, keyword, contributor.count, contributor.lastCommitDate.toISOString()],
+		);
+	} catch (error) {
+		console.error(`  Error saving contribution for ${email} to ${repoName}: ${error.message}`);
+	}
+}
 
-		// Create emails table if it doesn't exist
-		await runQuery(db, `
-			CREATE TABLE IF NOT EXISTS emails
-			(
-				id
-				INTEGER
-				PRIMARY
-				KEY
-				AUTOINCREMENT,
-				email
-				TEXT
-				UNIQUE,
-				repo_name
-				TEXT,
-				keyword
-				TEXT,
-				ignore
-				BOOLEAN,
-				approved
-				BOOLEAN
-				DEFAULT
-				0,
-				sent
-				BOOLEAN
-				DEFAULT
-				0,
-				email_sent
-				BOOLEAN
-				DEFAULT
-				0,
-				email_follow_ups
-				INTEGER
-				DEFAULT
-				0,
-				created_at
-				TIMESTAMP
-				DEFAULT
-				CURRENT_TIMESTAMP
-			)
-		`);
-
-
-		// Add repo_name column if it doesn't exist (for existing databases)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN repo_name TEXT`);
-			console.log("Added repo_name column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
-			}
-		}
+// Get the GitHub login from a noreply address, either "ID+login@" or the older "login@" form
+function parseNoreplyLogin(email) {
+	const match = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i.exec(email);
+	return match ? match[1] : null;
+}
 
-		// Add email_body column if it doesn't exist (for email tracking)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN email_body TEXT`);
-			console.log("Added email_body column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
-			}
-		}
+// Rate limits and server errors the client gave up on, a lookup that hit one didn't get an answer
+function checkLookupResponse(response, path) {
+	if (response.status === 403 || response.status === 429 || response.status >= 500) {
+		throw new Error(`GitHub answered ${response.status} for ${path}`);
+	}
+}
 
-		// Add keyword column if it doesn't exist (for existing databases)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN keyword TEXT`);
-			console.log("Added keyword column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
-			}
-		}
+// Find a reachable email for a GitHub login, first on the public profile, then in commits to their own repos.
+// Returns null when there is none, throws when GitHub couldn't be asked
+async function findPublicEmail(login) {
+	const userResponse = await github.request(`/users/${login}`);
+	checkLookupResponse(userResponse, `/users/${login}`);
+	if (!userResponse.ok) {
+		return null;
+	}
 
-		// Add full_name column if it doesn't exist (for existing databases)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN full_name TEXT`);
-			console.log("Added full_name column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
-			}
-		}
+	const user = await userResponse.json();
+	if (user.email && isBasicEmailValid(user.email)) {
+		return { email: user.email, source: "github_profile", detail: login };
+	}
+	if (user.type !== "User") {
+		return null; // Bots and organizations
+	}
 
-		// Add github_stars column if it doesn't exist (for existing databases)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN github_stars INTEGER`);
-			console.log("Added github_stars column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
-			}
+	const reposResponse = await github.request(`/users/${login}/repos?type=owner&sort=pushed&per_page=${NOREPLY_REPOS_TO_CHECK * 3}`);
+	checkLookupResponse(reposResponse, `/users/${login}/repos`);
+	if (!reposResponse.ok) {
+		return null;
+	}
+
+	const ownRepos = (await reposResponse.json()).filter(repo => !repo.fork).slice(0, NOREPLY_REPOS_TO_CHECK);
+	for (const ownRepo of ownRepos) {
+		const commitsResponse = await github.request(`/repos/${ownRepo.full_name}/commits?author=${encodeURIComponent(login)}&per_page=30`);
+		checkLookupResponse(commitsResponse, `/repos/${ownRepo.full_name}/commits`);
+		// Empty repositories answer 409
+		if (!commitsResponse.ok) {
+			continue;
 		}
 
-		// Add commits column if it doesn't exist (for existing databases)
-		try {
-			await runQuery(db, `ALTER TABLE emails
-				ADD COLUMN commits INTEGER`);
-			console.log("Added commits column to existing emails table");
-		} catch (err) {
-			// Column already exists, ignore the error
-			if (!err.message.includes("duplicate column name")) {
-				throw err;
+		for (const commit of await commitsResponse.json()) {
+			const authorEmail = commit.commit && commit.commit.author ? commit.commit.author.email : null;
+			// Only trust commits GitHub linked to this account
+			if (commit.author && commit.author.login === login && isBasicEmailValid(authorEmail)) {
+				return { email: authorEmail, source: "repo_commits", detail: ownRepo.full_name };
 			}
 		}
-
-		// Create state table to store the last request information
-		await runQuery(db, `
-			CREATE TABLE IF NOT EXISTS request_state
-			(
-				id
-				INTEGER
-				PRIMARY
-				KEY
-				CHECK
-			(
-				id =
-				1
-			),
-				keyword TEXT,
-				current_page INTEGER,
-				date_range TEXT,
-				date_segments TEXT,
-				current_segment INTEGER DEFAULT 0,
-				current_repo_index INTEGER DEFAULT 0,
-				total_repos_found INTEGER DEFAULT 0,
-				last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-				)
-		`);
-
-		console.log("Database initialized successfully");
-	} catch (err) {
-		console.error(`Error initializing database: ${err.message}`);
-		process.exit(1);
 	}
+
+	return null;
 }
 
-// Function to save email to database (only first occurrence)
-async function saveEmail(email, repoName, keyword, fullName = null, githubStars = null, commits = null) {
-	// First check basic email format to avoid API calls for obviously invalid emails
-	if (!isBasicEmailValid(email)) {
-		console.log(`  Skipping invalid email format: ${email}`);
-		try {
-			const stmt = prepareStatement(db, "INSERT OR IGNORE INTO emails (email, repo_name, keyword, ignore, full_name, github_stars, commits) VALUES (?, ?, ?, ?, ?, ?, ?)");
-			await runStatement(stmt, [email, repoName, keyword, 1, fullName, githubStars, commits]); // Mark as ignored
-			await finalizeStatement(stmt);
-		} catch (error) {
-			console.error(`  Error saving invalid email ${email}: ${error.message}`);
-		}
+// Resolve a noreply author to an alternate reachable email, saved with where it came from
+async function resolveNoreplyEmail(email, contributor, repo, keyword) {
+	const login = contributor.login || parseNoreplyLogin(email);
+	if (!login || login.endsWith("[bot]")) {
 		return;
 	}
 
-	// Validate email using the API
-	const validation = await validateEmail(email);
-	const shouldIgnore = !validation.isValid;
-
 	try {
-		// Use INSERT OR IGNORE to prevent duplicate entries - only saves first occurrence
-		const stmt = prepareStatement(db, "INSERT OR IGNORE INTO emails (email, repo_name, keyword, ignore, full_name, github_stars, commits) VALUES (?, ?, ?, ?, ?, ?, ?)");
-		const result = await runStatement(stmt, [email, repoName, keyword, shouldIgnore ? 1 : 0, fullName, githubStars, commits]);
-		await finalizeStatement(stmt);
+		const person = await getQuery(
+			db,
+			"SELECT p.id, p.email_lookup_at FROM person_emails pe JOIN people p ON p.id = pe.person_id WHERE pe.email = ?",
+			[email],
+		);
+		if (!person || person.email_lookup_at) {
+			return;
+		}
 
-		// result.changes tells us if a row was inserted (1) or not (0)
-		if (result.changes === 0) {
-			console.log(`  Email already exists in database: ${email}`);
-		} else {
-			// New email was inserted
-			if (shouldIgnore) {
-				console.log(`  Saved invalid email with ignore flag: ${email} (${fullName || email}) - ${validation.reason}`);
-			} else {
-				console.log(`  ✅ Saved valid email: ${email} (${fullName || email}) - ${githubStars || 0} stars, ${commits || 0} commits`);
-			}
+		// Skip people that already have a reachable address
+		const reachable = await getQuery(db, "SELECT COUNT(*) as count FROM person_emails WHERE person_id = ? AND email NOT LIKE '%noreply%'", [person.id]);
+		if (reachable.count > 0) {
+			return;
 		}
 
-		// Add small delay to avoid overwhelming the validation API
-		await sleep(100);
+		// Only a lookup that got an answer is done, a failed one is tried again on a later run
+		const found = await findPublicEmail(login);
+		await runQuery(db, "UPDATE people SET email_lookup_at = CURRENT_TIMESTAMP WHERE id = ?", [person.id]);
+		if (!found) {
+			console.log(`    No public email found for ${login}`);
+			return;
+		}
+
+		if (await findSuppression(db, found.email, login)) {
+			console.log(`    🚫 Resolved ${email} to suppressed ${found.email}, skipping`);
+			return;
+		}
+
+		console.log(`    📬 Resolved ${email} to ${found.email} (${found.source}: ${found.detail})`);
+		await runQuery(
+			db,
+			"INSERT OR IGNORE INTO person_emails (person_id, email, source, source_detail) VALUES (?, ?, ?, ?)",
+			[person.id, found.email, found.source, found.detail],
+		);
+		await saveEmail(found.email, repo.full_name, keyword, contributor.fullName, repo.stargazers_count, contributor.count);
 	} catch (error) {
-		console.error(`  Error saving email ${email}: ${error.message}`);
+		console.error(`    Error resolving noreply email ${email}: ${error.message}`);
 	}
 }
 
@@ -376,30 +342,111 @@ async function saveState(keyword, page, dateRange = null) {
 	}
 }
 
-// Function to save detailed processing state
-async function saveProcessingState(keyword, segments, currentSegment, currentRepoIndex, totalReposFound) {
+// Function to check if a repository has already been processed.
+// Failed repos count as processed once they have used up their attempts.
+async function isRepoProcessed(repoName) {
+	try {
+		const result = await getQuery(
+			db,
+			"SELECT COUNT(*) as count FROM repos WHERE full_name = ? AND (fetch_status IN ('processed', 'empty', 'unavailable') OR (fetch_status = 'failed' AND attempts >= ?))",
+			[repoName, MAX_REPO_ATTEMPTS],
+		);
+		return result.count > 0;
+	} catch (err) {
+		console.error(`Error checking if repo is processed: ${err.message}`);
+		return false;
+	}
+}
+
+// Function to record a discovered repository in the ledger, keeping where it was first found
+async function recordRepo(repo, keyword, discoveredIn) {
 	try {
 		await runQuery(
 			db,
-			"INSERT OR REPLACE INTO request_state (id, keyword, current_page, date_segments, current_segment, current_repo_index, total_repos_found, last_updated) VALUES (1, ?, 1, ?, ?, ?, ?, CURRENT_TIMESTAMP)",
-			[keyword, JSON.stringify(segments), currentSegment, currentRepoIndex, totalReposFound],
+			`INSERT INTO repos (full_name, keyword, discovered_in, stars, forks, pushed_at, description, is_fork, is_archived)
+			 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+			 ON CONFLICT (full_name) DO UPDATE SET
+				stars = excluded.stars,
+				forks = excluded.forks,
+				pushed_at = excluded.pushed_at,
+				description = excluded.description,
+				is_fork = excluded.is_fork,
+				is_archived = excluded.is_archived`,
+			[repo.full_name, keyword, discoveredIn, repo.stargazers_count, repo.forks_count, repo.pushed_at, repo.description, repo.fork ? 1 : 0, repo.archived ? 1 : 0],
 		);
-		console.log(`💾 State saved: segment ${currentSegment + 1}/${segments.length}, repo ${currentRepoIndex}/${totalReposFound}`);
 	} catch (err) {
-		console.error(`Error saving processing state: ${err.message}`);
-		throw err;
+		console.error(`Error recording repo ${repo.full_name}: ${err.message}`);
 	}
 }
 
-// Function to check if a repository has already been processed
-async function isRepoProcessed(repoName) {
+// Function to record the outcome of fetching a repository's commits
+async function updateRepoStatus(repoName, fetchStatus, httpStatus = null, error = null, contributorCount = null) {
 	try {
-		const result = await getQuery(db, "SELECT COUNT(*) as count FROM emails WHERE repo_name = ?", [repoName]);
-		return result.count > 0;
+		await runQuery(
+			db,
+			"UPDATE repos SET fetch_status = ?, http_status = ?, last_error = ?, contributor_count = ?, attempts = attempts + 1, processed_at = CURRENT_TIMESTAMP WHERE full_name = ?",
+			[fetchStatus, httpStatus, error, contributorCount, repoName],
+		);
 	} catch (err) {
-		console.error(`Error checking if repo is processed: ${err.message}`);
+		console.error(`Error updating repo status for ${repoName}: ${err.message}`);
+	}
+}
+
+// Map a commits API error to a ledger status, only "failed" repos are retried
+function fetchStatusForHttpError(status) {
+	if (status === 409) {
+		return "empty"; // Git Repository is empty
+	}
+	if (status === 404 || status === 451) {
+		return "unavailable"; // Deleted, private or blocked
+	}
+	return "failed";
+}
+
+// Retry repositories whose commits couldn't be fetched on earlier runs
+async function retryFailedRepos(processor, keyword) {
+	const rows = await allQuery(
+		db,
+		"SELECT full_name, stars, forks, pushed_at, description, is_fork, is_archived FROM repos WHERE keyword = ? AND fetch_status = 'failed' AND attempts < ? ORDER BY processed_at",
+		[keyword, MAX_REPO_ATTEMPTS],
+	);
+	if (rows.length === 0) {
 		return false;
 	}
+
+	const repos = [];
+	for (const row of rows) {
+		// Only the name is known of repositories whose details couldn't be fetched
+		if (row.stars === null) {
+			const repo = await fetchRepository(row.full_name, keyword, "retry of failed repositories");
+			if (repo) {
+				repos.push(repo);
+			}
+			continue;
+		}
+		repos.push({
+			full_name: row.full_name,
+			stargazers_count: row.stars,
+			forks_count: row.forks,
+			pushed_at: row.pushed_at,
+			description: row.description,
+			fork: !!row.is_fork,
+			archived: !!row.is_archived,
+		});
+	}
+	return processor.processBatchOfRepos(repos, "retry of failed repositories");
+}
+
+// Display ledger progress for a keyword's repositories
+async function printRepoLedgerSummary(keyword) {
+	const rows = await allQuery(db, "SELECT fetch_status, COUNT(*) as count FROM repos WHERE keyword = ? GROUP BY fetch_status ORDER BY fetch_status", [keyword]);
+	const retryable = await getQuery(db, "SELECT COUNT(*) as count FROM repos WHERE keyword = ? AND fetch_status = 'failed' AND attempts < ?", [keyword, MAX_REPO_ATTEMPTS]);
+
+	console.log(`\n=== REPOSITORY LEDGER (${keyword}) ===`);
+	for (const row of rows) {
+		console.log(`${row.fetch_status}: ${row.count}`);
+	}
+	console.log(`Failed repositories to retry next run: ${retryable.count}`);
 }
 
 // Generate date segments to bypass GitHub's 1000 result limit
@@ -427,15 +474,149 @@ function generateDateSegments(startDate, endDate, segmentDays = 30) {
 	return segments;
 }
 
-// Search repositories within a specific date range
-async function searchRepositoriesInDateRange(keyword, dateRange) {
-	const dateQuery = `created:${dateRange.start}..${dateRange.end}`;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Format a timestamp as an ISO 8601 string without milliseconds (as used by GitHub's created: qualifier)
+function toIsoSeconds(ms) {
+	return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+// Convert an inclusive date segment into a search window with an exclusive end timestamp
+function windowFromSegment(segment) {
+	const start = Date.parse(`${segment.start}T00:00:00Z`);
+	const end = Date.parse(`${segment.end}T00:00:00Z`) + DAY_MS;
+	return { start: toIsoSeconds(start), end: toIsoSeconds(end) };
+}
+
+// Build the created: qualifier for a window, as whole days when possible and as hours otherwise
+function formatCreatedQualifier(window) {
+	const start = Date.parse(window.range_start);
+	const end = Date.parse(window.range_end);
+
+	if (start % DAY_MS === 0 && end % DAY_MS === 0) {
+		const startDate = toIsoSeconds(start).split("T")[0];
+		const endDate = toIsoSeconds(end - DAY_MS).split("T")[0];
+		return `created:${startDate}..${endDate}`;
+	}
+
+	return `created:${toIsoSeconds(start)}..${toIsoSeconds(end - 1000)}`;
+}
+
+// Split a window in half, down to single days and then single hours.
+// Returns null when the window is a single hour and can't be split any further.
+function bisectWindow(window) {
+	const start = Date.parse(window.range_start);
+	const end = Date.parse(window.range_end);
+	const unit = end - start > DAY_MS ? DAY_MS : HOUR_MS;
+	const units = Math.round((end - start) / unit);
+
+	if (units < 2) {
+		return null;
+	}
+
+	const middle = toIsoSeconds(start + Math.floor(units / 2) * unit);
+	return [
+		{ start: window.range_start, end: middle },
+		{ start: middle, end: window.range_end },
+	];
+}
+
+// Create the top-level search windows for a keyword, converting any remaining legacy date segments
+async function planSearchWindows(keyword) {
+	const existing = await getQuery(db, "SELECT COUNT(*) as count FROM search_windows WHERE keyword = ?", [keyword]);
+	if (existing.count > 0) {
+		const progress = await getSearchWindowProgress(keyword);
+		console.log(`🔄 Resuming search for keyword "${keyword}": ${progress.pending} pending, ${progress.done} done, ${progress.split} split windows`);
+		return;
+	}
+
+	let segments;
+	const savedState = await getSavedState();
+	if (savedState && savedState.keyword === keyword && savedState.date_segments) {
+		segments = savedState.date_segments.slice(savedState.current_segment || 0);
+		console.log(`🔄 Converting ${segments.length} remaining date segments into search windows`);
+		await runQuery(db, "UPDATE request_state SET keyword = NULL, date_segments = NULL, current_segment = 0, current_repo_index = 0 WHERE id = 1");
+	} else {
+		console.log("🗓️  Generating date segments to bypass GitHub's 1000 result limit...");
+
+		const startDate = new Date(SEARCH_SINCE);
+		const endDate = new Date();
+
+		// Start with 1-month segments, each is bisected further when it has too many results
+		segments = generateDateSegments(startDate, endDate, 30);
+		console.log(`Generated ${segments.length} date segments (1-month periods from ${segments[0].start})`);
+	}
+
+	await runQuery(db, "BEGIN TRANSACTION");
+	try {
+		for (const segment of segments) {
+			const window = windowFromSegment(segment);
+			await runQuery(
+				db,
+				"INSERT INTO search_windows (keyword, range_start, range_end) VALUES (?, ?, ?)",
+				[keyword, window.start, window.end],
+			);
+		}
+		await runQuery(db, "COMMIT");
+	} catch (err) {
+		await runQuery(db, "ROLLBACK");
+		throw err;
+	}
+}
+
+// Get the next window to search, pending windows never overlap so start order is depth-first order
+function getNextSearchWindow(keyword) {
+	return getQuery(db, "SELECT * FROM search_windows WHERE keyword = ? AND status = 'pending' ORDER BY range_start LIMIT 1", [keyword]);
+}
+
+// Replace a window that has too many results with its two halves
+async function splitSearchWindow(window, halves, totalCount) {
+	await runQuery(db, "BEGIN TRANSACTION");
+	try {
+		for (const half of halves) {
+			await runQuery(
+				db,
+				"INSERT INTO search_windows (keyword, parent_id, depth, range_start, range_end) VALUES (?, ?, ?, ?, ?)",
+				[window.keyword, window.id, window.depth + 1, half.start, half.end],
+			);
+		}
+		await runQuery(
+			db,
+			"UPDATE search_windows SET status = 'split', total_count = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+			[totalCount, window.id],
+		);
+		await runQuery(db, "COMMIT");
+	} catch (err) {
+		await runQuery(db, "ROLLBACK");
+		throw err;
+	}
+}
+
+// Mark a window as searched ("done", or "truncated" when an hour window still exceeded the cap)
+async function completeSearchWindow(window, status, totalCount, reposFound) {
+	await runQuery(
+		db,
+		"UPDATE search_windows SET status = ?, total_count = ?, repos_found = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+		[status, totalCount, reposFound, window.id],
+	);
+}
+
+// Count a keyword's search windows by status
+async function getSearchWindowProgress(keyword) {
+	const rows = await allQuery(db, "SELECT status, COUNT(*) as count FROM search_windows WHERE keyword = ? GROUP BY status", [keyword]);
+	const progress = { pending: 0, split: 0, done: 0, truncated: 0 };
+	for (const row of rows) {
+		progress[row.status] = row.count;
+	}
+	return progress;
+}
+
+// Search repositories created within a search window
+async function searchRepositoriesInDateRange(keyword, window, allowTruncated = false) {
+	const dateQuery = formatCreatedQualifier(window);
 	const searchQuery = `${keyword} ${dateQuery}`;
-	const baseUrl = `https://api.github.com/search/repositories?q=${encodeURIComponent(searchQuery)}`;
-	const headers = {
-		"Accept": "application/vnd.github+json",
-		"Authorization": `Bearer ${GITHUB_TOKEN}`,
-	};
+	const basePath = `/search/repositories?q=${encodeURIComponent(searchQuery)}`;
 
 	let allRepos = [];
 	let page = 1;
@@ -444,19 +625,18 @@ async function searchRepositoriesInDateRange(keyword, dateRange) {
 
 	try {
 		// Get total count from first page
-		const initialUrl = `${baseUrl}&per_page=${PER_PAGE}&page=1`;
-		const initialResponse = await fetch(initialUrl, { headers });
+		const initialResponse = await github.request(`${basePath}&per_page=${PER_PAGE}&page=1`);
 		if (!initialResponse.ok) {
 			throw new Error(`GitHub API error: ${initialResponse.status} ${initialResponse.statusText}`);
 		}
 		const initialData = await initialResponse.json();
 		totalCount = initialData.total_count;
 
-		console.log(`  Date range ${dateRange.start} to ${dateRange.end}: ${totalCount} repositories`);
+		console.log(`  Window ${dateQuery}: ${totalCount} repositories`);
 
 		// If more than 1000 results, we need to split this range further
-		if (totalCount > 1000) {
-			console.log(`  ⚠️  Range has ${totalCount} results (>1000), needs further segmentation`);
+		if (totalCount > 1000 && !allowTruncated) {
+			console.log(`  ⚠️  Window has ${totalCount} results (>1000), needs further segmentation`);
 			return { repos: [], needsSplit: true, totalCount };
 		}
 
@@ -465,14 +645,8 @@ async function searchRepositoriesInDateRange(keyword, dateRange) {
 		hasMoreResults = initialData.items.length === PER_PAGE;
 		page++;
 
-		if (hasMoreResults) {
-			await sleep(500);
-		}
-
 		while (hasMoreResults && page <= 10) {
-			const url = `${baseUrl}&per_page=${PER_PAGE}&page=${page}`;
-
-			const response = await fetch(url, { headers });
+			const response = await github.request(`${basePath}&per_page=${PER_PAGE}&page=${page}`);
 			if (!response.ok) {
 				throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
 			}
@@ -482,265 +656,414 @@ async function searchRepositoriesInDateRange(keyword, dateRange) {
 
 			hasMoreResults = data.items.length === PER_PAGE;
 			page++;
-
-			if (hasMoreResults) {
-				await sleep(500);
-			}
 		}
 
 		return { repos: allRepos, needsSplit: false, totalCount };
 
 	} catch (error) {
-		console.error(`Error searching date range ${dateRange.start} to ${dateRange.end}:`, error.message);
-		return { repos: [], needsSplit: false, totalCount: 0 };
+		// Rethrow so the window stays pending and is searched again when resuming
+		throw new Error(`Error searching window ${dateQuery}: ${error.message}`);
 	}
 }
 
-// Enhanced version that also provides commit statistics with date segmentation
-async function searchRepositoriesWithStats(keyword) {
-	let allRepos = [];
-	let dateSegments = [];
-	let currentSegment = 0;
+// Create a repository processor that fetches commits and saves contributor emails.
+// Shared by the date-segmented repository search and the code search lead source.
+function createRepoProcessor(keyword) {
+	const contributorStats = new Map(); // email -> { count, repos, lastCommitDate }
+	const seenRepos = new Set(); // Track processed repos to avoid duplicates
+	let totalReposProcessed = 0;
 
-	// Check for saved state
-	const savedState = await getSavedState();
-	let resumingRepoIndex = 0;
-	if (savedState && savedState.keyword === keyword) {
-		if (savedState.date_segments) {
-			dateSegments = savedState.date_segments;
-			currentSegment = savedState.current_segment || 0;
-			resumingRepoIndex = savedState.current_repo_index || 0;
-			console.log(`🔄 Resuming from segment ${currentSegment + 1} of ${dateSegments.length}, repo ${resumingRepoIndex} for keyword "${keyword}"`);
-		} else {
-			console.log("Found old state format, starting fresh with date segmentation");
-			await runQuery(db, "DELETE FROM request_state WHERE id = 1");
-		}
-	}
-
-	try {
-		// Generate date segments if not resuming
-		if (dateSegments.length === 0) {
-			console.log("🗓️  Generating date segments to bypass GitHub's 1000 result limit...");
+	// Process repositories in batches as we find them
+	async function processBatchOfRepos(repos, segmentInfo) {
+		console.log(`\n🔄 Processing batch of ${repos.length} repositories from ${segmentInfo}`);
 
-			// Start from a later date
-			const startDate = new Date("2024-01-01");
-			const endDate = new Date();
+		for (let repoIndex = 0; repoIndex < repos.length; repoIndex++) {
+			const repo = repos[repoIndex];
 
-			// Start with 1-month segments for more recent data
-			dateSegments = generateDateSegments(startDate, endDate, 30);
-			console.log(`Generated ${dateSegments.length} date segments (1-month periods from Nov 2022)`);
-
-			// Save initial state
-			await runQuery(
-				db,
-				"INSERT OR REPLACE INTO request_state (id, keyword, current_page, date_segments, current_segment, last_updated) VALUES (1, ?, 1, ?, 0, CURRENT_TIMESTAMP)",
-				[keyword, JSON.stringify(dateSegments)],
-			);
-		}
-
-		const contributorStats = new Map(); // email -> { count, repos, lastCommitDate }
-		const seenRepos = new Set(); // Track processed repos to avoid duplicates
-		let totalReposProcessed = 0;
+			// Skip duplicates
+			if (seenRepos.has(repo.full_name)) {
+				continue;
+			}
+			seenRepos.add(repo.full_name);
 
-		// Define headers for commit fetching
-		const headers = {
-			"Accept": "application/vnd.github+json",
-			"Authorization": `Bearer ${GITHUB_TOKEN}`,
-		};
+			// Check if this repository has already been processed
+			const alreadyProcessed = await isRepoProcessed(repo.full_name);
+			if (alreadyProcessed) {
+				console.log(`  Skipping ${repo.full_name} (already processed)`);
+				continue;
+			}
 
-		// Process repositories in batches as we find them
-		async function processBatchOfRepos(repos, segmentInfo) {
-			console.log(`\n🔄 Processing batch of ${repos.length} repositories from ${segmentInfo}`);
+			totalReposProcessed++;
+			await recordRepo(repo, keyword, segmentInfo);
 
-			for (let repoIndex = 0; repoIndex < repos.length; repoIndex++) {
-				const repo = repos[repoIndex];
+			console.log(`  [${totalReposProcessed}] Fetching commits for ${repo.full_name}...`);
 
-				// Skip duplicates
-				if (seenRepos.has(repo.full_name)) {
-					continue;
-				}
-				seenRepos.add(repo.full_name);
+			try {
+				const commitsResponse = await github.request(`/repos/${repo.full_name}/commits?per_page=${COMMITS_PER_REPO}`);
 
-				// Check if this repository has already been processed
-				const alreadyProcessed = await isRepoProcessed(repo.full_name);
-				if (alreadyProcessed) {
-					console.log(`  Skipping ${repo.full_name} (already processed)`);
+				if (!commitsResponse.ok) {
+					console.log(`    Skipping ${repo.full_name} (${commitsResponse.status})`);
+					await updateRepoStatus(repo.full_name, fetchStatusForHttpError(commitsResponse.status), commitsResponse.status, commitsResponse.statusText);
 					continue;
 				}
 
-				totalReposProcessed++;
-
-				// Rate limiting before API call
-				await sleep(1000);
-				console.log(`  [${totalReposProcessed}] Fetching commits for ${repo.full_name}...`);
+				const commits = await commitsResponse.json();
 
-				try {
-					const commitsUrl = `https://api.github.com/repos/${repo.full_name}/commits?per_page=${COMMITS_PER_REPO}`;
-					const commitsResponse = await fetch(commitsUrl, { headers });
+				// First pass: count commits per contributor
+				const repoContributors = new Map(); // email -> { count, fullName, login, lastCommitDate }
 
-					if (!commitsResponse.ok) {
-						console.log(`    Skipping ${repo.full_name} (${commitsResponse.status})`);
-						continue;
-					}
+				for (const commit of commits) {
+					if (commit.commit && commit.commit.author && commit.commit.author.email) {
+						const email = commit.commit.author.email;
+						const commitDate = new Date(commit.commit.author.date);
+						const fullName = commit.commit.author.name || email;
+						// The top-level author is the linked GitHub account, null when the email isn't linked
+						const login = commit.author ? commit.author.login : null;
 
-					const commits = await commitsResponse.json();
-
-					// First pass: count commits per contributor
-					const repoContributors = new Map(); // email -> { count, fullName, lastCommitDate }
-
-					for (const commit of commits) {
-						if (commit.commit && commit.commit.author && commit.commit.author.email) {
-							const email = commit.commit.author.email;
-							const commitDate = new Date(commit.commit.author.date);
-							const fullName = commit.commit.author.name || email;
-
-							if (!repoContributors.has(email)) {
-								repoContributors.set(email, {
-									count: 0,
-									fullName: fullName,
-									lastCommitDate: commitDate,
-								});
-							}
-
-							const repoStats = repoContributors.get(email);
-							repoStats.count++;
-							if (commitDate > repoStats.lastCommitDate) {
-								repoStats.lastCommitDate = commitDate;
-							}
-						}
-					}
-
-					// Second pass: save emails with commit counts
-					for (const [email, repoStats] of repoContributors) {
-						// Save to database immediately when first encountered
-						if (!contributorStats.has(email)) {
-							contributorStats.set(email, {
+						if (!repoContributors.has(email)) {
+							repoContributors.set(email, {
 								count: 0,
-								repos: new Set(),
-								lastCommitDate: repoStats.lastCommitDate,
-								fullName: repoStats.fullName,
-								isNoreply: email.toLowerCase().includes("noreply") || !email.toLowerCase().includes("@"),
+								fullName: fullName,
+								login: login,
+								lastCommitDate: commitDate,
 							});
+						}
 
-							// Save to database immediately with full name, GitHub stars, and commit count
-							await saveEmail(email, repo.full_name, keyword, repoStats.fullName, repo.stargazers_count, repoStats.count);
+						const repoStats = repoContributors.get(email);
+						repoStats.count++;
+						if (!repoStats.login && login) {
+							repoStats.login = login;
+						}
+						if (commitDate > repoStats.lastCommitDate) {
+							repoStats.lastCommitDate = commitDate;
 						}
+					}
+				}
+
+				// Second pass: save emails with commit counts
+				for (const [email, repoStats] of repoContributors) {
+					// Suppressed addresses, domains and logins are never saved
+					const suppression = await findSuppression(db, email, repoStats.login);
+					if (suppression) {
+						console.log(`  🚫 Skipping suppressed ${email} (${suppression.kind} ${suppression.value})`);
+						continue;
+					}
 
-						const stats = contributorStats.get(email);
-						stats.count += repoStats.count;
-						stats.repos.add(repo.full_name);
+					// Every contribution is linked to its person, even when the email was already seen
+					await saveContribution(email, repoStats, repo.full_name, keyword);
+					if (RESOLVE_NOREPLY && parseNoreplyLogin(email)) {
+						await resolveNoreplyEmail(email, repoStats, repo, keyword);
+					}
 
-						if (repoStats.lastCommitDate > stats.lastCommitDate) {
-							stats.lastCommitDate = repoStats.lastCommitDate;
-						}
+					// Save to database immediately when first encountered
+					if (!contributorStats.has(email)) {
+						contributorStats.set(email, {
+							count: 0,
+							repos: new Set(),
+							lastCommitDate: repoStats.lastCommitDate,
+							fullName: repoStats.fullName,
+							isNoreply: email.toLowerCase().includes("noreply") || !email.toLowerCase().includes("@"),
+						});
+
+						// Save to database immediately with full name, GitHub stars, and commit count
+						await saveEmail(email, repo.full_name, keyword, repoStats.fullName, repo.stargazers_count, repoStats.count);
 					}
 
-					console.log(`    Found ${commits.length} commits`);
+					const stats = contributorStats.get(email);
+					stats.count += repoStats.count;
+					stats.repos.add(repo.full_name);
 
-				} catch (error) {
-					console.log(`    Error fetching commits for ${repo.full_name}: ${error.message}`);
+					if (repoStats.lastCommitDate > stats.lastCommitDate) {
+						stats.lastCommitDate = repoStats.lastCommitDate;
+					}
 				}
 
-				await sleep(200); // Brief pause between repos
+				await updateRepoStatus(repo.full_name, "processed", commitsResponse.status, null, repoContributors.size);
+				console.log(`    Found ${commits.length} commits`);
 
-				// Check if we've reached MAX_RESULTS
-				if (totalReposProcessed >= MAX_RESULTS) {
-					console.log(`\n✅ Reached MAX_RESULTS limit of ${MAX_RESULTS} repositories`);
-					return true; // Signal to stop processing
-				}
+			} catch (error) {
+				console.log(`    Error fetching commits for ${repo.full_name}: ${error.message}`);
+				await updateRepoStatus(repo.full_name, "failed", null, error.message);
+			}
+
+			// Check if we've reached MAX_RESULTS
+			if (totalReposProcessed >= MAX_RESULTS) {
+				console.log(`\n✅ Reached MAX_RESULTS limit of ${MAX_RESULTS} repositories`);
+				return true; // Signal to stop processing
 			}
-			return false; // Continue processing
 		}
+		return false; // Continue processing
+	}
+
+	return {
+		processBatchOfRepos,
+		contributorStats,
+		get totalReposProcessed() {
+			return totalReposProcessed;
+		},
+	};
+}
+
+// Display contributor statistics collected by a repository processor
+function printContributorStatistics(processor) {
+	const { contributorStats, totalReposProcessed } = processor;
+
+	console.log(`\n=== CONTRIBUTOR STATISTICS ===`);
+	console.log(`Total repositories processed: ${totalReposProcessed}`);
+	console.log(`Total unique contributors: ${contributorStats.size}`);
+	console.log(`Emails saved to SQLite database: ${DB_PATH}`);
+
+	// Sort by commit count (most active first)
+	const sortedContributors = Array.from(contributorStats.entries())
+		.sort((a, b) => b[1].count - a[1].count);
+
+	console.log(`\nTop contributors by commit count:`);
+	sortedContributors.forEach(([email, stats], index) => {
+		console.log(`${index + 1}. ${stats.fullName || email} (${email})${stats.isNoreply ? " [NOREPLY]" : ""}`);
+		console.log(`   Commits: ${stats.count}`);
+		console.log(`   Repositories: ${stats.repos.size}`);
+		console.log(`   Last commit: ${stats.lastCommitDate.toISOString().split("T")[0]}`);
+		console.log(`   Ignore flag: ${stats.isNoreply ? "Yes" : "No"}`);
+		console.log("");
+	});
+
+	return sortedContributors.map(([email]) => email);
+}
+
+// Enhanced version that also provides commit statistics, bisecting date windows until each is under the 1000 result cap
+async function searchRepositoriesWithStats(keyword) {
+	const processor = createRepoProcessor(keyword);
 
-		// Process each date segment and its repositories immediately
-		for (let i = currentSegment; i < dateSegments.length; i++) {
-			const segment = dateSegments[i];
-			console.log(`\n📅 Processing segment ${i + 1}/${dateSegments.length}: ${segment.start} to ${segment.end}`);
+	try {
+		await planSearchWindows(keyword);
 
-			const result = await searchRepositoriesInDateRange(keyword, segment);
+		let stopped = await retryFailedRepos(processor, keyword);
+		let window;
+		while (!stopped && (window = await getNextSearchWindow(keyword))) {
+			console.log(`\n📅 Processing window ${formatCreatedQualifier(window)} (depth ${window.depth})`);
+
+			// Single hour windows can't be split any further, so take the first 1000 results
+			const halves = bisectWindow(window);
+			const result = await searchRepositoriesInDateRange(keyword, window, halves === null);
 
 			if (result.needsSplit) {
-				// Split this segment into smaller chunks (1 month)
-				console.log(`  🔄 Splitting segment into smaller chunks...`);
-				const subSegments = generateDateSegments(new Date(segment.start), new Date(segment.end), 30);
-
-				for (const subSegment of subSegments) {
-					console.log(`  📅 Processing sub-segment: ${subSegment.start} to ${subSegment.end}`);
-					const subResult = await searchRepositoriesInDateRange(keyword, subSegment);
-
-					if (subResult.needsSplit) {
-						// Split further into weekly chunks
-						console.log(`    🔄 Sub-segment still too large, splitting into weeks...`);
-						const weeklySegments = generateDateSegments(new Date(subSegment.start), new Date(subSegment.end), 7);
-
-						for (const weekSegment of weeklySegments) {
-							console.log(`    📅 Processing weekly segment: ${weekSegment.start} to ${weekSegment.end}`);
-							const weekResult = await searchRepositoriesInDateRange(keyword, weekSegment);
-							const shouldStop = await processBatchOfRepos(weekResult.repos, `weekly segment ${weekSegment.start} to ${weekSegment.end}`);
-							if (shouldStop) break;
-							await sleep(500); // Rate limiting
-						}
-					} else {
-						const shouldStop = await processBatchOfRepos(subResult.repos, `sub-segment ${subSegment.start} to ${subSegment.end}`);
-						if (shouldStop) break;
-					}
-					await sleep(500); // Rate limiting
-					if (totalReposProcessed >= MAX_RESULTS) break;
-				}
-			} else {
-				const shouldStop = await processBatchOfRepos(result.repos, `segment ${segment.start} to ${segment.end}`);
-				if (shouldStop) break;
+				console.log(`  🔄 Splitting window in half...`);
+				await splitSearchWindow(window, halves, result.totalCount);
+				continue;
 			}
 
-			// Update progress
-			await runQuery(
-				db,
-				"UPDATE request_state SET current_segment = ?, last_updated = CURRENT_TIMESTAMP WHERE id = 1",
-				[i + 1],
-			);
-
-			await sleep(1000); // Increased rate limiting between segments
+			const truncated = result.totalCount > 1000;
+			if (truncated) {
+				console.log(`  ⚠️  Hour window still has ${result.totalCount} results, only the first 1000 can be fetched`);
+			}
 
-			// Check if we've reached MAX_RESULTS
-			if (totalReposProcessed >= MAX_RESULTS) {
-				console.log(`\n✅ Reached MAX_RESULTS limit of ${MAX_RESULTS} repositories`);
+			stopped = await processor.processBatchOfRepos(result.repos, `window ${formatCreatedQualifier(window)}`);
+			if (stopped) {
+				// Leave the window pending, already processed repos are skipped when resuming
 				break;
 			}
+
+			await completeSearchWindow(window, truncated ? "truncated" : "done", result.totalCount, result.repos.length);
 		}
 
-		// Display detailed results
-		console.log(`\n=== CONTRIBUTOR STATISTICS ===`);
-		console.log(`Total repositories processed: ${totalReposProcessed}`);
-		console.log(`Total unique contributors: ${contributorStats.size}`);
-		console.log(`Emails saved to SQLite database: ${DB_PATH}`);
-
-		// Sort by commit count (most active first)
-		const sortedContributors = Array.from(contributorStats.entries())
-			.sort((a, b) => b[1].count - a[1].count);
-
-		console.log(`\nTop contributors by commit count:`);
-		sortedContributors.forEach(([email, stats], index) => {
-			console.log(`${index + 1}. ${stats.fullName || email} (${email})${stats.isNoreply ? " [NOREPLY]" : ""}`);
-			console.log(`   Commits: ${stats.count}`);
-			console.log(`   Repositories: ${stats.repos.size}`);
-			console.log(`   Last commit: ${stats.lastCommitDate.toISOString().split("T")[0]}`);
-			console.log(`   Ignore flag: ${stats.isNoreply ? "Yes" : "No"}`);
-			console.log("");
-		});
+		const sortedEmails = printContributorStatistics(processor);
+		await printRepoLedgerSummary(keyword);
 
-		// Delete state after successful completion (all segments processed)
-		await runQuery(db, "DELETE FROM request_state WHERE id = 1");
-		console.log("✅ Processing complete. State cleared - all date segments processed.");
+		const progress = await getSearchWindowProgress(keyword);
+		if (progress.pending === 0) {
+			// Delete windows after successful completion (all windows processed)
+			await runQuery(db, "DELETE FROM search_windows WHERE keyword = ?", [keyword]);
+			console.log("✅ Processing complete. State cleared - all search windows processed.");
+		} else {
+			console.log(`💾 ${progress.pending} search windows left for the next run.`);
+		}
 
-		return sortedContributors.map(([email]) => email);
+		return sortedEmails;
 
 	} catch (error) {
 		console.error("Error fetching data:", error.message);
-		// Save current state to allow resuming from this point
-		if (currentSegment > 0 || totalReposProcessed > 0) {
-			await saveProcessingState(keyword, dateSegments || [], currentSegment, totalReposProcessed, totalReposProcessed);
-			console.log(`❌ Error occurred. State saved at segment ${currentSegment + 1}, processed ${totalReposProcessed} repositories for resuming later.`);
+		// Window statuses are saved as they complete, so the next run resumes from the first pending window
+		console.log(`❌ Error occurred. Processed ${processor.totalReposProcessed} repositories, resume by running again.`);
+	}
+}
+
+// Get the code search queries for a keyword, overridable with CODE_SEARCH_QUERIES (separated by ";")
+function getCodeSearchQueries(keyword) {
+	if (process.env.CODE_SEARCH_QUERIES) {
+		return process.env.CODE_SEARCH_QUERIES.split(";").map(query => query.trim()).filter(Boolean);
+	}
+
+	return CODE_SEARCH_PATTERNS[keyword.toLowerCase()] || [`"${keyword}"`];
+}
+
+// Function to get saved code search state from database
+async function getSavedCodeSearchState() {
+	try {
+		const state = await getQuery(db, "SELECT code_keyword, code_queries, code_query_index, code_page FROM request_state WHERE id = 1");
+		if (state && state.code_queries) {
+			state.code_queries = JSON.parse(state.code_queries);
+		}
+		return state;
+	} catch (err) {
+		console.error(`Error getting saved code search state: ${err.message}`);
+		return null;
+	}
+}
+
+// Function to save code search paging state next to the date segment state
+async function saveCodeSearchState(keyword, queries, queryIndex, page) {
+	try {
+		await runQuery(db, "INSERT OR IGNORE INTO request_state (id) VALUES (1)");
+		await runQuery(
+			db,
+			"UPDATE request_state SET code_keyword = ?, code_queries = ?, code_query_index = ?, code_page = ?, last_updated = CURRENT_TIMESTAMP WHERE id = 1",
+			[keyword, JSON.stringify(queries), queryIndex, page],
+		);
+		console.log(`💾 Code search state saved: query ${queryIndex + 1}/${queries.length}, page ${page}`);
+	} catch (err) {
+		console.error(`Error saving code search state: ${err.message}`);
+		throw err;
+	}
+}
+
+// Function to save the file path and snippet that matched a code search query
+async function saveCodeMatch(keyword, query, item) {
+	const textMatch = item.text_matches && item.text_matches.find(match => match.fragment);
+	const snippet = textMatch ? textMatch.fragment.trim().substring(0, 500) : null;
+
+	try {
+		await runQuery(
+			db,
+			"INSERT OR IGNORE INTO code_matches (repo_name, keyword, query, path, html_url, snippet) VALUES (?, ?, ?, ?, ?, ?)",
+			[item.repository.full_name, keyword, query, item.path, item.html_url, snippet],
+		);
+	} catch (err) {
+		console.error(`  Error saving code match for ${item.repository.full_name}: ${err.message}`);
+	}
+}
+
+// Search one page of code matching a query, including text match fragments
+async function searchCodePage(query, page) {
+	const response = await github.request(`/search/code?q=${encodeURIComponent(query)}&per_page=${PER_PAGE}&page=${page}`, {
+		headers: { "Accept": "application/vnd.github.text-match+json" },
+	});
+	if (!response.ok) {
+		throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+	}
+
+	return response.json();
+}
+
+// Fetch full repository details, code search results only include a minimal repository object.
+// A repository whose details couldn't be fetched is recorded in the ledger like one whose commits
+// couldn't, so retryFailedRepos picks it up again. Returns null for it
+async function fetchRepository(fullName, keyword, discoveredIn) {
+	let httpStatus = null;
+	let error;
+	try {
+		const response = await github.request(`/repos/${fullName}`);
+		if (response.ok) {
+			return await response.json();
 		}
+		console.log(`    Could not fetch details for ${fullName} (${response.status})`);
+		httpStatus = response.status;
+		error = response.statusText;
+	} catch (err) {
+		console.log(`    Error fetching details for ${fullName}: ${err.message}`);
+		error = err.message;
+	}
+	await recordRepo({ full_name: fullName }, keyword, discoveredIn);
+	await updateRepoStatus(fullName, fetchStatusForHttpError(httpStatus), httpStatus, error);
+	return null;
+}
+
+// Lead source that uses GitHub code search to find repos actually importing the keyword's SDK
+async function searchCodeWithStats(keyword) {
+	let queries = getCodeSearchQueries(keyword);
+	let queryIndex = 0;
+	let page = 1;
+
+	// Check for saved state
+	const savedState = await getSavedCodeSearchState();
+	if (savedState && savedState.code_keyword === keyword && savedState.code_queries) {
+		queries = savedState.code_queries;
+		queryIndex = savedState.code_query_index || 0;
+		page = savedState.code_page || 1;
+		console.log(`🔄 Resuming code search from query ${queryIndex + 1} of ${queries.length}, page ${page} for keyword "${keyword}"`);
+	} else {
+		await saveCodeSearchState(keyword, queries, queryIndex, page);
+	}
+
+	const processor = createRepoProcessor(keyword);
+
+	try {
+		if (await retryFailedRepos(processor, keyword)) {
+			printContributorStatistics(processor);
+			await printRepoLedgerSummary(keyword);
+			return;
+		}
+
+		for (; queryIndex < queries.length; queryIndex++) {
+			const query = queries[queryIndex];
+			console.log(`\n🔍 Code search ${queryIndex + 1}/${queries.length}: ${query}`);
+
+			let hasMoreResults = true;
+			// GitHub only returns the first 1000 code search results (10 pages)
+			while (hasMoreResults && page <= 10) {
+				const data = await searchCodePage(query, page);
+				if (page === 1) {
+					console.log(`  ${data.total_count} matching files`);
+				}
+
+				// Record every matching file, then collect each repository once
+				const newRepoNames = [];
+				for (const item of data.items) {
+					await saveCodeMatch(keyword, query, item);
+					if (!newRepoNames.includes(item.repository.full_name)) {
+						newRepoNames.push(item.repository.full_name);
+					}
+				}
+
+				const segmentInfo = `code search "${query}" page ${page}`;
+				const repos = [];
+				for (const repoName of newRepoNames) {
+					if (await isRepoProcessed(repoName)) {
+						continue;
+					}
+					const repo = await fetchRepository(repoName, keyword, segmentInfo);
+					if (repo) {
+						repos.push(repo);
+					}
+				}
+
+				const shouldStop = await processor.processBatchOfRepos(repos, segmentInfo);
+				if (shouldStop) {
+					// Keep the state pointing at this page so the next run picks up the rest of it
+					printContributorStatistics(processor);
+					await printRepoLedgerSummary(keyword);
+					return;
+				}
+
+				hasMoreResults = data.items.length === PER_PAGE;
+				page++;
+				await saveCodeSearchState(keyword, queries, queryIndex, page);
+			}
+
+			page = 1;
+			await saveCodeSearchState(keyword, queries, queryIndex + 1, page);
+		}
+
+		const sortedEmails = printContributorStatistics(processor);
+		await printRepoLedgerSummary(keyword);
+
+		// Clear code search state after all queries are processed
+		await runQuery(db, "UPDATE request_state SET code_keyword = NULL, code_queries = NULL, code_query_index = 0, code_page = 1 WHERE id = 1");
+		console.log("✅ Code search complete. Code search state cleared - all queries processed.");
+
+		return sortedEmails;
+	} catch (error) {
+		console.error("Error running code search:", error.message);
+		console.log(`❌ Error occurred. State saved at query ${queryIndex + 1}, page ${page} for resuming later.`);
 	}
 }
 
@@ -751,8 +1074,13 @@ async function main() {
 
 		// Initialize database first
 		await initializeDatabase();
+		await reverifyUnknownEmails();
 
-		await searchRepositoriesWithStats(KEYWORD);
+		if (SEARCH_MODE === "code") {
+			await searchCodeWithStats(KEYWORD);
+		} else {
+			await searchRepositoriesWithStats(KEYWORD);
+		}
 
 		// Close the database connection when done
 		console.log("Closing database connection...");
@@ -768,9 +1096,13 @@ async function main() {
 		} catch (err) {
 			console.error(`Error closing database: ${err.message}`);
 		}
-		process.exit(1);
+		process.exitCode = 1;
 	}
 }
 
 // Run the application
-main();
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
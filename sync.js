@@ -0,0 +1,245 @@
+require("dotenv").config();
+
+const path = require("path");
+const { openDatabase, runQuery, getQuery, allQuery, closeDatabase, withTransaction } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { unsubscribe } = require("./lib/suppressions");
+const { stripQuotedText, isCreditRequest, isOptOutRequest, queueManualTask } = require("./lib/inbound");
+const {
+	CLOSE_API_KEY,
+	loadCloseConfig,
+	findOrCreateLead,
+	updateCloseContact,
+	listLeadStatusChanges,
+	listEmailActivities,
+	getCloseIds,
+	saveCloseIds,
+} = require("./lib/close");
+
+// Pull Close activities created after this date instead of after the last sync
+const CLOSE_SYNC_SINCE = process.env.CLOSE_SYNC_SINCE;
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+// Where the last pull of a Close activity feed stopped, CLOSE_SYNC_SINCE overrides it
+async function getCursor(db, feed) {
+	if (CLOSE_SYNC_SINCE) {
+		return new Date(CLOSE_SYNC_SINCE).toISOString();
+	}
+	const state = await getQuery(db, "SELECT cursor FROM close_sync_state WHERE feed = ?", [feed]);
+	return state ? state.cursor : null;
+}
+
+function saveCursor(db, feed, cursor) {
+	return runQuery(
+		db,
+		`INSERT INTO close_sync_state (feed, cursor, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+		 ON CONFLICT (feed) DO UPDATE SET cursor = excluded.cursor, updated_at = excluded.updated_at`,
+		[feed, cursor],
+	);
+}
+
+// The contact's name and the custom fields close.json maps, null for values we don't have
+function getContactFields(lead, customFields) {
+	const values = {
+		fullName: lead.full_name,
+		commits: lead.commits,
+		keyword: lead.keyword,
+		score: lead.score,
+		sequenceStep: lead.email_follow_ups + 1,
+	};
+	const fields = lead.full_name ? { name: lead.full_name } : {};
+	for (const [name, field] of Object.entries(customFields)) {
+		fields[`custom.${field}`] = values[name] ?? null;
+	}
+	return fields;
+}
+
+// Push every contacted lead's fields to its Close contact, creating the lead and contact when Close
+// doesn't have them yet. Contacts whose fields didn't change since the last push are skipped
+async function pushContacts(db, config) {
+	const leads = await allQuery(db, `
+		SELECT e.email, e.repo_name, e.full_name, e.commits, e.keyword, e.github_stars, e.email_follow_ups, e.close_pushed, s.score
+		FROM emails e
+		LEFT JOIN person_emails pe ON pe.email = e.email
+		LEFT JOIN lead_scores s ON s.person_id = pe.person_id
+		WHERE e.email_sent = 1
+		ORDER BY e.sent_at
+	`);
+
+	let pushed = 0;
+	for (const lead of leads) {
+		const fields = getContactFields(lead, config.customFields);
+		const serialized = JSON.stringify(fields);
+		if (serialized === lead.close_pushed) {
+			continue;
+		}
+		try {
+			const { lead: closeLead, contact } = await findOrCreateLead(lead.email, { fullName: lead.repo_name, stars: lead.github_stars }, await getCloseIds(db, lead.email));
+			await saveCloseIds(db, lead.email, closeLead.id, contact.id);
+			await updateCloseContact(contact.id, fields);
+			await runQuery(db, "UPDATE emails SET close_pushed = ? WHERE email = ?", [serialized, lead.email]);
+			console.log(`⬆️  Pushed ${lead.email} to Close contact ${contact.id}`);
+			pushed++;
+		} catch (error) {
+			console.error(`❌ Error pushing ${lead.email} to Close:`, error.message);
+		}
+	}
+	return pushed;
+}
+
+// Replies stop the sequence unless the contact already unsubscribed, opt-outs also suppress the address
+async function applyContactStatus(db, email, status) {
+	if (status === "unsubscribed") {
+		await unsubscribe(db, email, "close");
+		console.log(`  🚫 Unsubscribed ${email}`);
+		return;
+	}
+	await runQuery(db, "UPDATE emails SET contact_status = 'replied' WHERE email = ? AND COALESCE(contact_status, '') != 'unsubscribed'", [email]);
+	console.log(`  💬 Marked ${email} as replied`);
+}
+
+// Apply lead status changes that close.json maps to a contact status to every contacted email of the lead
+async function pullStatusChanges(db, config) {
+	const changes = await listLeadStatusChanges(await getCursor(db, "lead_status"));
+	let applied = 0;
+	for (const change of changes) {
+		const status = config.leadStatuses[change.new_status_label];
+		if (status) {
+			try {
+				const rows = await allQuery(db, "SELECT email FROM emails WHERE close_lead_id = ? AND email_sent = 1", [change.lead_id]);
+				if (rows.length > 0) {
+					console.log(`🏷️  Lead ${change.lead_id} moved to "${change.new_status_label}"`);
+				}
+				for (const row of rows) {
+					await applyContactStatus(db, row.email, status);
+					applied++;
+				}
+			} catch (error) {
+				// The cursor stays before the change, so it and everything after it is pulled again next time
+				console.error(`❌ Error applying status change ${change.id}, retried on the next sync:`, error.message);
+				break;
+			}
+		}
+		await saveCursor(db, "lead_status", change.date_created);
+	}
+	return applied;
+}
+
+// Address of an email activity's sender, "Name <address>" or the envelope's
+function getSenderAddress(activity) {
+	const envelope = activity.envelope && activity.envelope.from && activity.envelope.from[0];
+	const sender = envelope ? envelope.email : activity.sender || "";
+	const match = /<([^>]+)>/.exec(sender);
+	return (match ? match[1] : sender).trim().toLowerCase();
+}
+
+// Find the sent email an incoming Close email belongs to: by its contact, then the sender's address
+async function matchCloseEmail(db, activity, fromAddress) {
+	if (activity.contact_id) {
+		const row = await getQuery(db, "SELECT email FROM emails WHERE close_contact_id = ?", [activity.contact_id]);
+		if (row) {
+			return { email: row.email, matchedBy: "close_contact" };
+		}
+	}
+	const row = fromAddress && await getQuery(db, "SELECT email FROM emails WHERE lower(email) = ? AND email_sent = 1", [fromAddress]);
+	return row ? { email: row.email, matchedBy: "sender" } : { email: null, matchedBy: null };
+}
+
+// Record an incoming Close email in inbound_messages like ingest.js does for the mailbox, and mark its
+// contact as replied or unsubscribed. Returns the classification, null when it was already pulled from
+// Close or ingested from the mailbox (Close keeps the email's Message-ID)
+async function pullInboundEmail(db, activity) {
+	const known = await getQuery(db, "SELECT id FROM inbound_messages WHERE mailbox = 'close' AND message_id = ?", [activity.id]);
+	const messageId = activity.message_id ? activity.message_id.replace(/^<|>$/g, "") : null;
+	const ingested = messageId && await getQuery(
+		db,
+		"SELECT id FROM inbound_messages WHERE mailbox != 'close' AND message_id IN (?, ?)",
+		[messageId, `<${messageId}>`],
+	);
+	if (known || ingested) {
+		return null;
+	}
+	const fromAddress = getSenderAddress(activity);
+	const { email, matchedBy } = await matchCloseEmail(db, activity, fromAddress);
+	const classification = isOptOutRequest(activity.body_text) ? "opt_out" : "reply";
+
+	const result = await runQuery(
+		db,
+		`INSERT INTO inbound_messages (mailbox, message_id, from_address, subject, email, matched_by, classification, received_at)
+		 VALUES ('close', ?, ?, ?, ?, ?, ?, ?)`,
+		[activity.id, fromAddress, activity.subject, email, matchedBy, classification, activity.date_created],
+	);
+
+	console.log(`📨 [${activity.id}] ${classification}: "${activity.subject || ""}" from ${fromAddress || "unknown"}`);
+	if (!email) {
+		console.log("  No sent email matches this message");
+		return classification;
+	}
+	await applyContactStatus(db, email, classification === "opt_out" ? "unsubscribed" : "replied");
+	if (classification === "reply" && isCreditRequest(activity.body_text)) {
+		const task = await queueManualTask(db, email, result.lastID, "credit_request", `Replied in Close to the free credits offer: ${stripQuotedText(activity.body_text).slice(0, 200)}`);
+		console.log(task.changes > 0 ? "  🎁 Queued credit request for manual handling" : "  🎁 Credit request already queued");
+	}
+	return classification;
+}
+
+// Pull incoming email activities (replies logged or synced into Close)
+async function pullInboundEmails(db) {
+	const activities = await listEmailActivities(await getCursor(db, "email"));
+	const counts = {};
+	for (const activity of activities) {
+		if (activity.direction === "incoming") {
+			try {
+				const classification = await withTransaction(db, () => pullInboundEmail(db, activity));
+				if (classification) {
+					counts[classification] = (counts[classification] || 0) + 1;
+				}
+			} catch (error) {
+				console.error(`❌ Error pulling Close email ${activity.id}, retried on the next sync:`, error.message);
+				break;
+			}
+		}
+		await saveCursor(db, "email", activity.date_created);
+	}
+	return counts;
+}
+
+// Two-way Close sync: push contact fields, then pull lead status changes and replies
+async function main() {
+	let db;
+
+	try {
+		if (!CLOSE_API_KEY) {
+			throw new Error("CLOSE_API_KEY environment variable is required");
+		}
+		const config = loadCloseConfig();
+
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		console.log("⬆️  Pushing contacts to Close...");
+		const pushed = await pushContacts(db, config);
+		console.log("⬇️  Pulling lead status changes from Close...");
+		const statuses = await pullStatusChanges(db, config);
+		console.log("⬇️  Pulling incoming emails from Close...");
+		const counts = await pullInboundEmails(db);
+
+		const summary = Object.entries(counts).map(([classification, count]) => `${count} ${classification}`).join(", ");
+		console.log(`✅ Pushed ${pushed} contacts, applied ${statuses} lead statuses, pulled ${summary || "no new emails"}`);
+	} catch (error) {
+		console.error("❌ Error syncing with Close:", error.message);
+		process.exitCode = 1;
+	} finally {
+		if (db) {
+			await closeDatabase(db);
+		}
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { openDatabase, allQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { MAX_SEND_ATTEMPTS, isPermanentFailure, waitingCondition, recordFailure, clearAttempts, releaseParked } = require("../lib/attempts");
+
+test("render and mark failures and SMTP 55x rejections are permanent", () => {
+	assert.strictEqual(isPermanentFailure("render", new Error("Unclosed section")), true);
+	assert.strictEqual(isPermanentFailure("mark", new Error("SQLITE_BUSY")), true);
+	assert.strictEqual(isPermanentFailure("send", Object.assign(new Error("No such user"), { responseCode: 550 })), true);
+	assert.strictEqual(isPermanentFailure("send", Object.assign(new Error("Mailbox full"), { responseCode: 559 })), true);
+});
+
+test("temporary and unanswered send failures are retried", () => {
+	assert.strictEqual(isPermanentFailure("send", Object.assign(new Error("Try again later"), { responseCode: 451 })), false);
+	assert.strictEqual(isPermanentFailure("send", Object.assign(new Error("Server error"), { responseCode: 560 })), false);
+	assert.strictEqual(isPermanentFailure("send", Object.assign(new Error("Connection closed"), { code: "ECONNECTION" })), false);
+	assert.strictEqual(isPermanentFailure("lookup", Object.assign(new Error("Rejected"), { responseCode: 550 })), false);
+});
+
+test("failed steps wait for their backoff and park after the last attempt", async () => {
+	const db = await openDatabase(":memory:");
+	try {
+		await migrate(db, { log: () => {} });
+		const waiting = async () => (await allQuery(db, `SELECT ${waitingCondition("?", "?")} as waiting`, ["ada@example.com", 0]))[0].waiting;
+		assert.strictEqual(await waiting(), 0);
+
+		const first = await recordFailure(db, "ada@example.com", 0, "send", new Error("Timeout"));
+		assert.strictEqual(first.status, "retry");
+		assert.strictEqual(first.attempts, 1);
+		assert.ok(first.nextAttemptAt);
+		assert.strictEqual(await waiting(), 1);
+
+		let last = first;
+		for (let attempt = 2; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+			last = await recordFailure(db, "ada@example.com", 0, "send", new Error("Timeout"));
+		}
+		assert.deepStrictEqual(last, { status: "parked", attempts: MAX_SEND_ATTEMPTS, nextAttemptAt: null });
+		assert.strictEqual(await waiting(), 1);
+
+		await releaseParked(db, "ada@example.com");
+		assert.strictEqual(await waiting(), 0);
+
+		const rejected = await recordFailure(db, "bob@example.com", 1, "send", Object.assign(new Error("No such user"), { responseCode: 550 }));
+		assert.strictEqual(rejected.status, "parked");
+		await clearAttempts(db, "bob@example.com", 1);
+		assert.deepStrictEqual(await allQuery(db, "SELECT * FROM send_attempts WHERE email = 'bob@example.com'"), []);
+	} finally {
+		await closeDatabase(db);
+	}
+});
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDatabase, allQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { saveOutboxMessage, getOutboxMessage } = require("../lib/outbox");
+const { createFileProvider } = require("../lib/providers");
+
+// email.js reads its settings when loaded
+process.env.DRY_RUN = "true";
+process.env.UNSUBSCRIBE_SECRET = "secret";
+const { writeDryRunMessage } = require("../email");
+
+test("a dry run writes outbox messages to files and leaves their rows as they were", async () => {
+	const db = await openDatabase(":memory:");
+	try {
+		await migrate(db, { log: () => {} });
+		const account = { id: "main", fromName: "Sender", fromEmail: "sender@example.com", provider: "smtp", smtp: {} };
+		const draft = await saveOutboxMessage(db, {
+			email: "ada@example.com",
+			step: 1,
+			status: "draft",
+			subject: "Hi Ada",
+			body: "Have a look at https://llmgateway.io",
+			templateName: "default",
+			keyword: "openai",
+			variant: null,
+			senderAccount: account.id,
+		});
+
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+		const entry = await writeDryRunMessage(db, createFileProvider({ dir }), account, draft);
+
+		assert.strictEqual(entry.outboxStatus, "draft");
+		assert.match(fs.readFileSync(path.join(dir, entry.file), "utf-8"), /Subject: Hi Ada/);
+		assert.deepStrictEqual(await getOutboxMessage(db, "ada@example.com", 1), draft);
+		assert.deepStrictEqual(await allQuery(db, "SELECT * FROM tracking_tokens"), []);
+	} finally {
+		await closeDatabase(db);
+	}
+});
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createGitHubClient } = require("../lib/github");
+
+// A GitHub API stand-in answering with the queued responses in order, [status, headers]
+async function startApi(responses) {
+	const calls = [];
+	const server = http.createServer((req, res) => {
+		calls.push(Date.now());
+		const [status, headers] = responses.shift() || [200, {}];
+		res.writeHead(status, { "Content-Type": "application/json", ...headers });
+		res.end("{}");
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	return { calls, url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test("waits for the reset when a used up budget is reported under another resource name", async () => {
+	const reset = Math.ceil(Date.now() / 1000) + 1;
+	const api = await startApi([[403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset), "x-ratelimit-resource": "integration_manifest" }]]);
+	try {
+		const client = createGitHubClient({ apiUrl: api.url, tokens: ["a"] });
+		const response = await client.request("/repos/acme/widget");
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(api.calls.length, 2);
+		assert.ok(api.calls[1] >= reset * 1000 - 50, "retried before the budget reset");
+	} finally {
+		await api.close();
+	}
+});
+
+test("gives up on a budget that stays used up after the retries", async () => {
+	const exhausted = () => [403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "0" }];
+	const api = await startApi(Array.from({ length: 10 }, exhausted));
+	try {
+		const client = createGitHubClient({ apiUrl: api.url, tokens: ["a", "b", "c", "d", "e", "f"] });
+		const response = await client.request("/repos/acme/widget");
+		assert.strictEqual(response.status, 403);
+		assert.strictEqual(api.calls.length, 6);
+	} finally {
+		await api.close();
+	}
+});
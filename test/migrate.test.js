@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { openDatabase, runQuery, allQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+
+// The emails table as scrape.js created it before migrations, without the columns later versions added
+async function createLegacyDatabase() {
+	const db = await openDatabase(":memory:");
+	await runQuery(db, `
+		CREATE TABLE emails
+		(
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			email TEXT UNIQUE,
+			repo_name TEXT,
+			keyword TEXT,
+			ignore BOOLEAN,
+			approved BOOLEAN DEFAULT 0,
+			sent BOOLEAN DEFAULT 0,
+			email_sent BOOLEAN DEFAULT 0,
+			email_follow_ups INTEGER DEFAULT 0,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await runQuery(db, "ALTER TABLE emails ADD COLUMN email_body TEXT");
+	for (const [email, repoName, keyword, sent, emailSent] of [
+		["ada@acme.dev", "acme/engine", "OPENROUTER", 0, 1],
+		["bob@acme.dev", "acme/engine", "OPENROUTER", 1, 0],
+		["cy@old.dev", null, null, 0, 0],
+	]) {
+		await runQuery(db, "INSERT INTO emails (email, repo_name, keyword, ignore, sent, email_sent) VALUES (?, ?, ?, 0, ?, ?)", [email, repoName, keyword, sent, emailSent]);
+	}
+	return db;
+}
+
+test("a legacy database gets one person per email with its contribution", async () => {
+	const db = await createLegacyDatabase();
+	try {
+		await migrate(db, { log: () => {} });
+
+		const people = await allQuery(db, `
+			SELECT pe.email, p.github_login, c.repo_name, c.keyword, c.commits
+			FROM person_emails pe
+			JOIN people p ON p.id = pe.person_id
+			LEFT JOIN contributions c ON c.person_id = p.id
+			ORDER BY pe.email
+		`);
+		assert.deepStrictEqual(people, [
+			{ email: "ada@acme.dev", github_login: null, repo_name: "acme/engine", keyword: "OPENROUTER", commits: null },
+			{ email: "bob@acme.dev", github_login: null, repo_name: "acme/engine", keyword: "OPENROUTER", commits: null },
+			{ email: "cy@old.dev", github_login: null, repo_name: null, keyword: null, commits: null },
+		]);
+		assert.strictEqual((await allQuery(db, "SELECT DISTINCT person_id FROM person_emails")).length, 3);
+
+		// The old sent flag is folded into email_sent, and the columns added since exist
+		const emails = await allQuery(db, "SELECT email, email_sent, full_name, github_stars, commits FROM emails ORDER BY email");
+		assert.deepStrictEqual(emails.map(row => [row.email, row.email_sent]), [["ada@acme.dev", 1], ["bob@acme.dev", 1], ["cy@old.dev", 0]]);
+	} finally {
+		await closeDatabase(db);
+	}
+});
+
+test("migrating again applies nothing and creates no duplicate people", async () => {
+	const db = await createLegacyDatabase();
+	try {
+		const applied = await migrate(db, { log: () => {} });
+		assert.ok(applied.length > 0);
+		assert.deepStrictEqual(await migrate(db, { log: () => {} }), []);
+		assert.strictEqual((await allQuery(db, "SELECT id FROM people")).length, 3);
+		assert.strictEqual((await allQuery(db, "SELECT id FROM contributions")).length, 2);
+	} finally {
+		await closeDatabase(db);
+	}
+});
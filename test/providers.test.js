@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setMaybeSent, getProviderSettings, validateProviderSettings } = require("../lib/providers");
+
+// An API error like postJson's or fetch's
+function apiError(status, causeCode) {
+	const error = new Error("Request failed");
+	if (status) {
+		error.status = status;
+	}
+	if (causeCode) {
+		error.cause = Object.assign(new Error(causeCode), { code: causeCode });
+	}
+	return error;
+}
+
+test("refused requests and connections that never opened were not sent", () => {
+	for (const status of [400, 401, 422, 429]) {
+		assert.strictEqual(setMaybeSent(apiError(status)).maybeSent, false);
+	}
+	for (const code of ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]) {
+		assert.strictEqual(setMaybeSent(apiError(null, code)).maybeSent, false);
+	}
+});
+
+test("server errors, timeouts and dropped connections may have been sent", () => {
+	const error = apiError(502);
+	assert.strictEqual(setMaybeSent(error), error);
+	assert.strictEqual(error.maybeSent, true);
+	assert.strictEqual(setMaybeSent(apiError(null, "ECONNRESET")).maybeSent, true);
+	assert.strictEqual(setMaybeSent(apiError(null, "UND_ERR_HEADERS_TIMEOUT")).maybeSent, true);
+	assert.strictEqual(setMaybeSent(apiError()).maybeSent, true);
+});
+
+test("provider settings come from the owner's type key or an inline object", () => {
+	assert.deepStrictEqual(getProviderSettings({ id: "a", smtp: { host: "smtp.example.com" } }), { type: "smtp", host: "smtp.example.com" });
+	assert.deepStrictEqual(getProviderSettings({ provider: "file", file: { dir: "outbox" } }), { type: "file", dir: "outbox" });
+	assert.deepStrictEqual(getProviderSettings({ provider: { type: "webhook", url: "https://example.com" } }), { type: "webhook", url: "https://example.com" });
+});
+
+test("provider settings are validated per type", () => {
+	validateProviderSettings({ type: "http", format: "postmark", apiKeyEnv: "POSTMARK_KEY" }, "default/campaign.json");
+	assert.throws(() => validateProviderSettings({ type: "fax" }, "a"), /a has unknown provider "fax", expected one of: smtp, close/);
+	assert.throws(() => validateProviderSettings({ type: "smtp", host: "smtp.example.com" }, "a"), /a needs smtp.usernameEnv, smtp.passwordEnv for its smtp provider/);
+	assert.throws(() => validateProviderSettings({ type: "http", format: "mailgun", apiKeyEnv: "KEY" }, "a"), /a has unknown http format "mailgun"/);
+});
@@ -0,0 +1,130 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const { openDatabase, allQuery, closeDatabase } = require("../lib/db");
+const { createGitHubApi } = require("./support/github-api");
+
+const ROOT = path.join(__dirname, "..");
+
+// Run scrape.js against the stand-in with a fresh database per test, it reads its settings when loaded
+function createScraper(api) {
+	const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "scrape-test-")), "scrape.db");
+	return {
+		async run(env = {}) {
+			const { stdout } = await promisify(execFile)(process.execPath, [path.join(ROOT, "scrape.js")], {
+				env: {
+					...process.env,
+					GITHUB_API_URL: api.url,
+					GITHUB_TOKEN: "",
+					GITHUB_TOKENS: "",
+					DB_PATH: path.relative(ROOT, dbPath),
+					KEYWORD: "OPENROUTER",
+					RESOLVE_NOREPLY: "false",
+					VERIFICATION_STAGES: "syntax,disposable",
+					...env,
+				},
+			});
+			return stdout;
+		},
+		async query(sql, params = []) {
+			const db = await openDatabase(dbPath);
+			try {
+				return await allQuery(db, sql, params);
+			} finally {
+				await closeDatabase(db);
+			}
+		},
+	};
+}
+
+test("a code search repository whose details can't be fetched is retried from the ledger", async () => {
+	const query = "\"openrouter.ai/api\"";
+	const api = await createGitHubApi({
+		repos: [
+			{ full_name: "acme/good", created_at: "2026-01-05T10:00:00Z", stargazers_count: 12, commits: [{ email: "ada@acme.dev", name: "Ada Lovelace" }] },
+			{ full_name: "acme/flaky", created_at: "2026-01-06T10:00:00Z", stargazers_count: 40, commits: [{ email: "bob@acme.dev", name: "Bob Smith" }] },
+		],
+		codeMatches: ["acme/good", "acme/flaky"].map(fullName => ({
+			query,
+			repository: { full_name: fullName },
+			path: "src/llm.js",
+			html_url: `https://github.com/${fullName}/blob/main/src/llm.js`,
+		})),
+	}).listen();
+	const scraper = createScraper(api);
+	const env = { SEARCH_MODE: "code", CODE_SEARCH_QUERIES: query };
+
+	try {
+		api.fail = pathname => pathname === "/repos/acme/flaky";
+		await scraper.run(env);
+		assert.deepStrictEqual(await scraper.query("SELECT full_name, fetch_status, http_status, attempts FROM repos ORDER BY full_name"), [
+			{ full_name: "acme/flaky", fetch_status: "failed", http_status: 403, attempts: 1 },
+			{ full_name: "acme/good", fetch_status: "processed", http_status: 200, attempts: 1 },
+		]);
+		assert.deepStrictEqual((await scraper.query("SELECT repo_name FROM code_matches ORDER BY repo_name")).map(row => row.repo_name), ["acme/flaky", "acme/good"]);
+
+		api.fail = () => false;
+		await scraper.run(env);
+		assert.deepStrictEqual(await scraper.query("SELECT fetch_status, stars, attempts FROM repos WHERE full_name = 'acme/flaky'"), [
+			{ fetch_status: "processed", stars: 40, attempts: 2 },
+		]);
+		assert.deepStrictEqual(await scraper.query("SELECT email, repo_name, github_stars FROM emails ORDER BY email"), [
+			{ email: "ada@acme.dev", repo_name: "acme/good", github_stars: 12 },
+			{ email: "bob@acme.dev", repo_name: "acme/flaky", github_stars: 40 },
+		]);
+	} finally {
+		await api.close();
+	}
+});
+
+test("crowded search windows are bisected down to hours and a failed run resumes at the first pending window", async () => {
+	// One window from yesterday to the end of today, so the date segments don't depend on the clock
+	const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	const [yesterday, today] = [day(-1), day(0)];
+	const api = await createGitHubApi({
+		repos: [
+			{ full_name: "acme/crowded", created_at: `${yesterday}T05:30:00Z`, stargazers_count: 3, commits: [{ email: "ada@acme.dev", name: "Ada Lovelace" }] },
+			{ full_name: "acme/afternoon", created_at: `${yesterday}T14:00:00Z`, stargazers_count: 5, commits: [{ email: "bob@acme.dev", name: "Bob Smith" }] },
+			{ full_name: "acme/today", created_at: `${today}T00:30:00Z`, stargazers_count: 8, commits: [{ email: "cy@acme.dev", name: "Cy Young" }] },
+		],
+		crowded: { [`${yesterday}T05:00:00Z`]: 1500 },
+	}).listen();
+	const scraper = createScraper(api);
+	const env = { SEARCH_MODE: "repositories", SEARCH_SINCE: yesterday, TZ: "UTC" };
+	const searches = () => api.requests.filter(request => request.pathname === "/search/repositories" && request.query.page === "1").map(request => request.query.q.split(" ")[1]);
+
+	try {
+		api.fail = (pathname, query) => pathname === "/search/repositories" && query.q.includes(`created:${today}..${today}`);
+		await scraper.run(env);
+
+		assert.deepStrictEqual(searches().slice(0, 4), [
+			`created:${yesterday}..${today}`,
+			`created:${yesterday}..${yesterday}`,
+			`created:${yesterday}T00:00:00Z..${yesterday}T11:59:59Z`,
+			`created:${yesterday}T00:00:00Z..${yesterday}T05:59:59Z`,
+		]);
+		const windows = await scraper.query("SELECT range_start, range_end, depth, status, total_count FROM search_windows ORDER BY depth, range_start");
+		assert.deepStrictEqual(windows.filter(window => window.status === "pending"), [
+			{ range_start: `${today}T00:00:00Z`, range_end: `${day(1)}T00:00:00Z`, depth: 1, status: "pending", total_count: null },
+		]);
+		assert.deepStrictEqual(windows.filter(window => window.status === "truncated"), [
+			{ range_start: `${yesterday}T05:00:00Z`, range_end: `${yesterday}T06:00:00Z`, depth: 6, status: "truncated", total_count: 1501 },
+		]);
+		assert.strictEqual(windows.filter(window => window.status === "split").length, 6);
+		assert.deepStrictEqual((await scraper.query("SELECT email FROM emails ORDER BY email")).map(row => row.email), ["ada@acme.dev", "bob@acme.dev"]);
+
+		api.fail = () => false;
+		api.requests.length = 0;
+		await scraper.run(env);
+
+		assert.deepStrictEqual(searches(), [`created:${today}..${today}`]);
+		assert.deepStrictEqual(await scraper.query("SELECT * FROM search_windows"), []);
+		assert.deepStrictEqual((await scraper.query("SELECT email FROM emails ORDER BY email")).map(row => row.email), ["ada@acme.dev", "bob@acme.dev", "cy@acme.dev"]);
+	} finally {
+		await api.close();
+	}
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadThrottleConfig, isInSendWindow, getNextWindowStart } = require("../lib/throttle");
+const { loadSenderConfig, getAccountThrottleConfig } = require("../lib/senders");
+
+// Load a senders.json with one SMTP account using the throttle overrides
+function loadAccount(throttle) {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "senders-")), "senders.json");
+	const smtp = { host: "smtp.example.com", usernameEnv: "SMTP_USERNAME", passwordEnv: "SMTP_PASSWORD" };
+	fs.writeFileSync(file, JSON.stringify({ accounts: [{ id: "luca", fromEmail: "luca@example.com", fromName: "Luca", smtp, throttle }] }));
+	return loadSenderConfig(file).accounts[0];
+}
+
+test("an account's send window override is normalized like throttle.json's", () => {
+	const account = loadAccount({ dailyCap: 30, sendWindow: { start: "09:00", end: "17:00", days: ["mon", "tue", "wed", "thu", "fri"] } });
+	const config = getAccountThrottleConfig(account, loadThrottleConfig());
+
+	assert.strictEqual(config.dailyCap, 30);
+	assert.deepStrictEqual(config.sendWindow, { start: "09:00", end: "17:00", days: ["mon", "tue", "wed", "thu", "fri"], timezone: "UTC", startMinutes: 540, endMinutes: 1020 });
+	// Monday 2026-03-09
+	assert.strictEqual(isInSendWindow(config.sendWindow, Date.parse("2026-03-09T12:00:00Z")), true);
+	assert.strictEqual(getNextWindowStart(config.sendWindow, Date.parse("2026-03-09T18:00:00Z")), Date.parse("2026-03-10T09:00:00Z"));
+});
+
+test("accounts without overrides use the throttle config as it is", () => {
+	const throttleConfig = loadThrottleConfig();
+	assert.strictEqual(getAccountThrottleConfig(loadAccount(undefined), throttleConfig), throttleConfig);
+	assert.strictEqual(getAccountThrottleConfig(loadAccount({ warmup: { startDate: "2025-01-06" } }), throttleConfig).warmup.startDate, "2025-01-06");
+});
+
+test("bad or unknown throttle overrides are rejected when the sender config is loaded", () => {
+	assert.throws(() => loadAccount({ dailyCap: "30" }), /dailyCap in the throttle of account luca must be a positive number/);
+	assert.throws(() => loadAccount({ warmup: { startDate: "soon" } }), /warmup.startDate "soon" in the throttle of account luca is not a date/);
+	assert.throws(() => loadAccount({ sendWindow: { start: "9am", end: "17:00", days: ["mon"] } }), /sendWindow in the throttle of account luca needs start and end/);
+	assert.throws(() => loadAccount({ dailyLimit: 30 }), /Account luca can't override dailyLimit in its throttle/);
+});
@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDatabase, runQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { addSuppression } = require("../lib/suppressions");
+const { recordFailure } = require("../lib/attempts");
+const { renderTemplate, buildTemplateVariables } = require("../lib/templates");
+const { loadSequenceConfig, validateSequences, fetchDueFollowUps } = require("../lib/sequences");
+
+// Write a sequences.json to a temp dir, returns its path
+function writeSequences(config) {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sequences-")), "sequences.json");
+	fs.writeFileSync(file, JSON.stringify(config));
+	return file;
+}
+
+const STEP = { name: "bump", afterDays: 4, subject: "Re: {{subject}}", template: "Hi {{repo.fullName}}" };
+
+test("sequence steps are checked when the config is loaded", () => {
+	assert.deepStrictEqual(loadSequenceConfig(writeSequences({ default: [STEP] })), { default: [STEP] });
+	assert.throws(() => loadSequenceConfig(writeSequences({ default: STEP })), /default in sequences.json must list follow-up steps/);
+	assert.throws(() => loadSequenceConfig(writeSequences({ default: [STEP, { ...STEP, afterDays: undefined }] })), /default step 3 in sequences.json needs afterDays/);
+	assert.throws(() => loadSequenceConfig(writeSequences({ default: [{ ...STEP, afterDays: "4" }] })), /needs afterDays/);
+	assert.throws(() => loadSequenceConfig(writeSequences({ openai: [{ ...STEP, subject: undefined }] })), /openai step 2 in sequences.json needs a subject/);
+	assert.throws(() => loadSequenceConfig(writeSequences({ default: [{ ...STEP, template: "{{#repo}}x" }] })), /template of default step 2 in sequences.json: Unclosed section/);
+});
+
+test("follow-up validation reports unknown variables and configs that don't load", () => {
+	const results = validateSequences(writeSequences({ default: [{ ...STEP, subject: "Re: {{repo.fullName}}", template: "{{repo}} {{subject}} {{signature}}" }] }));
+	assert.deepStrictEqual(results, [
+		{ template: "sequences", file: "sequences.json default step 2 subject", error: null, missing: ["repo.fullName"] },
+		{ template: "sequences", file: "sequences.json default step 2 template", error: null, missing: [] },
+	]);
+
+	const broken = validateSequences(writeSequences({ default: [{ ...STEP, afterDays: 0 }] }));
+	assert.strictEqual(broken.length, 1);
+	assert.match(broken[0].error, /needs afterDays/);
+});
+
+test("the repository's follow-ups validate and sign with the account's signature", () => {
+	assert.deepStrictEqual(validateSequences().filter(result => result.error || result.missing.length > 0), []);
+
+	const [bump] = loadSequenceConfig().default;
+	const lead = { email: "ada@example.com", repo_name: "ada/engine" };
+	const signed = renderTemplate(bump.template, buildTemplateVariables({ lead, fromName: "Luca", signature: "Luca\nLLMGateway" }));
+	assert.match(signed, /try it with ada\/engine/);
+	assert.match(signed, /Cheers,\nLuca\nLLMGateway$/);
+	assert.match(renderTemplate(bump.template, buildTemplateVariables({ lead, fromName: "Luca" })), /Cheers,\nLuca$/);
+});
+
+test("follow-ups are due after their delay and stop on replies, bounces, unsubscribes and suppressions", async () => {
+	const db = await openDatabase(":memory:");
+	try {
+		await migrate(db, { log: () => {} });
+		const now = Date.parse("2026-03-20T12:00:00Z");
+		const config = { default: [STEP, { ...STEP, name: "breakup", afterDays: 7 }] };
+
+		// Sent leads with their steps, as [daysAgo, messageId] from the initial email on
+		async function addLead(email, steps, { contactStatus = null, login = null } = {}) {
+			await runQuery(
+				db,
+				"INSERT INTO emails (email, repo_name, keyword, ignore, email_sent, email_follow_ups, contact_status) VALUES (?, 'acme/engine', 'openai', 0, 1, ?, ?)",
+				[email, steps.length - 1, contactStatus],
+			);
+			for (const [index, [daysAgo, messageId]] of steps.entries()) {
+				const sentAt = new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString().replace("T", " ").slice(0, 19);
+				await runQuery(db, "INSERT INTO email_steps (email, step, subject, message_id, sent_at) VALUES (?, ?, 'Hello', ?, ?)", [email, index + 1, messageId, sentAt]);
+			}
+			if (login) {
+				const person = await runQuery(db, "INSERT INTO people (github_login) VALUES (?)", [login]);
+				await runQuery(db, "INSERT INTO person_emails (person_id, email) VALUES (?, ?)", [person.lastID, email]);
+			}
+		}
+
+		await addLead("due@example.com", [[5, "<1@example.com>"]]);
+		await addLead("second@example.com", [[20, "<2@example.com>"], [8, "<3@example.com>"]]);
+		await addLead("early@example.com", [[3, "<4@example.com>"]]);
+		await addLead("finished@example.com", [[30, null], [20, null], [10, null]]);
+		await addLead("replied@example.com", [[5, null]], { contactStatus: "replied" });
+		await addLead("bounced@example.com", [[5, null]], { contactStatus: "bounced" });
+		await addLead("unsubscribed@example.com", [[5, null]], { contactStatus: "unsubscribed" });
+		await addLead("suppressed@example.com", [[5, null]]);
+		await addLead("login@example.com", [[5, null]], { login: "octocat" });
+		await addLead("retrying@example.com", [[5, null]]);
+		await addSuppression(db, "email", "suppressed@example.com", "manual", "test");
+		await addSuppression(db, "login", "octocat", "manual", "test");
+		await recordFailure(db, "retrying@example.com", 2, "send", new Error("Timeout"));
+
+		const due = await fetchDueFollowUps(db, config, 10, now);
+		assert.deepStrictEqual(due.map(followUp => [followUp.email, followUp.step, followUp.name]), [
+			["second@example.com", 3, "breakup"],
+			["due@example.com", 2, "bump"],
+		]);
+		assert.strictEqual(due[1].subject, "Re: Hello");
+		assert.strictEqual(due[1].template, STEP.template);
+		assert.deepStrictEqual(due[0].references, ["<2@example.com>", "<3@example.com>"]);
+
+		assert.deepStrictEqual((await fetchDueFollowUps(db, config, 1, now)).map(followUp => followUp.email), ["second@example.com"]);
+		assert.deepStrictEqual(await fetchDueFollowUps(db, config, 10, now - 2 * 24 * 60 * 60 * 1000), []);
+	} finally {
+		await closeDatabase(db);
+	}
+});
@@ -0,0 +1,115 @@
+// Local stand-in for the parts of the Close API lib/close.js uses, for tests and trying sync.js without a
+// Close account: run node test/support/close-api.js, then sync with CLOSE_API_URL=http://127.0.0.1:4600
+// It keeps leads, contacts and activities in memory, and answers a search query that isn't quoted and
+// escaped the way Close parses it with a 400.
+
+const http = require("http");
+
+const PAGE_LIMIT = 100;
+
+// The value of a custom.Repository:"..." query, null when the quoting is broken
+function parseRepositoryQuery(query) {
+	const match = /^custom\.Repository:"((?:[^"\\]|\\.)*)"$/.exec(query || "");
+	return match ? match[1].replace(/\\(.)/g, "$1") : null;
+}
+
+// state: { leads, statusChanges, emails }, leads as { id, custom: { Repository }, contacts }
+function createCloseApi(state = {}) {
+	const api = {
+		leads: state.leads || [],
+		statusChanges: state.statusChanges || [],
+		emails: state.emails || [],
+		contactUpdates: {},
+		requests: [],
+		url: null,
+	};
+	let nextId = 1;
+	const newId = prefix => `${prefix}_${nextId++}`;
+
+	function page(items, query) {
+		const since = query.date_created__gt ? Date.parse(query.date_created__gt) : -Infinity;
+		const matching = items.filter(item => Date.parse(item.date_created) > since && (!query.lead_id || item.lead_id === query.lead_id));
+		const skip = parseInt(query._skip) || 0;
+		const limit = Math.min(parseInt(query._limit) || PAGE_LIMIT, PAGE_LIMIT);
+		return { data: matching.slice(skip, skip + limit), has_more: skip + limit < matching.length };
+	}
+
+	function route(method, pathname, query, body) {
+		let match;
+		if (pathname === "/me/") {
+			return [200, { id: "user_stand_in" }];
+		}
+		if (pathname === "/lead/" && method === "GET") {
+			const repoName = parseRepositoryQuery(query.query);
+			if (repoName === null) {
+				return [400, { error: `Invalid query: ${query.query}` }];
+			}
+			return [200, { data: api.leads.filter(lead => lead.custom.Repository === repoName), has_more: false }];
+		}
+		if (pathname === "/lead/" && method === "POST") {
+			const lead = { id: newId("lead"), contacts: [], ...body };
+			api.leads.push(lead);
+			return [200, lead];
+		}
+		if ((match = /^\/lead\/([^/]+)\/$/.exec(pathname))) {
+			const lead = api.leads.find(candidate => candidate.id === match[1]);
+			return lead ? [200, lead] : [404, { error: "Not found" }];
+		}
+		if (pathname === "/contact/" && method === "POST") {
+			const lead = api.leads.find(candidate => candidate.id === body.lead_id);
+			if (!lead) {
+				return [400, { error: "Unknown lead" }];
+			}
+			const contact = { id: newId("cont"), ...body };
+			lead.contacts.push(contact);
+			return [200, contact];
+		}
+		if ((match = /^\/contact\/([^/]+)\/$/.exec(pathname)) && method === "PUT") {
+			api.contactUpdates[match[1]] = body;
+			return [200, { id: match[1], ...body }];
+		}
+		if (pathname === "/activity/status_change/lead/") {
+			return [200, page(api.statusChanges, query)];
+		}
+		if (pathname === "/activity/email/" && method === "POST") {
+			const activity = { id: newId("acti"), date_created: new Date().toISOString(), ...body };
+			api.emails.push(activity);
+			return [200, activity];
+		}
+		if (pathname === "/activity/email/") {
+			return [200, page(api.emails, query)];
+		}
+		return [404, { error: "Not found" }];
+	}
+
+	const server = http.createServer((req, res) => {
+		let body = "";
+		req.on("data", chunk => {
+			body += chunk;
+		});
+		req.on("end", () => {
+			const url = new URL(req.url, "http://stand-in");
+			const query = Object.fromEntries(url.searchParams);
+			api.requests.push({ method: req.method, pathname: url.pathname, query, body: body ? JSON.parse(body) : null });
+			const [status, result] = route(req.method, url.pathname, query, body ? JSON.parse(body) : null);
+			res.writeHead(status, { "Content-Type": "application/json" });
+			res.end(JSON.stringify(result));
+		});
+	});
+
+	api.listen = (port = 0) => new Promise(resolve => {
+		server.listen(port, "127.0.0.1", () => {
+			api.url = `http://127.0.0.1:${server.address().port}`;
+			resolve(api);
+		});
+	});
+	api.close = () => new Promise(resolve => server.close(resolve));
+	return api;
+}
+
+if (require.main === module) {
+	const port = parseInt(process.env.CLOSE_STAND_IN_PORT) || 4600;
+	createCloseApi().listen(port).then(api => console.log(`🧪 Close API stand-in running at ${api.url}`));
+}
+
+module.exports = { createCloseApi, parseRepositoryQuery };
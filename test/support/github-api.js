@@ -0,0 +1,99 @@
+// Local stand-in for the parts of the GitHub API scrape.js uses, for tests: repository and code search,
+// repository details and commits. Repositories are kept in memory as
+//   { full_name, created_at, stargazers_count, ..., commits: [{ email, name, login, date }] }
+// crowded maps an hour ("2026-03-01T05:00:00Z") to a number of repositories created in it that searches
+// count but never list, to push windows over the 1000 result cap. api.fail(pathname, query) answers a
+// request with a 403 when it returns true.
+
+const http = require("http");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [start, end) in ms of a created:A..B qualifier, with dates or timestamps (both ends inclusive)
+function parseCreatedRange(query) {
+	const match = /created:(\S+)\.\.(\S+)/.exec(query || "");
+	if (!match) {
+		return null;
+	}
+	const [, start, end] = match;
+	if (/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+		return { start: Date.parse(`${start}T00:00:00Z`), end: Date.parse(`${end}T00:00:00Z`) + DAY_MS };
+	}
+	return { start: Date.parse(start), end: Date.parse(end) + 1000 };
+}
+
+function createGitHubApi(state = {}) {
+	const api = {
+		repos: state.repos || [],
+		codeMatches: state.codeMatches || [],
+		crowded: state.crowded || {},
+		fail: () => false,
+		requests: [],
+		url: null,
+	};
+
+	function getRepo(fullName) {
+		return api.repos.find(repo => repo.full_name === fullName);
+	}
+
+	function details(repo) {
+		const { commits, ...rest } = repo;
+		return { forks_count: 0, pushed_at: repo.created_at, description: null, fork: false, archived: false, ...rest };
+	}
+
+	function page(items, query) {
+		const perPage = parseInt(query.per_page) || 30;
+		const skip = ((parseInt(query.page) || 1) - 1) * perPage;
+		return items.slice(skip, skip + perPage);
+	}
+
+	function route(pathname, query) {
+		let match;
+		if (pathname === "/search/repositories") {
+			const range = parseCreatedRange(query.q);
+			const inRange = time => !range || (time >= range.start && time < range.end);
+			const repos = api.repos.filter(repo => inRange(Date.parse(repo.created_at)));
+			const hidden = Object.entries(api.crowded).filter(([hour]) => inRange(Date.parse(hour))).reduce((sum, [, count]) => sum + count, 0);
+			return [200, { total_count: repos.length + hidden, items: page(repos.map(details), query) }];
+		}
+		if (pathname === "/search/code") {
+			const items = api.codeMatches.filter(item => query.q === item.query);
+			return [200, { total_count: items.length, items: page(items, query) }];
+		}
+		if ((match = /^\/repos\/([^/]+\/[^/]+)\/commits$/.exec(pathname))) {
+			const repo = getRepo(match[1]);
+			if (!repo) {
+				return [404, { message: "Not Found" }];
+			}
+			return [200, (repo.commits || []).map(commit => ({
+				commit: { author: { email: commit.email, name: commit.name, date: commit.date || repo.created_at } },
+				author: commit.login ? { login: commit.login } : null,
+			}))];
+		}
+		if ((match = /^\/repos\/([^/]+\/[^/]+)$/.exec(pathname))) {
+			const repo = getRepo(match[1]);
+			return repo ? [200, details(repo)] : [404, { message: "Not Found" }];
+		}
+		return [404, { message: "Not Found" }];
+	}
+
+	const server = http.createServer((req, res) => {
+		const url = new URL(req.url, "http://stand-in");
+		const query = Object.fromEntries(url.searchParams);
+		api.requests.push({ pathname: url.pathname, query });
+		const [status, result] = api.fail(url.pathname, query) ? [403, { message: "Forbidden" }] : route(url.pathname, query);
+		res.writeHead(status, { "Content-Type": "application/json" });
+		res.end(JSON.stringify(result));
+	});
+
+	api.listen = (port = 0) => new Promise(resolve => {
+		server.listen(port, "127.0.0.1", () => {
+			api.url = `http://127.0.0.1:${server.address().port}`;
+			resolve(api);
+		});
+	});
+	api.close = () => new Promise(resolve => server.close(resolve));
+	return api;
+}
+
+module.exports = { createGitHubApi, parseCreatedRange };
@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { openDatabase, getQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { createUnsubscribeToken, verifyUnsubscribeToken, addSuppression, findSuppression, suppressedCondition } = require("../lib/suppressions");
+
+test("an unsubscribe token verifies to the lowercased address it was created for", () => {
+	const token = createUnsubscribeToken("Ada@Example.com", "secret");
+	assert.strictEqual(verifyUnsubscribeToken(token, "secret"), "ada@example.com");
+});
+
+test("tokens with another secret, a changed address or a broken shape don't verify", () => {
+	const token = createUnsubscribeToken("ada@example.com", "secret");
+	const [, signature] = token.split(".");
+	const forged = `${Buffer.from("bob@example.com").toString("base64url")}.${signature}`;
+
+	assert.strictEqual(verifyUnsubscribeToken(token, "other secret"), null);
+	assert.strictEqual(verifyUnsubscribeToken(forged, "secret"), null);
+	assert.strictEqual(verifyUnsubscribeToken(`${token}x`, "secret"), null);
+	for (const broken of [undefined, "", "abc", ".abc", "abc."]) {
+		assert.strictEqual(verifyUnsubscribeToken(broken, "secret"), null);
+	}
+});
+
+test("addresses are suppressed by address, domain or GitHub login", async () => {
+	const db = await openDatabase(":memory:");
+	try {
+		await migrate(db, { log: () => {} });
+		assert.strictEqual(await addSuppression(db, "email", "Ada@Example.com", "unsubscribed", "test"), true);
+		assert.strictEqual(await addSuppression(db, "email", "ada@example.com", "unsubscribed", "test"), false);
+		await addSuppression(db, "domain", "@spam.test", "manual", "test");
+		await addSuppression(db, "login", "Octocat", "manual", "test");
+		await assert.rejects(addSuppression(db, "phone", "123", "manual", "test"), /Unknown suppression kind/);
+
+		assert.strictEqual((await findSuppression(db, "ADA@example.com")).kind, "email");
+		assert.strictEqual((await findSuppression(db, "anyone@SPAM.test")).kind, "domain");
+		assert.strictEqual((await findSuppression(db, "new@example.com", "octocat")).kind, "login");
+		assert.strictEqual(await findSuppression(db, "new@example.com", "someone"), undefined);
+
+		const suppressed = email => getQuery(db, `SELECT ${suppressedCondition("?")} as suppressed`, [email, email, email]);
+		assert.strictEqual((await suppressed("Ada@example.com")).suppressed, 1);
+		assert.strictEqual((await suppressed("x@spam.test")).suppressed, 1);
+		assert.strictEqual((await suppressed("x@example.com")).suppressed, 0);
+	} finally {
+		await closeDatabase(db);
+	}
+});
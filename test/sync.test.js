@@ -0,0 +1,155 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const { openDatabase, runQuery, getQuery, allQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { createCloseApi } = require("./support/close-api");
+
+const ROOT = path.join(__dirname, "..");
+const REPO_NAME = "acme/\"quoted\\repo";
+
+let dir;
+let dbPath;
+let api;
+
+// Run sync.js against the stand-in, it reads its settings from the environment when loaded
+async function runSync(env = {}) {
+	const { stdout } = await promisify(execFile)(process.execPath, [path.join(ROOT, "sync.js")], {
+		env: { ...process.env, CLOSE_API_KEY: "test", CLOSE_API_URL: api.url, DB_PATH: path.relative(ROOT, dbPath), CLOSE_CONFIG: "close.json", ...env },
+	});
+	return stdout;
+}
+
+async function withDb(fn) {
+	const db = await openDatabase(dbPath);
+	try {
+		return await fn(db);
+	} finally {
+		await closeDatabase(db);
+	}
+}
+
+before(async () => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-test-"));
+	dbPath = path.join(dir, "sync.db");
+	await withDb(async db => {
+		await migrate(db, { log: () => {} });
+		for (const [email, fullName, followUps] of [["ada@example.com", "Ada", 0], ["bob@example.com", "Bob", 2]]) {
+			await runQuery(
+				db,
+				"INSERT INTO emails (email, repo_name, keyword, ignore, full_name, github_stars, commits, email_sent, email_follow_ups) VALUES (?, ?, 'OPENROUTER', 0, ?, 42, 7, 1, ?)",
+				[email, REPO_NAME, fullName, followUps],
+			);
+		}
+	});
+
+	api = await createCloseApi({
+		leads: [{ id: "lead_acme", custom: { Repository: REPO_NAME }, contacts: [{ id: "cont_ada", emails: [{ email: "ada@example.com" }] }] }],
+		statusChanges: [
+			{ id: "stat_1", lead_id: "lead_acme", new_status_label: "Interested", date_created: "2026-10-01T10:00:00+00:00" },
+			{ id: "stat_2", lead_id: "lead_other", new_status_label: "Not Interested", date_created: "2026-10-02T10:00:00+00:00" },
+		],
+		emails: [
+			{ id: "acti_1", direction: "incoming", contact_id: "cont_ada", sender: "Ada <ada@example.com>", subject: "Re: credits", body_text: "Sounds good, please add the credits", date_created: "2026-10-03T10:00:00+00:00" },
+			{ id: "acti_2", direction: "outgoing", to: ["bob@example.com"], date_created: "2026-10-04T10:00:00+00:00" },
+		],
+	}).listen();
+});
+
+after(async () => {
+	await api.close();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("pushes contact fields with an escaped lead search and saves the Close ids", async () => {
+	await runSync();
+
+	const searches = api.requests.filter(request => request.method === "GET" && request.pathname === "/lead/");
+	assert.deepStrictEqual(searches.map(request => request.query.query), ["custom.Repository:\"acme/\\\"quoted\\\\repo\""]);
+	assert.deepStrictEqual(api.contactUpdates.cont_ada, {
+		"name": "Ada",
+		"custom.Full Name": "Ada",
+		"custom.Commits": 7,
+		"custom.Keyword": "OPENROUTER",
+		"custom.Score": null,
+		"custom.Sequence Step": 1,
+	});
+	const bob = await withDb(db => getQuery(db, "SELECT close_lead_id, close_contact_id FROM emails WHERE email = 'bob@example.com'"));
+	assert.strictEqual(bob.close_lead_id, "lead_acme");
+	assert.strictEqual(api.contactUpdates[bob.close_contact_id]["custom.Sequence Step"], 3);
+});
+
+test("pulls mapped lead statuses and incoming emails", async () => {
+	const emails = await withDb(db => allQuery(db, "SELECT email, contact_status FROM emails ORDER BY email"));
+	assert.deepStrictEqual(emails.map(row => row.contact_status), ["replied", "replied"]);
+	const tasks = await withDb(db => allQuery(db, "SELECT email, kind FROM manual_tasks"));
+	assert.deepStrictEqual(tasks, [{ email: "ada@example.com", kind: "credit_request" }]);
+	const cursors = await withDb(db => allQuery(db, "SELECT feed, cursor FROM close_sync_state ORDER BY feed"));
+	assert.deepStrictEqual(cursors, [
+		{ feed: "email", cursor: "2026-10-04T10:00:00+00:00" },
+		{ feed: "lead_status", cursor: "2026-10-02T10:00:00+00:00" },
+	]);
+});
+
+test("skips unchanged contacts and already pulled activities on the next run", async () => {
+	api.requests.length = 0;
+	await runSync();
+
+	assert.deepStrictEqual(api.requests.map(request => `${request.method} ${request.pathname}`), [
+		"GET /activity/status_change/lead/",
+		"GET /activity/email/",
+	]);
+	assert.strictEqual(api.requests[0].query.date_created__gt, "2026-10-02T10:00:00+00:00");
+});
+
+test("keeps the cursor before an email that failed to apply and retries it", async () => {
+	api.emails.push(
+		{ id: "acti_3", direction: "incoming", contact_id: null, sender: "bob@example.com", subject: "Re: hi", body_text: "Please remove me from your list", date_created: "2026-10-05T10:00:00+00:00" },
+		{ id: "acti_4", direction: "incoming", contact_id: "cont_ada", sender: "ada@example.com", subject: "Re: hi", body_text: "Thanks!", date_created: "2026-10-06T10:00:00+00:00" },
+	);
+	await withDb(db => runQuery(db, "CREATE TRIGGER fail_unsubscribe BEFORE INSERT ON suppressions BEGIN SELECT RAISE(ABORT, 'database is locked'); END"));
+
+	await runSync();
+	const failed = await withDb(async db => ({
+		cursor: (await getQuery(db, "SELECT cursor FROM close_sync_state WHERE feed = 'email'")).cursor,
+		pulled: await allQuery(db, "SELECT message_id FROM inbound_messages WHERE mailbox = 'close' ORDER BY id"),
+	}));
+	assert.strictEqual(failed.cursor, "2026-10-04T10:00:00+00:00");
+	assert.deepStrictEqual(failed.pulled.map(row => row.message_id), ["acti_1"]);
+
+	await withDb(db => runQuery(db, "DROP TRIGGER fail_unsubscribe"));
+	await runSync();
+	const retried = await withDb(async db => ({
+		cursor: (await getQuery(db, "SELECT cursor FROM close_sync_state WHERE feed = 'email'")).cursor,
+		bob: await getQuery(db, "SELECT contact_status FROM emails WHERE email = 'bob@example.com'"),
+		pulled: await allQuery(db, "SELECT message_id, classification FROM inbound_messages WHERE mailbox = 'close' ORDER BY id"),
+	}));
+	assert.strictEqual(retried.cursor, "2026-10-06T10:00:00+00:00");
+	assert.strictEqual(retried.bob.contact_status, "unsubscribed");
+	assert.deepStrictEqual(retried.pulled, [
+		{ message_id: "acti_1", classification: "reply" },
+		{ message_id: "acti_3", classification: "opt_out" },
+		{ message_id: "acti_4", classification: "reply" },
+	]);
+});
+
+test("skips replies already ingested from the mailbox and doesn't queue a second credit request", async () => {
+	await withDb(db => runQuery(
+		db,
+		"INSERT INTO inbound_messages (mailbox, uid, message_id, from_address, email, classification) VALUES ('INBOX', 1, '<reply-1@example.com>', 'ada@example.com', 'ada@example.com', 'reply')",
+	));
+	api.emails.push(
+		{ id: "acti_5", direction: "incoming", message_id: "reply-1@example.com", contact_id: "cont_ada", sender: "ada@example.com", subject: "Re: hi", body_text: "My credits email is ada@example.com", date_created: "2026-10-07T10:00:00+00:00" },
+		{ id: "acti_6", direction: "incoming", contact_id: "cont_ada", sender: "ada@example.com", subject: "Re: hi", body_text: "Any news on the credits?", date_created: "2026-10-08T10:00:00+00:00" },
+	);
+
+	await runSync();
+	const pulled = await withDb(db => allQuery(db, "SELECT message_id FROM inbound_messages WHERE mailbox = 'close' AND message_id IN ('acti_5', 'acti_6')"));
+	assert.deepStrictEqual(pulled, [{ message_id: "acti_6" }]);
+	const tasks = await withDb(db => getQuery(db, "SELECT COUNT(*) as count FROM manual_tasks WHERE email = 'ada@example.com' AND kind = 'credit_request'"));
+	assert.strictEqual(tasks.count, 1);
+});
@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	renderTemplate,
+	getTemplateName,
+	loadVariantConfig,
+	loadCampaignConfig,
+	loadEmailTemplate,
+	validateTemplates,
+} = require("../lib/templates");
+
+// A template directory in a temp dir from { "<template>/<file>": contents }
+function createTemplatesDir(files) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+	for (const [file, contents] of Object.entries(files)) {
+		fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+		fs.writeFileSync(path.join(dir, file), typeof contents === "string" ? contents : JSON.stringify(contents));
+	}
+	return dir;
+}
+
+test("variables, dotted names, sections, inverted sections and comments render", () => {
+	const variables = { name: "Ada", repo: { fullName: "ada/engine" }, tags: ["a", "b"], empty: [], signature: null };
+	assert.strictEqual(renderTemplate("Hi {{name}}, {{ repo.fullName }}!{{! not shown }}", variables), "Hi Ada, ada/engine!");
+	assert.strictEqual(renderTemplate("{{#tags}}[{{.}}]{{/tags}}{{#empty}}x{{/empty}}", variables), "[a][b]");
+	assert.strictEqual(renderTemplate("{{#repo}}{{fullName}} by {{name}}{{/repo}}", variables), "ada/engine by Ada");
+	assert.strictEqual(renderTemplate("{{#signature}}{{signature}}{{/signature}}{{^signature}}Ada{{/signature}}", variables), "Ada");
+});
+
+test("missing variables render as empty and are reported", () => {
+	const missing = new Set();
+	assert.strictEqual(renderTemplate("Hi {{name}}{{#repo}}{{fullName}}{{repo.stars}}{{/repo}}", { repo: { fullName: "x", stars: null } }, missing), "Hi x");
+	assert.deepStrictEqual([...missing], ["name"]);
+});
+
+test("unbalanced sections and empty tags throw", () => {
+	assert.throws(() => renderTemplate("{{#a}}x", {}), /Unclosed section \{\{#a\}\}/);
+	assert.throws(() => renderTemplate("{{#a}}x{{/b}}", {}), /Unexpected \{\{\/b\}\}, expected \{\{\/a\}\}/);
+	assert.throws(() => renderTemplate("x{{/a}}", {}), /Unexpected \{\{\/a\}\}/);
+	assert.throws(() => renderTemplate("{{ }}", {}), /Empty tag/);
+});
+
+test("a keyword's files fall back to the default template", () => {
+	const dir = createTemplatesDir({
+		"default/subject.txt": "Default subject",
+		"default/body.md": "Default body",
+		"openai/subject.txt": "OpenAI subject",
+	});
+
+	assert.strictEqual(getTemplateName("OpenAI", dir), "openai");
+	assert.strictEqual(getTemplateName("ollama", dir), "default");
+	const template = loadEmailTemplate("openai", null, dir);
+	assert.strictEqual(template.subject.source, "OpenAI subject");
+	assert.strictEqual(template.body.file, path.join("default", "body.md"));
+});
+
+test("variant configs default weights and reject bad variants", () => {
+	const dir = createTemplatesDir({
+		"default/subject.txt": "Subject",
+		"default/subject.short.txt": "Short",
+		"default/variants.json": { promoteAfter: 300, variants: [{ id: "control", weight: 2 }, { id: "short", subject: "subject.short.txt" }] },
+		"empty/variants.json": { variants: [] },
+		"duplicate/variants.json": { variants: [{ id: "a" }, { id: "a" }] },
+		"weight/variants.json": { variants: [{ id: "a", weight: 0 }] },
+		"file/variants.json": { variants: [{ id: "a", body: "body.other.md" }] },
+		"promote/variants.json": { promoteAfter: 1.5, variants: [{ id: "a" }] },
+	});
+
+	assert.deepStrictEqual(loadVariantConfig("default", dir), {
+		templateName: "default",
+		promoteAfter: 300,
+		variants: [{ id: "control", weight: 2 }, { id: "short", subject: "subject.short.txt", weight: 1 }],
+	});
+	assert.strictEqual(loadVariantConfig("openai", dir), null);
+	assert.throws(() => loadVariantConfig("empty", dir), /empty\/variants.json has no variants/);
+	assert.throws(() => loadVariantConfig("duplicate", dir), /every variant needs a unique id/);
+	assert.throws(() => loadVariantConfig("weight", dir), /weight of a must be a positive number/);
+	assert.throws(() => loadVariantConfig("file", dir), /a uses body.other.md, which doesn't exist/);
+	assert.throws(() => loadVariantConfig("promote", dir), /promoteAfter must be a positive number of sends/);
+});
+
+test("campaign settings layer over the default directory's", () => {
+	const dir = createTemplatesDir({
+		"default/campaign.json": { trackOpens: true },
+		"openai/campaign.json": { trackLinks: false },
+		"unknown/campaign.json": { trackClicks: true },
+		"typed/campaign.json": { trackLinks: "yes" },
+		"provider/campaign.json": { provider: { type: "fax" } },
+	});
+
+	assert.deepStrictEqual(loadCampaignConfig("openai", dir), { trackLinks: false, trackOpens: true, provider: null });
+	assert.deepStrictEqual(loadCampaignConfig("default", dir), { trackLinks: true, trackOpens: true, provider: null });
+	assert.throws(() => loadCampaignConfig("unknown", dir), /Unknown setting trackClicks in unknown\/campaign.json/);
+	assert.throws(() => loadCampaignConfig("typed", dir), /trackLinks in typed\/campaign.json must be a boolean/);
+	assert.throws(() => loadCampaignConfig("provider", dir), /unknown provider "fax"/);
+});
+
+test("validation reports syntax errors, unknown variables and bad configs per file", () => {
+	const dir = createTemplatesDir({
+		"default/subject.txt": "Hi {{firstName}}",
+		"openai/body.md": "{{#codeMatch}}{{codeMatch.path}}",
+		"openai/subject.txt": "{{repo.fullName}} {{repo.owner}}",
+		"openai/variants.json": { variants: [] },
+	});
+
+	const results = Object.fromEntries(validateTemplates(dir).map(result => [result.file, result]));
+	assert.strictEqual(results[path.join("default", "body.md")].error, "The default template needs every file");
+	assert.deepStrictEqual(results[path.join("default", "subject.txt")], { template: "default", file: path.join("default", "subject.txt"), error: null, missing: [] });
+	assert.match(results[path.join("openai", "body.md")].error, /Unclosed section/);
+	assert.deepStrictEqual(results[path.join("openai", "subject.txt")].missing, ["repo.owner"]);
+	assert.match(results[path.join("openai", "variants.json")].error, /has no variants/);
+
+	assert.throws(() => validateTemplates(createTemplatesDir({ "openai/subject.txt": "x" })), /No default template directory/);
+});
+
+test("the repository's own templates validate", () => {
+	assert.deepStrictEqual(validateTemplates().filter(result => result.error || result.missing.length > 0), []);
+});
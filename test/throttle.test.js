@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDatabase, runQuery, closeDatabase } = require("../lib/db");
+const { migrate } = require("../lib/migrate");
+const { loadThrottleConfig, isInSendWindow, getNextWindowStart, getNextSendTime } = require("../lib/throttle");
+
+const BASE_CONFIG = {
+	dailyCap: 50,
+	hourlyCap: 10,
+	delaySeconds: { min: 90, max: 180 },
+	sendWindow: { timezone: "America/New_York", days: ["mon", "tue", "wed", "thu", "fri"], start: "09:00", end: "17:00" },
+};
+
+// Load a throttle config written to a temp file
+function loadConfig(changes = {}) {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "throttle-")), "throttle.json");
+	fs.writeFileSync(file, JSON.stringify({ ...BASE_CONFIG, ...changes }));
+	return loadThrottleConfig(file);
+}
+
+test("the throttle config is validated and the send window parsed", () => {
+	const config = loadConfig();
+	assert.deepStrictEqual(config.warmup, { dailyCapsPerWeek: [] });
+	assert.strictEqual(config.sendWindow.startMinutes, 9 * 60);
+	assert.strictEqual(config.sendWindow.endMinutes, 17 * 60);
+	assert.strictEqual(loadConfig({ sendWindow: { days: ["mon"], start: "08:00", end: "09:00" } }).sendWindow.timezone, "UTC");
+	assert.strictEqual(loadConfig({ sendWindow: null }).sendWindow, null);
+
+	assert.throws(() => loadConfig({ dailyCap: 0 }), /dailyCap in the throttle config must be a positive number/);
+	assert.throws(() => loadConfig({ delaySeconds: { min: 10, max: 5 } }), /delaySeconds in the throttle config needs min and max/);
+	assert.throws(() => loadConfig({ warmup: { dailyCapsPerWeek: [10, -1] } }), /warmup.dailyCapsPerWeek/);
+	assert.throws(() => loadConfig({ warmup: { startDate: "soon", dailyCapsPerWeek: [] } }), /warmup.startDate "soon"/);
+	assert.throws(() => loadConfig({ sendWindow: { ...BASE_CONFIG.sendWindow, start: "17:00", end: "09:00" } }), /start before end/);
+	assert.throws(() => loadConfig({ sendWindow: { ...BASE_CONFIG.sendWindow, days: ["monday"] } }), /sendWindow.days/);
+	assert.throws(() => loadConfig({ sendWindow: { ...BASE_CONFIG.sendWindow, timezone: "Mars/Olympus" } }), /not a known time zone/);
+});
+
+test("the send window is checked in its own time zone", () => {
+	const { sendWindow } = loadConfig();
+	// Friday 2026-03-06, New York is on EST (UTC-5)
+	assert.strictEqual(isInSendWindow(sendWindow, Date.parse("2026-03-06T14:00:00Z")), true);
+	assert.strictEqual(isInSendWindow(sendWindow, Date.parse("2026-03-06T21:59:00Z")), true);
+	assert.strictEqual(isInSendWindow(sendWindow, Date.parse("2026-03-06T22:00:00Z")), false);
+	assert.strictEqual(isInSendWindow(sendWindow, Date.parse("2026-03-06T13:59:00Z")), false);
+	// Saturday
+	assert.strictEqual(isInSendWindow(sendWindow, Date.parse("2026-03-07T15:00:00Z")), false);
+	assert.strictEqual(isInSendWindow(null, Date.parse("2026-03-07T15:00:00Z")), true);
+});
+
+test("the next window start skips the weekend and follows DST", () => {
+	const { sendWindow } = loadConfig();
+	// Friday evening to Monday 09:00, after the switch to EDT (UTC-4) on Sunday 2026-03-08
+	assert.strictEqual(getNextWindowStart(sendWindow, Date.parse("2026-03-06T23:00:00Z")), Date.parse("2026-03-09T13:00:00Z"));
+	// Inside the window it is the next whole minute
+	assert.strictEqual(getNextWindowStart(sendWindow, Date.parse("2026-03-09T14:00:30Z")), Date.parse("2026-03-09T14:01:00Z"));
+	assert.strictEqual(getNextWindowStart(sendWindow, Date.parse("2026-03-09T14:00:00Z")), Date.parse("2026-03-09T14:00:00Z"));
+});
+
+test("the next send time waits for the delay, the caps and the window", async () => {
+	const db = await openDatabase(":memory:");
+	try {
+		await migrate(db, { log: () => {} });
+		const config = loadConfig({ hourlyCap: 2, sendWindow: { ...BASE_CONFIG.sendWindow, timezone: "UTC" } });
+		const now = Date.parse("2026-03-09T12:00:00Z");
+		const send = sentAt => runQuery(db, "INSERT INTO send_log (sender, email, step, sent_at) VALUES ('a', 'x@example.com', 0, ?)", [sentAt]);
+
+		const idle = await getNextSendTime(db, "a", config, 60 * 1000, now);
+		assert.strictEqual(idle.at, now);
+		assert.strictEqual(idle.reason, null);
+
+		await send("2026-03-09 11:30:00");
+		const delayed = await getNextSendTime(db, "a", config, 60 * 60 * 1000, now);
+		assert.strictEqual(delayed.at, Date.parse("2026-03-09T12:30:00Z"));
+		assert.strictEqual(delayed.reason, "delay between sends");
+
+		await send("2026-03-09 11:50:00");
+		const capped = await getNextSendTime(db, "a", config, 60 * 1000, now);
+		assert.strictEqual(capped.at, Date.parse("2026-03-09T12:30:00Z"));
+		assert.strictEqual(capped.reason, "hourly cap of 2 reached");
+		assert.strictEqual(capped.quota.remainingThisHour, 0);
+
+		const evening = await getNextSendTime(db, "a", config, 60 * 1000, Date.parse("2026-03-09T17:30:00Z"));
+		assert.strictEqual(evening.at, Date.parse("2026-03-10T09:00:00Z"));
+		assert.strictEqual(evening.reason, "outside the send window");
+	} finally {
+		await closeDatabase(db);
+	}
+});
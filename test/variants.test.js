@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { pickVariant, twoProportionPValue, compareVariants } = require("../lib/variants");
+
+const config = {
+	templateName: "default",
+	variants: [{ id: "control", weight: 3 }, { id: "short", weight: 1 }],
+};
+
+test("a recipient always gets the same variant, whatever the address's case", () => {
+	const variant = pickVariant(config, "ada@example.com");
+	assert.strictEqual(pickVariant(config, "ada@example.com"), variant);
+	assert.strictEqual(pickVariant(config, "ADA@Example.com"), variant);
+});
+
+test("variants are picked in proportion to their weight", () => {
+	const counts = { control: 0, short: 0 };
+	for (let i = 0; i < 4000; i++) {
+		counts[pickVariant(config, `lead${i}@example.com`).id]++;
+	}
+	assert.ok(Math.abs(counts.control / 4000 - 0.75) < 0.03, `control got ${counts.control} of 4000`);
+
+	const single = { templateName: "default", variants: [{ id: "only", weight: 1 }] };
+	assert.strictEqual(pickVariant(single, "ada@example.com").id, "only");
+});
+
+test("the z-test gives small p-values for clear differences only", () => {
+	assert.strictEqual(twoProportionPValue(1, 0, 1, 10), null);
+	assert.strictEqual(twoProportionPValue(0, 10, 0, 10), 1);
+	assert.ok(Math.abs(twoProportionPValue(10, 100, 10, 100) - 1) < 1e-6);
+	// 30/100 vs 10/100: z ≈ 3.54, p ≈ 0.0004
+	assert.ok(Math.abs(twoProportionPValue(30, 100, 10, 100) - 0.0004) < 0.0001);
+	assert.ok(twoProportionPValue(12, 100, 10, 100) > 0.5);
+	assert.strictEqual(twoProportionPValue(30, 100, 10, 100), twoProportionPValue(10, 100, 30, 100));
+});
+
+test("variants are compared with the leader by reply rate", () => {
+	const compared = compareVariants([
+		{ variant: "control", sent: 100, replied: 10 },
+		{ variant: "short", sent: 100, replied: 30 },
+		{ variant: "long", sent: 100, replied: 25 },
+		{ variant: "new", sent: 0, replied: 0 },
+	]);
+
+	assert.deepStrictEqual(compared.map(row => row.variant), ["short", "long", "control", "new"]);
+	assert.deepStrictEqual(compared[0], { variant: "short", sent: 100, replied: 30, leader: true, pValue: null, significant: false });
+	assert.strictEqual(compared[1].significant, false);
+	assert.strictEqual(compared[2].significant, true);
+	assert.strictEqual(compared[3].pValue, null);
+	assert.strictEqual(compared[3].significant, false);
+});
@@ -0,0 +1,89 @@
+require("dotenv").config();
+
+const http = require("http");
+const path = require("path");
+const { openDatabase, getQuery, runQuery } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+
+const TRACKING_PORT = parseInt(process.env.TRACKING_PORT) || 3300;
+// Where clicks on unknown or mangled links end up
+const TRACKING_FALLBACK_URL = process.env.TRACKING_FALLBACK_URL || "https://llmgateway.io";
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64");
+
+let db;
+
+async function logEvent(token, kind, req) {
+	const row = await getQuery(db, "SELECT token, email, step, url FROM tracking_tokens WHERE token = ? AND kind = ?", [token, kind]);
+	if (!row) {
+		return null;
+	}
+	await runQuery(
+		db,
+		"INSERT INTO tracking_events (token, kind, email, step, user_agent) VALUES (?, ?, ?, ?, ?)",
+		[token, kind, row.email, row.step, req.headers["user-agent"] || null],
+	);
+	return row;
+}
+
+// /c/<token> logs a click and redirects to the link's target, /o/<token>.gif logs an open
+async function handleRequest(req, res) {
+	const url = new URL(req.url, `http://${req.headers.host}`);
+	const [, type, token] = url.pathname.split("/");
+
+	if (type === "c" && token) {
+		const row = await logEvent(token, "click", req);
+		if (row) {
+			console.log(`🖱️  Click by ${row.email} on ${row.url}`);
+		}
+		res.writeHead(302, { Location: row ? row.url : TRACKING_FALLBACK_URL });
+		res.end();
+		return;
+	}
+
+	if (type === "o" && token) {
+		const row = await logEvent(token.replace(/\.gif$/, ""), "open", req);
+		if (row) {
+			console.log(`👀 Opened by ${row.email}`);
+		}
+		res.writeHead(200, { "Content-Type": "image/gif", "Cache-Control": "no-store" });
+		res.end(PIXEL);
+		return;
+	}
+
+	res.writeHead(404, { "Content-Type": "text/plain" });
+	res.end("Not found");
+}
+
+// Start the click and open tracking server
+async function main() {
+	try {
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		const server = http.createServer((req, res) => {
+			handleRequest(req, res).catch(error => {
+				console.error("❌ Error handling tracking request:", error.message);
+				// Never leave a clicking recipient on an error page
+				res.writeHead(302, { Location: TRACKING_FALLBACK_URL });
+				res.end();
+			});
+		});
+		server.listen(TRACKING_PORT, () => {
+			console.log(`🔗 Tracking server listening on port ${TRACKING_PORT}`);
+		});
+	} catch (error) {
+		console.error("❌ Error starting tracking server:", error.message);
+		process.exitCode = 1;
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };
@@ -0,0 +1,101 @@
+require("dotenv").config();
+
+const http = require("http");
+const path = require("path");
+const { openDatabase } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const { unsubscribe, verifyUnsubscribeToken } = require("./lib/suppressions");
+
+const UNSUBSCRIBE_PORT = parseInt(process.env.UNSUBSCRIBE_PORT) || 3200;
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+const DB_PATH = process.env.DB_PATH ? path.join(__dirname, process.env.DB_PATH) : path.join(__dirname, "contributor_emails.db");
+
+let db;
+
+function renderPage(message, form = "") {
+	return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Unsubscribe</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto;">
+<p>${message}</p>
+${form}
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function respond(res, status, html) {
+	res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+	res.end(html);
+}
+
+// GET shows a confirmation button so link scanners can't unsubscribe anyone, POST unsubscribes.
+// Mail clients send the RFC 8058 one-click POST straight to the List-Unsubscribe URL
+async function handleRequest(req, res) {
+	const url = new URL(req.url, `http://${req.headers.host}`);
+	if (url.pathname !== "/unsubscribe") {
+		respond(res, 404, renderPage("Not found"));
+		return;
+	}
+
+	const token = url.searchParams.get("token");
+	const email = verifyUnsubscribeToken(token, UNSUBSCRIBE_SECRET);
+	if (!email) {
+		respond(res, 400, renderPage("This unsubscribe link is invalid. Reply to the email and we'll remove you by hand."));
+		return;
+	}
+
+	if (req.method === "POST") {
+		// The body of one-click requests is always "List-Unsubscribe=One-Click"
+		req.resume();
+		await unsubscribe(db, email, "unsubscribe_link");
+		console.log(`🚫 Unsubscribed ${email}`);
+		respond(res, 200, renderPage(`${escapeHtml(email)} is unsubscribed, you won't hear from us again.`));
+		return;
+	}
+
+	respond(res, 200, renderPage(
+		`Unsubscribe ${escapeHtml(email)} from all future emails?`,
+		`<form method="post" action="/unsubscribe?token=${encodeURIComponent(token)}"><button>Unsubscribe</button></form>`,
+	));
+}
+
+// Start the unsubscribe endpoint
+async function main() {
+	try {
+		if (!UNSUBSCRIBE_SECRET) {
+			throw new Error("UNSUBSCRIBE_SECRET environment variable is required to verify unsubscribe links");
+		}
+
+		db = await openDatabase(DB_PATH);
+		console.log(`📁 Connected to database: ${DB_PATH}`);
+		await migrate(db);
+
+		const server = http.createServer((req, res) => {
+			handleRequest(req, res).catch(error => {
+				console.error("❌ Error handling unsubscribe:", error.message);
+				respond(res, 500, renderPage("Something went wrong, please try again later."));
+			});
+		});
+		server.listen(UNSUBSCRIBE_PORT, () => {
+			console.log(`🔗 Unsubscribe endpoint listening on port ${UNSUBSCRIBE_PORT}`);
+		});
+	} catch (error) {
+		console.error("❌ Error starting unsubscribe endpoint:", error.message);
+		process.exitCode = 1;
+	}
+}
+
+// Run the application
+if (require.main === module) {
+	main();
+}
+
+module.exports = { main };